@@ -1,72 +1,240 @@
--- Create games table for storing game information
-CREATE TABLE IF NOT EXISTS games (
-    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
-    game_name VARCHAR(255) NOT NULL,
-    game_id VARCHAR(50) UNIQUE NOT NULL, -- The short game ID like "ABC123DEF"
-    status VARCHAR(20) DEFAULT 'waiting' CHECK (status IN ('waiting', 'playing', 'finished')),
-    visibility VARCHAR(20) DEFAULT 'public' CHECK (visibility IN ('public', 'private')),
-    players JSONB DEFAULT '[]'::jsonb,
-    game_state JSONB DEFAULT '{}'::jsonb,
-    host_player_id VARCHAR(255),
-    current_players INTEGER DEFAULT 0,
-    max_players INTEGER DEFAULT 4,
-    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
-);
-
--- Create index for faster queries
-CREATE INDEX IF NOT EXISTS idx_games_status ON games(status);
-CREATE INDEX IF NOT EXISTS idx_games_visibility ON games(visibility);
-CREATE INDEX IF NOT EXISTS idx_games_game_id ON games(game_id);
-CREATE INDEX IF NOT EXISTS idx_games_created_at ON games(created_at);
-
--- Create updated_at trigger
-CREATE OR REPLACE FUNCTION update_updated_at_column()
-RETURNS TRIGGER AS $$
-BEGIN
-    NEW.updated_at = NOW();
-    RETURN NEW;
-END;
-$$ language 'plpgsql';
-
-CREATE TRIGGER update_games_updated_at
-    BEFORE UPDATE ON games
-    FOR EACH ROW
-    EXECUTE FUNCTION update_updated_at_column();
-
--- Create view for public games list
-CREATE OR REPLACE VIEW public_games AS
-SELECT 
-    id,
-    game_name,
-    game_id,
-    status,
-    current_players,
-    max_players,
-    (players->0->>'name')::text AS host_name,
-    created_at
-FROM games 
-WHERE visibility = 'public' 
-    AND status = 'waiting'
-    AND current_players < max_players
-ORDER BY created_at DESC;
-
--- Enable Row Level Security (RLS)
-ALTER TABLE games ENABLE ROW LEVEL SECURITY;
-
--- Create policies for public access
-CREATE POLICY "Anyone can view public games" ON games
-    FOR SELECT USING (visibility = 'public');
-
-CREATE POLICY "Anyone can create games" ON games
-    FOR INSERT WITH CHECK (true);
-
-CREATE POLICY "Anyone can update games" ON games
-    FOR UPDATE USING (true);
-
--- Grant access to authenticated and anonymous users
-GRANT ALL ON games TO authenticated;
-GRANT ALL ON games TO anon;
-GRANT SELECT ON public_games TO authenticated;
-GRANT SELECT ON public_games TO anon;
-
+-- Create games table for storing game information
+CREATE TABLE IF NOT EXISTS games (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    game_name VARCHAR(255) NOT NULL,
+    game_id VARCHAR(50) UNIQUE NOT NULL, -- The short game ID like "ABC123DEF"
+    status VARCHAR(20) DEFAULT 'waiting' CHECK (status IN ('waiting', 'playing', 'finished', 'closed')),
+    visibility VARCHAR(20) DEFAULT 'public' CHECK (visibility IN ('public', 'private')),
+    players JSONB DEFAULT '[]'::jsonb,
+    game_state JSONB DEFAULT '{}'::jsonb,
+    host_player_id VARCHAR(255),
+    current_players INTEGER DEFAULT 0,
+    max_players INTEGER DEFAULT 4,
+    max_rounds INTEGER DEFAULT 20,
+    round_duration_seconds INTEGER DEFAULT 60,
+    rules JSONB DEFAULT '{}'::jsonb, -- Full rules object chosen at creation
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Columns added after the first release (no-ops on a fresh database)
+ALTER TABLE games ADD COLUMN IF NOT EXISTS max_rounds INTEGER DEFAULT 20;
+ALTER TABLE games ADD COLUMN IF NOT EXISTS round_duration_seconds INTEGER DEFAULT 60;
+ALTER TABLE games ADD COLUMN IF NOT EXISTS rules JSONB DEFAULT '{}'::jsonb;
+ALTER TABLE games DROP CONSTRAINT IF EXISTS games_status_check;
+ALTER TABLE games ADD CONSTRAINT games_status_check CHECK (status IN ('waiting', 'playing', 'finished', 'closed'));
+
+-- Create index for faster queries
+CREATE INDEX IF NOT EXISTS idx_games_status ON games(status);
+CREATE INDEX IF NOT EXISTS idx_games_visibility ON games(visibility);
+CREATE INDEX IF NOT EXISTS idx_games_game_id ON games(game_id);
+CREATE INDEX IF NOT EXISTS idx_games_created_at ON games(created_at);
+
+-- Append-only event log per game; replaying it rebuilds the game state
+CREATE TABLE IF NOT EXISTS game_events (
+    id BIGSERIAL PRIMARY KEY,
+    game_id VARCHAR(50) NOT NULL REFERENCES games(game_id) ON DELETE CASCADE,
+    seq INTEGER NOT NULL, -- Position in the game's log, starting at 1
+    type VARCHAR(50) NOT NULL,
+    round INTEGER,
+    data JSONB DEFAULT '{}'::jsonb,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (game_id, seq)
+);
+
+-- State of a game that only the server may read, kept out of the games row:
+-- the market engine, whose seed and RNG state decide every future price, and
+-- the SHA-256 hashes of the game's session tokens (hash -> player id)
+CREATE TABLE IF NOT EXISTS game_secrets (
+    game_id VARCHAR(50) PRIMARY KEY REFERENCES games(game_id) ON DELETE CASCADE,
+    market JSONB,
+    session_tokens JSONB DEFAULT '{}'::jsonb,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Older servers kept both in game_state; move them over (no-op on a fresh database)
+INSERT INTO game_secrets (game_id, market, session_tokens)
+SELECT
+    game_id,
+    game_state->'market',
+    COALESCE((
+        SELECT jsonb_object_agg(encode(sha256(convert_to(token.key, 'UTF8')), 'hex'), token.value)
+        FROM jsonb_each(game_state->'sessionTokens') AS token
+    ), '{}'::jsonb)
+FROM games
+WHERE game_state ? 'market' OR game_state ? 'sessionTokens'
+ON CONFLICT (game_id) DO NOTHING;
+
+UPDATE games SET game_state = game_state - 'market' - 'sessionTokens'
+WHERE game_state ? 'market' OR game_state ? 'sessionTokens';
+
+-- Lifetime stats for players who sign in with a wallet
+CREATE TABLE IF NOT EXISTS player_profiles (
+    wallet_address VARCHAR(42) PRIMARY KEY, -- Checksummed address
+    display_name VARCHAR(255),
+    games_played INTEGER DEFAULT 0,
+    wins INTEGER DEFAULT 0,
+    total_score NUMERIC DEFAULT 0,
+    best_score NUMERIC DEFAULT 0,
+    rating NUMERIC DEFAULT 1500, -- Elo rating, see services/skillRating.js
+    rated_games INTEGER DEFAULT 0, -- Provisional below 10
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- One row per seat of every finished game. Not tied to the games table so
+-- results outlive the cleanup of old games.
+CREATE TABLE IF NOT EXISTS game_results (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    game_id VARCHAR(50) NOT NULL,
+    player_id VARCHAR(255) NOT NULL,
+    wallet_address VARCHAR(42), -- NULL for guests
+    player_name VARCHAR(255),
+    is_bot BOOLEAN DEFAULT FALSE,
+    rank INTEGER NOT NULL,
+    is_winner BOOLEAN DEFAULT FALSE,
+    final_score NUMERIC NOT NULL,
+    tokens NUMERIC,
+    asset_value NUMERIC,
+    strategy VARCHAR(20), -- Resource id the score was mostly made of, or 'cash'
+    finished_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (game_id, player_id)
+);
+
+ALTER TABLE game_results ADD COLUMN IF NOT EXISTS is_bot BOOLEAN DEFAULT FALSE;
+
+CREATE INDEX IF NOT EXISTS idx_game_results_wallet ON game_results(wallet_address, finished_at DESC);
+CREATE INDEX IF NOT EXISTS idx_game_results_finished_at ON game_results(finished_at);
+
+-- Create updated_at trigger
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER update_games_updated_at
+    BEFORE UPDATE ON games
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_game_secrets_updated_at
+    BEFORE UPDATE ON game_secrets
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_player_profiles_updated_at
+    BEFORE UPDATE ON player_profiles
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Add one finished game to a wallet player's lifetime stats in a single
+-- statement, so games finishing at the same time can't overwrite each other
+CREATE OR REPLACE FUNCTION record_profile_result(wallet VARCHAR, shown_name VARCHAR, won BOOLEAN, score NUMERIC)
+RETURNS VOID AS $$
+    INSERT INTO player_profiles (wallet_address, display_name, games_played, wins, total_score, best_score)
+    VALUES (wallet, shown_name, 1, CASE WHEN won THEN 1 ELSE 0 END, score, score)
+    ON CONFLICT (wallet_address) DO UPDATE SET
+        display_name = EXCLUDED.display_name,
+        games_played = COALESCE(player_profiles.games_played, 0) + 1,
+        wins = COALESCE(player_profiles.wins, 0) + EXCLUDED.wins,
+        total_score = COALESCE(player_profiles.total_score, 0) + EXCLUDED.total_score,
+        best_score = GREATEST(COALESCE(player_profiles.best_score, EXCLUDED.best_score), EXCLUDED.best_score);
+$$ LANGUAGE sql;
+
+-- Leaderboard: wallet players ranked by wins, then average and best score,
+-- over results since a time (NULL: all time) and optionally one strategy
+CREATE OR REPLACE FUNCTION leaderboard(since TIMESTAMPTZ DEFAULT NULL, strategy_filter TEXT DEFAULT NULL, max_rows INTEGER DEFAULT 20)
+RETURNS TABLE (
+    wallet_address VARCHAR,
+    display_name VARCHAR,
+    games_played BIGINT,
+    wins BIGINT,
+    total_score NUMERIC,
+    best_score NUMERIC
+) AS $$
+    SELECT
+        r.wallet_address,
+        p.display_name,
+        COUNT(*),
+        COUNT(*) FILTER (WHERE r.is_winner),
+        SUM(r.final_score),
+        MAX(r.final_score)
+    FROM game_results r
+    JOIN player_profiles p ON p.wallet_address = r.wallet_address
+    WHERE (since IS NULL OR r.finished_at >= since)
+        AND (strategy_filter IS NULL OR r.strategy = strategy_filter)
+    GROUP BY r.wallet_address, p.display_name
+    ORDER BY COUNT(*) FILTER (WHERE r.is_winner) DESC,
+        SUM(r.final_score) / COUNT(*) DESC,
+        MAX(r.final_score) DESC
+    LIMIT max_rows;
+$$ LANGUAGE sql STABLE;
+
+-- Create view for public games list
+CREATE OR REPLACE VIEW public_games AS
+SELECT 
+    id,
+    game_name,
+    game_id,
+    status,
+    current_players,
+    max_players,
+    (players->0->>'name')::text AS host_name,
+    created_at,
+    max_rounds,
+    round_duration_seconds,
+    rules,
+    (players->0->'rating') AS host_rating
+FROM games 
+WHERE visibility = 'public' 
+    AND status = 'waiting'
+    AND current_players < max_players
+ORDER BY created_at DESC;
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE games ENABLE ROW LEVEL SECURITY;
+-- No policies and no grants: only the server's service role reads game secrets
+ALTER TABLE game_secrets ENABLE ROW LEVEL SECURITY;
+-- Raw event logs carry the market state; the API serves them redacted, so
+-- they get no policies and no grants either
+ALTER TABLE game_events ENABLE ROW LEVEL SECURITY;
+-- Profiles and results are public through the API, but only the server
+-- writes them, so ratings and results can't be edited from a client
+ALTER TABLE player_profiles ENABLE ROW LEVEL SECURITY;
+ALTER TABLE game_results ENABLE ROW LEVEL SECURITY;
+
+-- Create policies for public access
+CREATE POLICY "Anyone can view public games" ON games
+    FOR SELECT USING (visibility = 'public');
+
+CREATE POLICY "Anyone can create games" ON games
+    FOR INSERT WITH CHECK (true);
+
+CREATE POLICY "Anyone can update games" ON games
+    FOR UPDATE USING (true);
+
+CREATE POLICY "Anyone can view player profiles" ON player_profiles
+    FOR SELECT USING (true);
+
+CREATE POLICY "Anyone can view game results" ON game_results
+    FOR SELECT USING (true);
+
+-- Access for authenticated and anonymous users; the server itself uses the
+-- service role, which RLS does not apply to
+GRANT ALL ON games TO authenticated;
+GRANT ALL ON games TO anon;
+REVOKE ALL ON game_events FROM authenticated, anon;
+REVOKE ALL ON player_profiles FROM authenticated, anon;
+GRANT SELECT ON player_profiles TO authenticated;
+GRANT SELECT ON player_profiles TO anon;
+REVOKE ALL ON game_results FROM authenticated, anon;
+GRANT SELECT ON game_results TO authenticated;
+GRANT SELECT ON game_results TO anon;
+REVOKE ALL ON game_secrets FROM authenticated, anon;
+REVOKE EXECUTE ON FUNCTION record_profile_result FROM PUBLIC, authenticated, anon;
+GRANT SELECT ON public_games TO authenticated;
+GRANT SELECT ON public_games TO anon;
+
@@ -0,0 +1,242 @@
+import express from 'express';
+import { GameDatabase } from '../services/database.js';
+import { validateRules } from '../services/gameRules.js';
+import { MARKET_MODES } from '../services/orderBook.js';
+import { normalizeAddress } from '../services/walletAuth.js';
+import { MAX_MATCH_HISTORY, formatResult } from '../services/playerStats.js';
+import { formatGameSummary, formatGameDetails } from '../services/gameViews.js';
+import { createRateLimiter } from '../services/chat.js';
+import { createOpenApiDocument } from './openapi.js';
+
+// Versioned REST API, mounted at /api/v1. Read endpoints for the lobby,
+// bots and ops scripts plus game creation; playing a game stays on sockets.
+//
+// Every error is { error: { code, message, details? } } with a matching
+// HTTP status. The OpenAPI document is served at /api/v1/openapi.json.
+
+export const ApiErrorCodes = {
+  INVALID_REQUEST: 'INVALID_REQUEST',
+  INVALID_RULES: 'INVALID_RULES',
+  NOT_FOUND: 'NOT_FOUND',
+  GAME_NOT_FINISHED: 'GAME_NOT_FINISHED',
+  RATE_LIMITED: 'RATE_LIMITED',
+  INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
+
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+export const MAX_EVENTS_PAGE = 500;
+
+// At most GAME_CREATION_LIMIT games created per client IP in any
+// GAME_CREATION_WINDOW_MS
+export const GAME_CREATION_LIMIT = 10;
+export const GAME_CREATION_WINDOW_MS = 60 * 60 * 1000;
+
+const GAME_STATUSES = ['waiting', 'playing', 'finished'];
+
+class ApiError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Parse an optional whole-number query parameter within bounds
+function intParam(value, name, { fallback, min, max }) {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new ApiError(400, ApiErrorCodes.INVALID_REQUEST, `${name} must be a whole number between ${min} and ${max}`);
+  }
+  return number;
+}
+
+function walletParam(value) {
+  const address = normalizeAddress(value);
+  if (!address) {
+    throw new ApiError(400, ApiErrorCodes.INVALID_REQUEST, 'Invalid wallet address');
+  }
+  return address;
+}
+
+// A log the server won't serve (see loadGameEvents in server.js)
+function gameLogError({ code, message }) {
+  return code === 'GAME_NOT_FINISHED'
+    ? new ApiError(409, ApiErrorCodes.GAME_NOT_FINISHED, message)
+    : new ApiError(404, ApiErrorCodes.NOT_FOUND, message);
+}
+
+// `server` provides the live-game operations owned by server.js:
+//   getLiveGame(gameId), createOpenGame(options), buildGameReplay(gameId, upTo),
+//   loadGameEvents(gameId), loadPlayerProfile(wallet), loadLeaderboard(query),
+//   spectatorCount(gameId), now()
+export function createApiV1Router(server) {
+  const router = express.Router();
+  const openApiDocument = createOpenApiDocument();
+  const creationLimiter = createRateLimiter({ limit: GAME_CREATION_LIMIT, windowMs: GAME_CREATION_WINDOW_MS });
+
+  router.get('/openapi.json', (req, res) => {
+    res.json(openApiDocument);
+  });
+
+  // Public games, newest first. ?status=waiting,playing&marketMode=&page=&pageSize=
+  router.get('/games', async (req, res) => {
+    const statuses = String(req.query.status || 'waiting').split(',');
+    if (!statuses.every(status => GAME_STATUSES.includes(status))) {
+      throw new ApiError(400, ApiErrorCodes.INVALID_REQUEST, `status must be a comma-separated list of: ${GAME_STATUSES.join(', ')}`);
+    }
+    const marketMode = req.query.marketMode || null;
+    if (marketMode && !MARKET_MODES.includes(marketMode)) {
+      throw new ApiError(400, ApiErrorCodes.INVALID_REQUEST, `marketMode must be one of: ${MARKET_MODES.join(', ')}`);
+    }
+    const page = intParam(req.query.page, 'page', { fallback: 1, min: 1, max: 100000 });
+    const pageSize = intParam(req.query.pageSize, 'pageSize', { fallback: DEFAULT_PAGE_SIZE, min: 1, max: MAX_PAGE_SIZE });
+
+    const { rows, total } = await GameDatabase.listPublicGames({
+      statuses,
+      marketMode,
+      offset: (page - 1) * pageSize,
+      limit: pageSize
+    });
+
+    const games = rows.map(row => ({ ...formatGameSummary(row), spectatorCount: server.spectatorCount(row.game_id) }));
+    res.json({ games, page, pageSize, total });
+  });
+
+  // Create a waiting game; the first player to join it becomes the host
+  router.post('/games', async (req, res) => {
+    if (!creationLimiter.allow(req.ip, server.now())) {
+      throw new ApiError(429, ApiErrorCodes.RATE_LIMITED, 'Too many games created, try again later');
+    }
+
+    const { gameName, isPrivate = false, rules } = req.body || {};
+    if (typeof gameName !== 'string' || !gameName.trim() || gameName.length > 100) {
+      throw new ApiError(400, ApiErrorCodes.INVALID_REQUEST, 'gameName must be 1-100 characters');
+    }
+    if (typeof isPrivate !== 'boolean') {
+      throw new ApiError(400, ApiErrorCodes.INVALID_REQUEST, 'isPrivate must be true or false');
+    }
+
+    const rulesCheck = validateRules(rules);
+    if (!rulesCheck.valid) {
+      throw new ApiError(400, ApiErrorCodes.INVALID_RULES, 'Invalid game rules', rulesCheck.errors);
+    }
+
+    const created = await server.createOpenGame({ gameName: gameName.trim(), isPrivate, rules: rulesCheck.rules });
+    if (!created) {
+      throw new ApiError(500, ApiErrorCodes.INTERNAL_ERROR, 'Failed to create game');
+    }
+
+    res.status(201).json({ game: formatGameDetails(created.gameId, created.game) });
+  });
+
+  // Live details while the game is in memory, otherwise the stored summary
+  router.get('/games/:gameId', async (req, res) => {
+    const live = server.getLiveGame(req.params.gameId);
+    if (live) {
+      res.json({ game: { ...formatGameDetails(req.params.gameId, live), spectatorCount: server.spectatorCount(req.params.gameId) } });
+      return;
+    }
+
+    const row = await GameDatabase.getGame(req.params.gameId);
+    if (!row) {
+      throw new ApiError(404, ApiErrorCodes.NOT_FOUND, 'Game not found');
+    }
+    res.json({ game: formatGameSummary(row) });
+  });
+
+  router.get('/games/:gameId/results', async (req, res) => {
+    const { gameId } = req.params;
+    const results = await GameDatabase.getGameResults(gameId);
+    if (results.length > 0) {
+      res.json({ gameId, results: results.map(formatResult), ratingChanges: server.getLiveGame(gameId)?.ratingChanges ?? null });
+      return;
+    }
+
+    const live = server.getLiveGame(gameId);
+    if (live || await GameDatabase.getGame(gameId)) {
+      throw new ApiError(409, ApiErrorCodes.GAME_NOT_FINISHED, 'Game has not finished');
+    }
+    throw new ApiError(404, ApiErrorCodes.NOT_FOUND, 'Game not found');
+  });
+
+  // Event log of a finished or closed game and the state it replays to;
+  // ?upTo=<seq> replays part of it
+  router.get('/games/:gameId/replay', async (req, res) => {
+    const upTo = intParam(req.query.upTo, 'upTo', { fallback: undefined, min: 1, max: Number.MAX_SAFE_INTEGER });
+    const { error, ...replay } = await server.buildGameReplay(req.params.gameId, upTo);
+    if (error) {
+      throw gameLogError(error);
+    }
+    res.json(replay);
+  });
+
+  // Event log of a finished or closed game, paged by sequence number:
+  // ?after=<seq>&limit=
+  router.get('/games/:gameId/events', async (req, res) => {
+    const after = intParam(req.query.after, 'after', { fallback: 0, min: 0, max: Number.MAX_SAFE_INTEGER });
+    const limit = intParam(req.query.limit, 'limit', { fallback: 100, min: 1, max: MAX_EVENTS_PAGE });
+
+    const { error, events } = await server.loadGameEvents(req.params.gameId);
+    if (error) {
+      throw gameLogError(error);
+    }
+
+    const page = events.filter(event => event.seq > after).slice(0, limit);
+    res.json({
+      gameId: req.params.gameId,
+      events: page,
+      nextAfter: page.length === limit ? page[page.length - 1].seq : null
+    });
+  });
+
+  // ?period=all|weekly&strategy=<resource id|cash>&limit=
+  router.get('/leaderboard', async (req, res) => {
+    const leaderboard = await server.loadLeaderboard(req.query);
+    if (leaderboard.error) {
+      throw new ApiError(400, ApiErrorCodes.INVALID_REQUEST, leaderboard.error);
+    }
+    res.json(leaderboard);
+  });
+
+  router.get('/players/:walletAddress', async (req, res) => {
+    const player = await server.loadPlayerProfile(walletParam(req.params.walletAddress));
+    if (!player) {
+      throw new ApiError(404, ApiErrorCodes.NOT_FOUND, 'Player not found');
+    }
+    res.json(player);
+  });
+
+  // Match history, newest first
+  router.get('/players/:walletAddress/results', async (req, res) => {
+    const address = walletParam(req.params.walletAddress);
+    const limit = intParam(req.query.limit, 'limit', { fallback: 20, min: 1, max: MAX_MATCH_HISTORY });
+    const results = await GameDatabase.getPlayerResults(address, limit);
+    res.json({ walletAddress: address, results: results.map(formatResult) });
+  });
+
+  router.use((req, res) => {
+    res.status(404).json({ error: { code: ApiErrorCodes.NOT_FOUND, message: `No route for ${req.method} ${req.originalUrl}` } });
+  });
+
+  return router;
+}
+
+// Error handler for the API, mounted after the router so it also sees body
+// parsing errors from express.json(). Express 5 forwards rejected promises
+// from async handlers here.
+export function handleApiError(err, req, res, next) {
+  if (err instanceof ApiError) {
+    res.status(err.status).json({ error: { code: err.code, message: err.message, ...(err.details && { details: err.details }) } });
+    return;
+  }
+  if (err.type === 'entity.parse.failed') {
+    res.status(400).json({ error: { code: ApiErrorCodes.INVALID_REQUEST, message: 'Request body is not valid JSON' } });
+    return;
+  }
+
+  console.error(`❌ API error on ${req.method} ${req.originalUrl}:`, err);
+  res.status(500).json({ error: { code: ApiErrorCodes.INTERNAL_ERROR, message: 'Something went wrong' } });
+}
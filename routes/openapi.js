@@ -0,0 +1,384 @@
+import { MARKET_MODES } from '../services/orderBook.js';
+import { OPPONENT_VISIBILITY } from '../services/gameRules.js';
+import { LEADERBOARD_PERIODS, MAX_LEADERBOARD_SIZE, MAX_MATCH_HISTORY } from '../services/playerStats.js';
+import { ApiErrorCodes, MAX_PAGE_SIZE, MAX_EVENTS_PAGE } from './apiV1.js';
+
+// OpenAPI 3.0 description of /api/v1, served at /api/v1/openapi.json.
+// Keep it in step with routes/apiV1.js. Built when the router is created
+// because the two modules import each other.
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+const json = schema => ({ 'application/json': { schema } });
+
+const ok = (description, schema) => ({ description, content: json(schema) });
+
+const error = description => ({ description, content: json(ref('Error')) });
+
+const gameIdParam = { name: 'gameId', in: 'path', required: true, schema: { type: 'string' } };
+const walletParam = {
+  name: 'walletAddress',
+  in: 'path',
+  required: true,
+  description: 'Ethereum address, any case',
+  schema: { type: 'string' }
+};
+
+const intQuery = (name, description, minimum, maximum, defaultValue) => ({
+  name,
+  in: 'query',
+  required: false,
+  description,
+  schema: { type: 'integer', minimum, maximum, ...(defaultValue !== undefined && { default: defaultValue }) }
+});
+
+const rulesSchema = {
+  type: 'object',
+  description: 'Game rules; any rule left out takes its default',
+  properties: {
+    maxRounds: { type: 'integer', minimum: 1, maximum: 100 },
+    roundDurationSeconds: { type: 'integer', minimum: 10, maximum: 3600 },
+    roundDelaySeconds: { type: 'integer', minimum: 1, maximum: 120 },
+    startingTokens: { type: 'integer', minimum: 100, maximum: 1000000 },
+    sabotageCost: { type: 'integer', minimum: 0, maximum: 100000 },
+    sellPriceMultiplier: { type: 'number', minimum: 0.1, maximum: 1 },
+    maxPlayers: { type: 'integer', minimum: 2, maximum: 8 },
+    priceMode: { type: 'string' },
+    marketVolatility: { type: 'number', minimum: 0, maximum: 0.2, nullable: true },
+    marketMode: { type: 'string', enum: MARKET_MODES },
+    orderCarryOver: { type: 'boolean' },
+    opponentVisibility: { type: 'string', enum: OPPONENT_VISIBILITY },
+    maxSpectators: { type: 'integer', minimum: 0, maximum: 100, description: '0 turns spectating off' },
+    spectatorDelaySeconds: { type: 'integer', minimum: 0, maximum: 300 },
+    skipVotePercent: { type: 'integer', minimum: 0, maximum: 100, description: 'Share of connected players needed to end a round early; 0 disables skipping' },
+    resources: {
+      description: 'A resource preset name or a custom list of resources',
+      oneOf: [{ type: 'string' }, { type: 'array', items: { type: 'object' } }]
+    }
+  }
+};
+
+const ratingSchema = {
+  type: 'object',
+  properties: {
+    rating: { type: 'integer' },
+    ratedGames: { type: 'integer' },
+    provisional: { type: 'boolean' }
+  }
+};
+
+export function createOpenApiDocument() {
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Resource trading game API',
+      version: '1.0.0',
+      description: 'Read endpoints and game creation. Playing a game happens over Socket.IO.'
+    },
+    servers: [{ url: '/api/v1' }],
+    paths: {
+      '/games': {
+        get: {
+          summary: 'List public games, newest first',
+          parameters: [
+            {
+              name: 'status',
+              in: 'query',
+              required: false,
+              description: 'Comma-separated statuses: waiting, playing, finished',
+              schema: { type: 'string', default: 'waiting' }
+            },
+            { name: 'marketMode', in: 'query', required: false, schema: { type: 'string', enum: MARKET_MODES } },
+            intQuery('page', 'Page number, from 1', 1, 100000, 1),
+            intQuery('pageSize', 'Games per page', 1, MAX_PAGE_SIZE, 20)
+          ],
+          responses: {
+            200: ok('A page of games', {
+              type: 'object',
+              properties: {
+                games: { type: 'array', items: ref('GameSummary') },
+                page: { type: 'integer' },
+                pageSize: { type: 'integer' },
+                total: { type: 'integer' }
+              }
+            }),
+            400: error('Invalid filter or paging')
+          }
+        },
+        post: {
+          summary: 'Create a waiting game; the first player to join becomes the host',
+          requestBody: {
+            required: true,
+            content: json({
+              type: 'object',
+              required: ['gameName'],
+              properties: {
+                gameName: { type: 'string', minLength: 1, maxLength: 100 },
+                isPrivate: { type: 'boolean', default: false },
+                rules: rulesSchema
+              }
+            })
+          },
+          responses: {
+            201: ok('The new game', { type: 'object', properties: { game: ref('GameDetails') } }),
+            400: error('Invalid body or rules (INVALID_RULES lists each problem in details)'),
+            429: error('Too many games created from this address')
+          }
+        }
+      },
+      '/games/{gameId}': {
+        get: {
+          summary: 'Live details of a game, or its stored summary once it is no longer in memory',
+          parameters: [gameIdParam],
+          responses: {
+            200: ok('The game', { type: 'object', properties: { game: { oneOf: [ref('GameDetails'), ref('GameSummary')] } } }),
+            404: error('No such game')
+          }
+        }
+      },
+      '/games/{gameId}/results': {
+        get: {
+          summary: 'Final placings of a finished game',
+          parameters: [gameIdParam],
+          responses: {
+            200: ok('Results, best first', {
+              type: 'object',
+              properties: {
+                gameId: { type: 'string' },
+                results: { type: 'array', items: ref('GameResult') },
+                ratingChanges: {
+                  type: 'array',
+                  nullable: true,
+                  description: 'Rating changes, while the game is still in memory',
+                  items: { type: 'object' }
+                }
+              }
+            }),
+            404: error('No such game'),
+            409: error('The game has not finished')
+          }
+        }
+      },
+      '/games/{gameId}/replay': {
+        get: {
+          summary: 'Event log of a finished or closed game and the state it replays to',
+          parameters: [gameIdParam, intQuery('upTo', 'Replay only up to this event sequence number', 1, Number.MAX_SAFE_INTEGER)],
+          responses: {
+            200: ok('Replay', {
+              type: 'object',
+              properties: {
+                gameId: { type: 'string' },
+                events: { type: 'array', items: ref('GameEvent') },
+                state: { type: 'object', description: 'Game state after the last replayed event' }
+              }
+            }),
+            400: error('Invalid upTo'),
+            404: error('The game has no event log'),
+            409: error('The game has not finished')
+          }
+        }
+      },
+      '/games/{gameId}/events': {
+        get: {
+          summary: 'Event log of a finished or closed game, paged by sequence number',
+          parameters: [
+            gameIdParam,
+            intQuery('after', 'Only events after this sequence number', 0, Number.MAX_SAFE_INTEGER, 0),
+            intQuery('limit', 'Events per page', 1, MAX_EVENTS_PAGE, 100)
+          ],
+          responses: {
+            200: ok('A page of events', {
+              type: 'object',
+              properties: {
+                gameId: { type: 'string' },
+                events: { type: 'array', items: ref('GameEvent') },
+                nextAfter: { type: 'integer', nullable: true, description: 'Pass as `after` for the next page; null on the last page' }
+              }
+            }),
+            400: error('Invalid paging'),
+            404: error('The game has no event log'),
+            409: error('The game has not finished')
+          }
+        }
+      },
+      '/leaderboard': {
+        get: {
+          summary: 'Wallet players ranked by wins, then average and best score',
+          parameters: [
+            { name: 'period', in: 'query', required: false, schema: { type: 'string', enum: Object.keys(LEADERBOARD_PERIODS), default: 'all' } },
+            {
+              name: 'strategy',
+              in: 'query',
+              required: false,
+              description: 'Only count games won mostly through this resource id, or cash',
+              schema: { type: 'string' }
+            },
+            intQuery('limit', 'Entries to return', 1, MAX_LEADERBOARD_SIZE, 20)
+          ],
+          responses: {
+            200: ok('Leaderboard', {
+              type: 'object',
+              properties: {
+                period: { type: 'string' },
+                strategy: { type: 'string', nullable: true },
+                entries: { type: 'array', items: ref('LeaderboardEntry') }
+              }
+            }),
+            400: error('Invalid query')
+          }
+        }
+      },
+      '/players/{walletAddress}': {
+        get: {
+          summary: 'Profile and recent results of a wallet player',
+          parameters: [walletParam],
+          responses: {
+            200: ok('Player', {
+              type: 'object',
+              properties: {
+                profile: ref('PlayerProfile'),
+                recentResults: { type: 'array', items: ref('GameResult') }
+              }
+            }),
+            400: error('Invalid wallet address'),
+            404: error('The player has never finished a game')
+          }
+        }
+      },
+      '/players/{walletAddress}/results': {
+        get: {
+          summary: 'Match history of a wallet player, newest first',
+          parameters: [walletParam, intQuery('limit', 'Results to return', 1, MAX_MATCH_HISTORY, 20)],
+          responses: {
+            200: ok('Match history', {
+              type: 'object',
+              properties: {
+                walletAddress: { type: 'string' },
+                results: { type: 'array', items: ref('GameResult') }
+              }
+            }),
+            400: error('Invalid wallet address or limit')
+          }
+        }
+      }
+    },
+    components: {
+      schemas: {
+        Error: {
+          type: 'object',
+          required: ['error'],
+          properties: {
+            error: {
+              type: 'object',
+              required: ['code', 'message'],
+              properties: {
+                code: { type: 'string', enum: Object.values(ApiErrorCodes) },
+                message: { type: 'string' },
+                details: { description: 'Extra information for some codes, e.g. each invalid rule' }
+              }
+            }
+          }
+        },
+        Rules: rulesSchema,
+        GameSummary: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            name: { type: 'string' },
+            status: { type: 'string' },
+            currentPlayers: { type: 'integer' },
+            maxPlayers: { type: 'integer' },
+            hostName: { type: 'string' },
+            hostRating: { ...ratingSchema, nullable: true },
+            createdAt: { type: 'string', format: 'date-time' },
+            rules: ref('Rules'),
+            spectatorCount: { type: 'integer' }
+          }
+        },
+        GameDetails: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            name: { type: 'string' },
+            status: { type: 'string', enum: ['waiting', 'playing', 'finished'] },
+            isPrivate: { type: 'boolean' },
+            locked: { type: 'boolean', description: 'The host has closed the lobby to new players' },
+            paused: { type: 'boolean' },
+            currentRound: { type: 'integer' },
+            maxRounds: { type: 'integer' },
+            timeRemaining: { type: 'integer' },
+            marketPrices: { type: 'object', additionalProperties: { type: 'number' } },
+            marketChanges: { type: 'object', additionalProperties: { type: 'number' } },
+            players: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  name: { type: 'string' },
+                  rating: { ...ratingSchema, nullable: true },
+                  connected: { type: 'boolean' },
+                  isHost: { type: 'boolean' },
+                  isBot: { type: 'boolean' }
+                }
+              }
+            },
+            rules: ref('Rules'),
+            createdAt: { type: 'string', format: 'date-time' },
+            spectatorCount: { type: 'integer', description: 'Only while the game is live' }
+          }
+        },
+        GameEvent: {
+          type: 'object',
+          properties: {
+            seq: { type: 'integer' },
+            type: { type: 'string' },
+            at: { type: 'string', format: 'date-time' },
+            round: { type: 'integer', nullable: true },
+            data: { type: 'object' }
+          }
+        },
+        GameResult: {
+          type: 'object',
+          properties: {
+            gameId: { type: 'string' },
+            playerName: { type: 'string' },
+            isBot: { type: 'boolean' },
+            rank: { type: 'integer' },
+            isWinner: { type: 'boolean' },
+            finalScore: { type: 'number' },
+            tokens: { type: 'number' },
+            assetValue: { type: 'number' },
+            strategy: { type: 'string' },
+            finishedAt: { type: 'string', format: 'date-time' }
+          }
+        },
+        PlayerProfile: {
+          type: 'object',
+          properties: {
+            walletAddress: { type: 'string' },
+            displayName: { type: 'string' },
+            gamesPlayed: { type: 'integer' },
+            wins: { type: 'integer' },
+            averageScore: { type: 'integer' },
+            bestScore: { type: 'number' },
+            rating: ratingSchema,
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' }
+          }
+        },
+        LeaderboardEntry: {
+          type: 'object',
+          properties: {
+            rank: { type: 'integer' },
+            walletAddress: { type: 'string' },
+            displayName: { type: 'string' },
+            gamesPlayed: { type: 'integer' },
+            wins: { type: 'integer' },
+            averageScore: { type: 'integer' },
+            bestScore: { type: 'number' }
+          }
+        }
+      }
+    }
+  };
+}
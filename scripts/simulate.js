@@ -0,0 +1,78 @@
+import { writeFileSync } from 'fs';
+import { parseArgs } from 'util';
+import { validateSimulation, runSimulation, summaryCsv, gamesCsv } from '../services/simulation.js';
+
+// Balance-testing runs from the command line, e.g.
+//
+//   npm run simulate -- --games 5000 --strategies momentum,saboteur,hoarder,random
+//   npm run simulate -- --rules '{"sabotageCost":50}' --format csv --out sabotage50.csv
+//
+//   --games       games to play (default 1000)
+//   --strategies  comma-separated strategy per seat (default: one of each)
+//   --rules       JSON rule overrides, as accepted by create-game
+//   --seed        run seed; the same seed replays the same games
+//   --format      json (default) or csv
+//   --rows        summary (default: per-strategy statistics) or games (CSV:
+//                 one row per seat per game; JSON: statistics plus every game)
+//   --out         write to a file instead of stdout
+
+const USAGE = 'Usage: node scripts/simulate.js [--games N] [--strategies a,b,...] [--rules JSON] [--seed S] [--format json|csv] [--rows summary|games] [--out FILE]';
+
+function fail(message) {
+  console.error(message);
+  console.error(USAGE);
+  process.exit(1);
+}
+
+let args;
+try {
+  ({ values: args } = parseArgs({
+    options: {
+      games: { type: 'string' },
+      strategies: { type: 'string' },
+      rules: { type: 'string' },
+      seed: { type: 'string' },
+      format: { type: 'string', default: 'json' },
+      rows: { type: 'string', default: 'summary' },
+      out: { type: 'string' }
+    }
+  }));
+} catch (error) {
+  fail(error.message);
+}
+
+if (!['json', 'csv'].includes(args.format)) fail('--format must be json or csv');
+if (!['summary', 'games'].includes(args.rows)) fail('--rows must be summary or games');
+
+let rules;
+try {
+  rules = args.rules ? JSON.parse(args.rules) : undefined;
+} catch {
+  fail('--rules must be a JSON object');
+}
+
+const simulation = validateSimulation({
+  games: args.games === undefined ? undefined : Number(args.games),
+  strategies: args.strategies?.split(',').map(strategy => strategy.trim()).filter(Boolean),
+  rules,
+  seed: args.seed
+});
+if (!simulation.valid) fail(simulation.errors.join('\n'));
+
+const started = Date.now();
+const report = runSimulation(simulation.options);
+console.error(`🎲 Simulated ${report.options.games} game(s) in ${((Date.now() - started) / 1000).toFixed(1)}s`);
+
+let output;
+if (args.format === 'csv') {
+  output = args.rows === 'games' ? gamesCsv(report) : summaryCsv(report);
+} else {
+  output = JSON.stringify(args.rows === 'games' ? report : { options: report.options, strategies: report.strategies }, null, 2) + '\n';
+}
+
+if (args.out) {
+  writeFileSync(args.out, output);
+  console.error(`📄 Wrote ${args.out}`);
+} else {
+  process.stdout.write(output);
+}
@@ -1,969 +1,2572 @@
-import dotenv from 'dotenv';
-// Load environment variables FIRST
-dotenv.config();
-
-import express from 'express';
-import { createServer } from 'http';
-import { Server } from 'socket.io';
-import cors from 'cors';
-import { GameDatabase } from './services/database.js';
-
-const app = express();
-const server = createServer(app);
-const io = new Server(server, {
-  cors: {
-    origin: true, // Allow all origins for development
-    methods: ["GET", "POST"],
-    credentials: true
-  }
-});
-
-app.use(cors());
-app.use(express.json());
-
-// Store active game states in memory for real-time operations
-// Database stores persistent data, memory stores real-time state
-const activeGameStates = new Map();
-const players = new Map(); // socketId -> playerInfo
-const gameTimers = new Map(); // gameId -> timer objects
-const inactivityTimers = new Map(); // gameId -> inactivity timer
-const roundTimers = new Map(); // gameId -> round timer objects
-
-// Helper function to generate game ID
-function generateGameId() {
-  // Create a more unique game ID using timestamp and random string
-  const timestamp = Date.now().toString(36);
-  const random = Math.random().toString(36).substr(2, 6);
-  return `${timestamp}${random}`.toUpperCase();
-}
-
-// Helper function to generate player ID
-function generatePlayerId() {
-  return 'player_' + Math.random().toString(36).substr(2, 9);
-}
-
-// Initial game state template
-function createInitialGameState() {
-  return {
-    currentRound: 1,
-    maxRounds: 20,
-    timeRemaining: { hours: 0, minutes: 1,seconds:0},
-    players: [],
-    marketChanges: [
-      { resource: 'gold', change: 0, percentage: '+0%' },
-      { resource: 'water', change: 0, percentage: '+0%' },
-      { resource: 'oil', change: 0, percentage: '+0%' }
-    ],
-    // New market prices
-    marketPrices: {
-      gold: 100,
-      water: 50,
-      oil: 150
-    },
-    recentActions: [],
-    actionHistory: {}, // Store actions by round: { roundNumber: [actions] }
-    status: 'waiting', // waiting, playing, finished
-    host: null,
-    timerActive: false,
-    roundInProgress: false,
-    nextRoundStartTime: null
-  };
-}
-
-// Create initial player state
-function createPlayer(playerId, playerName, socketId, walletAddress = null) {
-  return {
-    id: playerId,
-    name: playerName,
-    socketId: socketId,
-    walletAddress: walletAddress,
-    tokens: 1000,
-    assets: { gold: 0, water: 0, oil: 0 },
-    totalAssets: 0,
-    connected: true
-  };
-}
-
-// Socket.IO connection handling
-io.on('connection', (socket) => {
-  console.log('User connected:', socket.id);
-
-  // Get public games list
-  socket.on('get-public-games', async () => {
-    try {
-      const publicGames = await GameDatabase.getPublicGames();
-      
-      // Format for frontend
-      const formattedGames = publicGames.map(game => ({
-        id: game.game_id,
-        name: game.game_name,
-        status: game.current_players >= game.max_players ? 'Full' : 'Open',
-        currentPlayers: game.current_players,
-        maxPlayers: game.max_players,
-        hostName: game.host_name || 'Unknown',
-        createdAt: game.created_at
-      }));
-      
-      socket.emit('public-games-list', formattedGames);
-    } catch (error) {
-      console.error('Error fetching public games:', error);
-      socket.emit('public-games-list', []);
-    }
-  });
-
-  // Create a new game
-  socket.on('create-game', async (data) => {
-    try {
-      const { gameName,gameId, playerName, isPrivate, walletAddress } = data;
-      
-      // Use wallet address as playerId for consistent host detection
-      const playerId = walletAddress || generatePlayerId();
-      
-      console.log(`🎮 Creating game with host wallet: ${walletAddress}, playerId: ${playerId}`);
-      
-      const gameState = createInitialGameState();
-      const player = createPlayer(playerId, playerName, socket.id, walletAddress);
-      
-      gameState.players.push(player);
-      gameState.host = playerId; // This will now be the wallet address
-      gameState.gameName = gameName;
-      gameState.isPrivate = isPrivate || false;
-      gameState.createdAt = new Date();
-      
-      // Save to database
-      const dbGame = await GameDatabase.createGame({
-        gameName,
-        gameId,
-        isPrivate: isPrivate || false,
-        players: [player],
-        gameState,
-        hostPlayerId: playerId
-      });
-      
-      if (!dbGame) {
-        socket.emit('error', { message: 'Failed to create game' });
-        return;
-      }
-      
-      // Store in memory for real-time operations
-      activeGameStates.set(gameId, gameState);
-      players.set(socket.id, { gameId, playerId, playerName });
-      
-      // Join the game room
-      socket.join(gameId);
-      
-      console.log(`Server: Emitting game-created for game ${gameId}`);
-      socket.emit('game-created', { gameId, playerId });
-      
-      // Add a small delay to ensure game-created is processed first
-      setTimeout(() => {
-        console.log(`Server: Sending initial game state for game ${gameId}`);
-        socket.emit('game-state', gameState);
-      }, 200); // Increased delay to 200ms for better synchronization
-      
-      console.log(`Game created: ${gameId} by ${playerName}`);
-    } catch (error) {
-      console.error('Error creating game:', {
-        message: error.message,
-        details: error.stack,
-        hint: error.hint || '',
-        code: error.code || ''
-      });
-      socket.emit('error', { 
-        message: 'Failed to create game',
-        details: error.message,
-        errorType: error.name || 'UnknownError'
-      });
-    }
-  });
-
-  // Join an existing game
-  socket.on('join-game', async (data) => {
-    try {
-      const { gameId, playerName, walletAddress } = data;
-      
-      console.log(`🎮 Player joining with wallet: ${walletAddress}`);
-      
-      
-      // Check if game exists in memory first, otherwise load from database
-      let game = activeGameStates.get(gameId);
-      if (!game) {
-        const dbGame = await GameDatabase.getGame(gameId);
-        if (!dbGame) {
-          socket.emit('error', { message: 'Game not found' });
-          return;
-        }
-        
-        // Reconstruct game state from database
-        game = {
-          ...dbGame.game_state,
-          players: dbGame.players,
-          gameName: dbGame.game_name,
-          isPrivate: dbGame.visibility === 'private',
-          status: dbGame.status,
-          host: dbGame.host_player_id,
-          createdAt: new Date(dbGame.created_at),
-          // Ensure market prices exist
-          marketPrices: dbGame.game_state.marketPrices || { gold: 100, water: 50, oil: 150 }
-        };
-        
-        activeGameStates.set(gameId, game);
-      }
-      
-      if (game.players.length >= 4) {
-        socket.emit('error', { message: 'Game is full' });
-        return;
-      }
-      
-      if (game.status !== 'waiting') {
-        socket.emit('error', { message: 'Game already in progress' });
-        return;
-      }
-      
-      // Use wallet address as playerId for consistent player identification
-      const playerId = walletAddress || generatePlayerId();
-      const player = createPlayer(playerId, playerName, socket.id, walletAddress);
-      
-      game.players.push(player);
-      activeGameStates.set(gameId, game);
-      players.set(socket.id, { gameId, playerId, playerName });
-      
-      // Update database
-      await GameDatabase.addPlayerToGame(gameId, player);
-      
-      // Join the game room
-      socket.join(gameId);
-      
-      console.log(`Server: Player ${playerName} joined game ${gameId}, sending game state`);
-      
-      // Notify all players in the game
-      socket.emit('game-joined', { gameId, playerId });
-      
-      // Send game state to all players
-      setTimeout(() => {
-        console.log(`Server: Broadcasting game state to all players in game ${gameId}`);
-        io.to(gameId).emit('game-state', game);
-        io.to(gameId).emit('player-joined', { playerName });
-      }, 100);
-      
-      console.log(`${playerName} joined game: ${gameId}`);
-    } catch (error) {
-      console.error('Error joining game:', error);
-      socket.emit('error', { message: 'Failed to join game' });
-    }
-  });
-
-  // Get current game state (useful when player enters an existing game)
-  socket.on('get-game-state', async (data) => {
-    try {
-      console.log('Server: get-game-state request received:', data);
-      const { gameId } = data;
-      
-      if (!gameId) {
-        console.error('Server: No gameId provided in get-game-state request');
-        socket.emit('error', { message: 'No game ID provided' });
-        return;
-      }
-      
-      // Check if game exists in memory first
-      let game = activeGameStates.get(gameId);
-      console.log(`Server: Game ${gameId} found in memory:`, !!game);
-      
-      if (!game) {
-        console.log(`Server: Game ${gameId} not in memory, checking database...`);
-        // Try to load from database
-        const dbGame = await GameDatabase.getGame(gameId);
-        if (!dbGame) {
-          console.error(`Server: Game ${gameId} not found in database`);
-          socket.emit('error', { message: 'Game not found' });
-          return;
-        }
-        
-        console.log(`Server: Game ${gameId} found in database, reconstructing state`);
-        // Reconstruct game state from database
-        game = {
-          ...dbGame.game_state,
-          players: dbGame.players,
-          gameName: dbGame.game_name,
-          isPrivate: dbGame.visibility === 'private',
-          status: dbGame.status,
-          host: dbGame.host_player_id,
-          createdAt: new Date(dbGame.created_at),
-          // Ensure market prices exist
-          marketPrices: dbGame.game_state.marketPrices || { gold: 100, water: 50, oil: 150 }
-        };
-        
-        activeGameStates.set(gameId, game);
-      }
-      
-      console.log(`Server: Sending game state to player for game: ${gameId}`, {
-        status: game.status,
-        playerCount: game.players?.length || 0,
-        host: game.host
-      });
-      socket.emit('game-state', game);
-      
-    } catch (error) {
-      console.error('Error getting game state:', error);
-      socket.emit('error', { message: 'Failed to get game state' });
-    }
-  });
-
-  // Start the game
-  socket.on('start-game', async () => {
-    try {
-      const playerInfo = players.get(socket.id);
-      if (!playerInfo) return;
-      
-      const game = activeGameStates.get(playerInfo.gameId);
-      
-      // Enhanced host verification with multiple criteria
-      const isHost = (
-        game.host === playerInfo.playerId ||  // Primary: Direct host ID match
-        game.players.find(p => p.id === playerInfo.playerId)?.walletAddress === game.players.find(p => p.id === game.host)?.walletAddress ||  // Secondary: Wallet match
-        (game.players.length > 0 && game.players[0].id === playerInfo.playerId)  // Fallback: First player
-      );
-      
-      console.log('🔍 HOST VERIFICATION:', {
-        gameId: playerInfo.gameId,
-        playerId: playerInfo.playerId,
-        playerName: playerInfo.playerName,
-        gameHost: game.host,
-        playerWallet: game.players.find(p => p.id === playerInfo.playerId)?.walletAddress,
-        hostWallet: game.players.find(p => p.id === game.host)?.walletAddress,
-        isFirstPlayer: game.players.length > 0 && game.players[0].id === playerInfo.playerId,
-        finalDecision: isHost ? 'ALLOW START' : 'DENY START'
-      });
-      
-      if (!game || !isHost) {
-        socket.emit('error', { message: 'Only the host can start the game' });
-        return;
-      }
-      
-      if (game.players.length < 2) {
-        socket.emit('error', { message: 'Need at least 2 players to start' });
-        return;
-      }
-      
-      game.status = 'playing';
-      game.timerActive = true;
-      activeGameStates.set(playerInfo.gameId, game);
-      
-      // Update database status
-      await GameDatabase.updateGameStatus(playerInfo.gameId, 'playing');
-      
-      io.to(playerInfo.gameId).emit('game-started');
-      io.to(playerInfo.gameId).emit('game-state', game);
-      
-      // Start the game timer
-      startGameTimer(playerInfo.gameId);
-      
-      console.log(`Game started: ${playerInfo.gameId}`);
-    } catch (error) {
-      console.error('Error starting game:', error);
-      socket.emit('error', { message: 'Failed to start game' });
-    }
-  });
-
-  // Handle player exit
-  socket.on('exit-game', async (data) => {
-    try {
-      const playerInfo = players.get(socket.id);
-      if (!playerInfo) return;
-      
-      const game = activeGameStates.get(playerInfo.gameId);
-      if (!game) return;
-      
-      console.log(`Player ${playerInfo.playerName} is exiting game ${playerInfo.gameId}`);
-      
-      // Initialize exitedPlayers array if it doesn't exist
-      if (!game.exitedPlayers) {
-        game.exitedPlayers = new Set();
-      }
-      
-      // Add player to exited players list
-      game.exitedPlayers.add(playerInfo.playerId);
-      
-      // Reset inactivity timer since there's activity
-      resetInactivityTimer(playerInfo.gameId);
-      
-      // Check if all players have exited
-      const allPlayersExited = game.players.every(player => 
-        game.exitedPlayers.has(player.id) || !player.connected
-      );
-      
-      if (allPlayersExited) {
-        console.log(`All players exited game ${playerInfo.gameId}, closing game`);
-        await closeGame(playerInfo.gameId, 'All players exited');
-      } else {
-        // Just remove this player and update game state
-        removePlayerFromGame(playerInfo.gameId, playerInfo.playerId);
-        
-        // Notify remaining players
-        io.to(playerInfo.gameId).emit('player-disconnected', { 
-          playerName: playerInfo.playerName,
-          reason: 'exited'
-        });
-      }
-      
-      // Remove player from socket tracking
-      players.delete(socket.id);
-      socket.leave(playerInfo.gameId);
-      
-    } catch (error) {
-      console.error('Error handling player exit:', error);
-    }
-  });
-
-  // NEW: Handle market price updates from host
-  socket.on('update-market-prices', async (data) => {
-    try {
-      const playerInfo = players.get(socket.id);
-      if (!playerInfo) return;
-      
-      const game = activeGameStates.get(playerInfo.gameId);
-      if (!game || (game.status !== 'playing' && game.status !== 'waiting-for-final-prices')) return;
-      
-      // Verify that the player is the host
-      const isHost = (
-        game.host === playerInfo.playerId ||
-        game.players.find(p => p.id === playerInfo.playerId)?.walletAddress === game.players.find(p => p.id === game.host)?.walletAddress ||
-        (game.players.length > 0 && game.players[0].id === playerInfo.playerId)
-      );
-      
-      if (!isHost) {
-        console.log(`Non-host player ${playerInfo.playerName} tried to update market prices`);
-        return;
-      }
-      
-      const { marketPrices } = data;
-      console.log(data);
-      
-      if (marketPrices && typeof marketPrices === 'object') {
-        // Update market prices
-        game.marketPrices = {
-          gold: marketPrices.gold_price || game.marketPrices.gold,
-          water: marketPrices.water_price || game.marketPrices.water,
-          oil: marketPrices.oil_price || game.marketPrices.oil
-        };
-        
-        console.log(`Host ${playerInfo.playerName} updated market prices for game ${playerInfo.gameId}:`, game.marketPrices);
-        
-        // Check if this is the final market price update (game waiting for final prices)
-        if (game.status === 'waiting-for-final-prices' && game.waitingForFinalPrices) {
-          console.log(`📊 Final market prices received for game ${playerInfo.gameId}, finishing game...`);
-          // Finish the game with final market prices
-          await finishGame(playerInfo.gameId);
-          return;
-        }
-        
-        activeGameStates.set(playerInfo.gameId, game);
-        
-        // Broadcast updated game state to all players
-        io.to(playerInfo.gameId).emit('game-state', game);
-        io.to(playerInfo.gameId).emit('market-prices-updated', { marketPrices: game.marketPrices });
-      }
-      
-    } catch (error) {
-      console.error('Error updating market prices:', error);
-    }
-  });
-
-  // Handle player actions (UPDATED to use dynamic market prices)
-  socket.on('player-action', (data) => {
-    const playerInfo = players.get(socket.id);
-    
-    if (!playerInfo) return;
-    
-    const game = activeGameStates.get(playerInfo.gameId);
-     
-    if (!game || game.status !== 'playing') return;
-    
-    // Reset inactivity timer since there's activity
-    resetInactivityTimer(playerInfo.gameId);
-    
-    const { action, resource, amount, targetPlayer, transactionHash } = data;
-    console.log("Player action data:", action, resource.toLowerCase(), amount, targetPlayer, transactionHash);
-    
-    const player = game.players.find(p => p.id === playerInfo.playerId);
-    
-    if (!player) return;
-    
-    let actionText = '';
-    
-    // Use dynamic market prices instead of fixed prices
-    const resourcePrices = game.marketPrices || { gold: 100, water: 50, oil: 150 };
-    const price = resourcePrices[resource.toLowerCase()] * amount;
-    
-    switch (action) {
-      case 'Buy':
-        if (player.tokens >= price) {
-          console.log("buying", resource.toLowerCase());
-          
-          player.tokens -= price;
-          player.assets[resource.toLowerCase()] += amount;
-          actionText = `${player.name} bought ${amount} ${resource.charAt(0).toUpperCase() + resource.slice(1)} for ${price} tokens`;
-        }
-        break;
-        
-      case 'Sell':
-        if (player.assets[resource.toLowerCase()] >= amount) {
-          console.log("selling", resource.toLowerCase());
-
-          const sellPrice = Math.floor(price * 0.8);
-          player.tokens += sellPrice;
-          player.assets[resource.toLowerCase()] -= amount;
-          actionText = `${player.name} sold ${amount} ${resource.charAt(0).toUpperCase() + resource.slice(1)} for ${sellPrice} tokens`;
-        }
-        break;
-        
-      case 'Burn':
-        if (player.assets[resource.toLowerCase()] >= amount) {
-          player.assets[resource.toLowerCase()] -= amount;
-          // Update market changes
-          const marketChange = game.marketChanges.find(m => m.resource === resource.toLowerCase());
-          if (marketChange) {
-            marketChange.change += amount * 3;
-            marketChange.percentage = `${marketChange.change > 0 ? '+' : ''}${marketChange.change}%`;
-          }
-          actionText = `${player.name} burned ${amount} ${resource.charAt(0).toUpperCase() + resource.slice(1)} to boost market price`;
-        }
-        break;
-        
-      case 'Sabotage':
-        if (player.tokens >= 100 && targetPlayer) {
-          player.tokens -= 100;
-          const target = game.players.find(p => p.id === targetPlayer);
-          console.log("target", target);
-          
-          if (target && target.assets[resource.toLowerCase()] >= amount) {
-            target.assets[resource.toLowerCase()] = Math.max(0, target.assets[resource.toLowerCase()] - amount);
-            target.totalAssets = target.assets.gold + target.assets.water + target.assets.oil;
-            actionText = `${player.name} sabotaged ${target.name}'s ${resource.charAt(0).toUpperCase() + resource.slice(1)} reserves`;
-          }
-        }
-        break;
-    }
-    
-    // Update player's total assets
-    player.totalAssets = player.assets.gold + player.assets.water + player.assets.oil;
-    
-    // Add action to recent actions
-    if (actionText) {
-      // Include transaction hash if available
-      const actionWithTx = transactionHash && transactionHash !== 'pending' 
-        ? `${actionText} (TX: ${transactionHash})`
-        : actionText;
-      
-      game.recentActions.unshift(actionWithTx);
-      game.recentActions = game.recentActions.slice(0, 10); // Keep only last 10 actions
-    }
-    
-    activeGameStates.set(playerInfo.gameId, game);
-    
-    io.to(playerInfo.gameId).emit('game-state', game);
-  });
-
-  // Optional: Add a specific endpoint to get game results
-  socket.on('get-game-results', (data) => {
-    const { gameId } = data;
-    const game = activeGameStates.get(gameId);
-    
-    if (!game || game.status !== 'finished') {
-      socket.emit('error', { message: 'Game not finished or not found' });
-      return;
-    }
-    
-    socket.emit('game-results', {
-      winner: game.winner,
-      finalScores: game.finalScores,
-      marketPrices: game.marketPrices,
-      gameStats: {
-        totalRounds: game.maxRounds,
-        totalPlayers: game.players.length,
-        totalActions: Object.values(game.actionHistory || {}).flat().length || 0
-      }
-    });
-  });
-
-  // Handle disconnect
-  socket.on('disconnect', () => {
-    console.log('User disconnected:', socket.id);
-    
-    const playerInfo = players.get(socket.id);
-    if (playerInfo) {
-      const game = activeGameStates.get(playerInfo.gameId);
-      if (game) {
-        // Mark player as disconnected
-        const player = game.players.find(p => p.id === playerInfo.playerId);
-        if (player) {
-          player.connected = false;
-        }
-        
-        // If host disconnects, assign new host
-        if (game.host === playerInfo.playerId) {
-          const connectedPlayers = game.players.filter(p => p.connected);
-          if (connectedPlayers.length > 0) {
-            game.host = connectedPlayers[0].id;
-          }
-        }
-        
-        activeGameStates.set(playerInfo.gameId, game);
-        io.to(playerInfo.gameId).emit('game-state', game);
-        io.to(playerInfo.gameId).emit('player-disconnected', { playerName: playerInfo.playerName });
-      }
-      
-      players.delete(socket.id);
-    }
-  });
-});
-
-// Helper function to check if game has ended
-function checkGameEnd(gameState) {
-  return gameState.currentRound > gameState.maxRounds;
-}
-
-// Helper function to calculate final scores
-function calculateFinalScores(players, marketPrices) {
-  return players.map(player => {
-    const assetValue = 
-      (player.assets.gold * marketPrices.gold) +
-      (player.assets.water * marketPrices.water) +
-      (player.assets.oil * marketPrices.oil);
-    
-    const finalScore = player.tokens + assetValue;
-    
-    return {
-      ...player,
-      assetValue,
-      finalScore
-    };
-  }).sort((a, b) => b.finalScore - a.finalScore);
-}
-
-// Helper function to determine winner
-function determineWinner(players, marketPrices) {
-  const scoredPlayers = calculateFinalScores(players, marketPrices);
-  return scoredPlayers[0]; // Player with highest score
-}
-
-// Helper function to prepare game for ending (sets waiting-for-final-prices status)
-async function prepareGameEnd(gameId) {
-  try {
-    const game = activeGameStates.get(gameId);
-    if (!game) return;
-    
-    console.log(`⏳ Preparing game ${gameId} for final calculation`);
-    
-    // Set status to indicate waiting for final market prices
-    game.status = 'waiting-for-final-prices';
-    game.timerActive = false;
-    game.waitingForFinalPrices = true;
-    
-    activeGameStates.set(gameId, game);
-    
-    // Notify that we're waiting for final market prices
-    io.to(gameId).emit('game-ending', {
-      message: 'Game ended, calculating final scores...'
-    });
-    
-    console.log(`⏳ Game ${gameId} prepared for ending, waiting for final market prices`);
-    
-  } catch (error) {
-    console.error('Error preparing game end:', error);
-  }
-}
-
-// Helper function to finish game (called after final market prices are updated)
-async function finishGame(gameId) {
-  try {
-    const game = activeGameStates.get(gameId);
-    if (!game) return;
-    
-    console.log(`🏆 Finishing game ${gameId} with final market prices`);
-    
-    // Calculate final scores using final updated market prices
-    const marketPrices = game.marketPrices || { gold: 100, water: 50, oil: 150 };
-    
-    const finalPlayers = calculateFinalScores(game.players, marketPrices);
-    const winner = finalPlayers[0];
-    
-    game.status = 'finished';
-    game.timerActive = false;
-    game.winner = winner;
-    game.finalScores = finalPlayers;
-    game.waitingForFinalPrices = false;
-    
-    activeGameStates.set(gameId, game);
-    
-    // Update database
-    await GameDatabase.updateGameStatus(gameId, 'finished');
-    
-    console.log(`🏆 Game ${gameId} finished. Winner: ${winner.name} with score ${winner.finalScore}`);
-    console.log(`🏆 Final market prices: Gold: ${marketPrices.gold}, Water: ${marketPrices.water}, Oil: ${marketPrices.oil}`);
-    
-    // Notify all players
-    io.to(gameId).emit('game-finished', {
-      winner: winner,
-      finalScores: finalPlayers,
-      marketPrices: marketPrices
-    });
-    
-    io.to(gameId).emit('game-state', game);
-    
-  } catch (error) {
-    console.error('Error finishing game:', error);
-  }
-}
-
-// Helper function to remove player from game
-function removePlayerFromGame(gameId, playerId) {
-  const game = activeGameStates.get(gameId);
-  if (!game) return;
-  
-  game.players = game.players.filter(p => p.id !== playerId);
-  activeGameStates.set(gameId, game);
-}
-
-// Helper function to close and cleanup a game
-async function closeGame(gameId, reason = 'Game closed') {
-  try {
-    console.log(`Closing game ${gameId}: ${reason}`);
-    
-    // Clear any timers
-    const timer = gameTimers.get(gameId);
-    if (timer) {
-      clearInterval(timer);
-      gameTimers.delete(gameId);
-    }
-    
-    const inactivityTimer = inactivityTimers.get(gameId);
-    if (inactivityTimer) {
-      clearTimeout(inactivityTimer);
-      inactivityTimers.delete(gameId);
-    }
-    
-    // Notify all remaining players
-    io.to(gameId).emit('game-closed', { reason });
-    
-    // Remove from active games
-    activeGameStates.delete(gameId);
-    
-    // Update database status
-    await GameDatabase.updateGameStatus(gameId, 'closed');
-    
-    // Disconnect all sockets from this room
-    const room = io.sockets.adapter.rooms.get(gameId);
-    if (room) {
-      room.forEach(socketId => {
-        const socket = io.sockets.sockets.get(socketId);
-        if (socket) {
-          socket.leave(gameId);
-          // Clear player tracking for this socket
-          const playerInfo = players.get(socketId);
-          if (playerInfo && playerInfo.gameId === gameId) {
-            players.delete(socketId);
-          }
-        }
-      });
-    }
-    
-    console.log(`Game ${gameId} successfully closed and cleaned up`);
-  } catch (error) {
-    console.error(`Error closing game ${gameId}:`, error);
-  }
-}
-
-// Helper function to reset inactivity timer
-function resetInactivityTimer(gameId) {
-  // Clear existing timer
-  const existingTimer = inactivityTimers.get(gameId);
-  if (existingTimer) {
-    clearTimeout(existingTimer);
-  }
-  
-  // Set new 20-minute inactivity timer
-  const inactivityTimer = setTimeout(async () => {
-    console.log(`Game ${gameId} has been inactive for 20 minutes, auto-closing`);
-    await closeGame(gameId, 'Game closed due to 20 minutes of inactivity');
-  }, 20 * 60 * 1000); // 20 minutes
-  
-  inactivityTimers.set(gameId, inactivityTimer);
-}
-
-// Game timer function with 10-second round delay
-function startGameTimer(gameId) {
-  // Start inactivity timer when game starts
-  resetInactivityTimer(gameId);
-  
-  const timer = setInterval(async () => {
-    const game = activeGameStates.get(gameId);
-    if (!game || !game.timerActive) {
-      clearInterval(timer);
-      gameTimers.delete(gameId);
-      return;
-    }
-
-    // Handle 10-second countdown between rounds
-    if (game.roundDelay && game.roundDelay.active) {
-      game.roundDelay.timeRemaining -= 1;
-      
-      if (game.roundDelay.timeRemaining <= 0) {
-        // 10-second delay finished, start next round
-        game.roundDelay.active = false;
-        delete game.roundDelay;
-        
-        // Move current round actions to action history
-        if (game.recentActions.length > 0) {
-          game.actionHistory[game.currentRound] = [...game.recentActions];
-        }
-        
-        // Advance to next round
-        game.currentRound += 1;
-        game.recentActions = [];
-        
-        if (game.currentRound > game.maxRounds) {
-          // Game ended - prepare for final calculation
-          await prepareGameEnd(gameId);
-          clearInterval(timer);
-          gameTimers.delete(gameId);
-          return;
-        }
-        
-        // Reset timer for new round
-        game.timeRemaining = { hours: 0, minutes: 1, seconds: 0 };
-        
-        // Generate new market changes for the new round (visual feedback only)
-        game.marketChanges = game.marketChanges.map(change => {
-          const randomChange = Math.floor(Math.random() * 40) - 20;
-          return {
-            ...change,
-            change: randomChange,
-            percentage: `${randomChange > 0 ? '+' : ''}${randomChange}%`
-          };
-        });
-        
-         
-      }
-      
-      activeGameStates.set(gameId, game);
-      io.to(gameId).emit('game-state', game);
-      return;
-    }
-
-    // Normal timer countdown during active round
-    const { hours, minutes, seconds } = game.timeRemaining;
-    let newSeconds = seconds - 1;
-    let newMinutes = minutes;
-    let newHours = hours;
-
-    if (newSeconds < 0) {
-      newSeconds = 59;
-      newMinutes -= 1;
-    }
-
-    if (newMinutes < 0) {
-      newMinutes = 59;
-      newHours -= 1;
-    }
-
-    if (newHours < 0) {
-      // Round time ended - start 10-second delay
-      game.roundDelay = {
-        active: true,
-        timeRemaining: 10
-      };
-      
-      // Note: Game end check will happen after the 10-second delay when currentRound increments
-      
-      // Emit round ended event with delay time
-      io.to(gameId).emit('round-ended', {
-        round: game.currentRound,
-        timeRemaining: 10
-      });
-    } else {
-      // Update timer normally
-      game.timeRemaining = { hours: newHours, minutes: newMinutes, seconds: newSeconds };
-    }
-    
-    activeGameStates.set(gameId, game);
-    io.to(gameId).emit('game-state', game);
-  }, 1000);
-
-  gameTimers.set(gameId, timer);
-}
-
-// Market fluctuations
-setInterval(() => {
-  activeGameStates.forEach((game, gameId) => {
-    if (game.status === 'playing') {
-      game.marketChanges = game.marketChanges.map(change => {
-        const fluctuation = Math.floor(Math.random() * 10) - 5;
-        const newChange = Math.max(-50, Math.min(50, change.change + fluctuation));
-        return {
-          ...change,
-          change: newChange,
-          percentage: `${newChange > 0 ? '+' : ''}${newChange}%`
-        };
-      });
-      
-      activeGameStates.set(gameId, game);
-      io.to(gameId).emit('game-state', game);
-    }
-  });
-}, 5000);
-
-// Comprehensive database cleanup every hour
-setInterval(async () => {
-  try {
-    console.log('🧹 Running scheduled database cleanup...');
-    const result = await GameDatabase.performFullCleanup();
-    
-    if (result.success) {
-      // Also clean up memory states for removed games
-      if (result.staleGamesRemoved > 0 || result.abandonedGamesRemoved > 0) {
-        console.log('🧹 Cleaning up memory states for removed games...');
-        
-        // Get current active game IDs from database to sync memory
-        const activeDbGames = await GameDatabase.getPublicGames();
-        const activeDbGameIds = new Set(activeDbGames.map(g => g.game_id));
-        
-        // Remove memory states for games that no longer exist in database
-        for (const [gameId] of activeGameStates) {
-          if (!activeDbGameIds.has(gameId)) {
-            console.log(`🧹 Removing memory state for deleted game: ${gameId}`);
-            activeGameStates.delete(gameId);
-            
-            // Clear any associated timers
-            if (gameTimers.has(gameId)) {
-              clearInterval(gameTimers.get(gameId));
-              gameTimers.delete(gameId);
-            }
-            if (inactivityTimers.has(gameId)) {
-              clearTimeout(inactivityTimers.get(gameId));
-              inactivityTimers.delete(gameId);
-            }
-          }
-        }
-      }
-    }
-  } catch (error) {
-    console.error('❌ Error during comprehensive cleanup:', error);
-  }
-}, 60 * 60 * 1000); // Every hour
-
-const PORT = process.env.PORT || 3001;
-server.listen(PORT, '0.0.0.0', async () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`Access from other devices: http://YOUR_IP_ADDRESS:${PORT}`);
-  console.log('Supabase database integration enabled');
-  
-  // Cleanup old test games on startup
-  try {
-    await GameDatabase.cleanupOldGames(0.1); // Remove games older than 6 minutes for testing
-    console.log('Cleaned up old test games on startup');
-  } catch (error) {
-    console.error('Error cleaning up old games on startup:', error);
-  }
-});
-
+import dotenv from 'dotenv';
+// Load environment variables FIRST
+dotenv.config();
+
+import express from 'express';
+import { createServer } from 'http';
+import { randomBytes, createHash } from 'crypto';
+import { pathToFileURL } from 'url';
+import { Server } from 'socket.io';
+import cors from 'cors';
+import { GameDatabase } from './services/database.js';
+import { ActionErrorCodes } from './services/gameActions.js';
+import {
+  AuthErrorCodes,
+  createChallenge,
+  verifyChallenge,
+  sameAddress,
+  normalizeAddress
+} from './services/walletAuth.js';
+import { MARKET_TICK_INTERVAL_MS, readHostPrices } from './services/marketEngine.js';
+import {
+  OrderErrorCodes,
+  getDepthSnapshot,
+  grantStartingAssets
+} from './services/orderBook.js';
+import { validateRules, getRules } from './services/gameRules.js';
+import { getResources, basePrices } from './services/resourceCatalog.js';
+import {
+  createInitialGameState,
+  createPlayer,
+  removePlayer
+} from './services/gameFlow.js';
+import { applyCommand } from './services/gameEngine.js';
+import {
+  GameEventTypes,
+  createGameEvent,
+  snapshotGameState,
+  replayGameEvents
+} from './services/gameEvents.js';
+import {
+  buildGameResults,
+  validateLeaderboardQuery,
+  formatProfile,
+  formatResult,
+  formatLeaderboardEntry
+} from './services/playerStats.js';
+import { DEFAULT_RATING, computeRatingChanges, ratingView } from './services/skillRating.js';
+import {
+  MATCH_CONFIRM_SECONDS,
+  MATCH_RULE_PRESETS,
+  MatchErrorCodes,
+  validatePreferences,
+  findMatch
+} from './services/matchmaking.js';
+import {
+  formatGameSummary,
+  formatGameDetails,
+  formatPlayerView,
+  formatGameResults,
+  formatSpectatorView,
+  formatPublicEvent,
+  formatPublicState
+} from './services/gameViews.js';
+import { diffState } from './services/statePatch.js';
+import { HostErrorCodes, isHost, nextHost, isBanned, kickPlayer } from './services/hostControls.js';
+import { RoundControlErrorCodes, pauseGame, resumeGame, voteToSkip } from './services/roundControls.js';
+import { BOT_TURN_INTERVAL_MS, validateBotRequest, botName } from './services/botPlayers.js';
+import {
+  ChatErrorCodes,
+  parseBlockedWords,
+  createProfanityFilter,
+  createRateLimiter,
+  validateChatMessage,
+  chatName,
+  createGameChat,
+  addToHistory
+} from './services/chat.js';
+import { SpectateErrorCodes, spectatorRoom, checkSpectator } from './services/spectators.js';
+import { createApiV1Router, handleApiError } from './routes/apiV1.js';
+import { systemClock } from './services/clock.js';
+
+const app = express();
+const server = createServer(app);
+const io = new Server(server, {
+  cors: {
+    origin: true, // Allow all origins for development
+    methods: ["GET", "POST"],
+    credentials: true
+  }
+});
+
+app.use(cors());
+app.use(express.json());
+
+// REST API (see routes/apiV1.js); the error handler also catches bad JSON bodies
+app.use('/api/v1', createApiV1Router({
+  getLiveGame: gameId => activeGameStates.get(gameId),
+  createOpenGame,
+  buildGameReplay,
+  loadGameEvents,
+  loadPlayerProfile,
+  loadLeaderboard,
+  spectatorCount,
+  now: () => clock.now()
+}), handleApiError);
+
+// Store active game states in memory for real-time operations
+// Database stores persistent data, memory stores real-time state
+const activeGameStates = new Map();
+const players = new Map(); // socketId -> playerInfo
+const gameTimers = new Map(); // gameId -> timer objects
+const inactivityTimers = new Map(); // gameId -> inactivity timer
+const roundTimers = new Map(); // gameId -> round timer objects
+const sessions = new Map(); // SHA-256 of the session token -> { gameId, playerId }
+const gameEventLogs = new Map(); // gameId -> event log of an active game
+const pendingWrites = new Set(); // storage writes not yet settled, flushed on shutdown
+const stateSyncs = new Map(); // gameId -> { version, views: playerId -> last { version, view } sent }
+const gameSpectators = new Map(); // gameId -> Set of spectator socket ids
+const gameChats = new Map(); // gameId -> chat state, see services/chat.js
+const lobbyChatHistory = [];
+const chatLimiter = createRateLimiter();
+const filterChatText = createProfanityFilter(parseBlockedWords(process.env.CHAT_BLOCKED_WORDS));
+let chatMessageSeq = 0;
+const spectatorFeeds = new Map(); // gameId -> { lastView, timers } of the delayed spectator view
+
+// How often running games are snapshotted to storage, on top of the
+// snapshots taken at every round and game transition
+const STATE_SNAPSHOT_INTERVAL_MS = 10 * 1000;
+let clock = systemClock; // replaced by startServer's clock option
+const serverIntervals = []; // market, matchmaker, bot, snapshot and cleanup intervals
+let serverStarted = false;
+let shuttingDown = false;
+
+const matchQueue = []; // players waiting for a match, see services/matchmaking.js
+const pendingMatches = new Map(); // matchId -> match waiting for every player to confirm
+const MATCHMAKER_INTERVAL_MS = 2000;
+const LOBBY_PLAYING_GAMES = 50; // games in progress listed by get-public-games
+const LOBBY_ROOM = 'lobby'; // every connected socket, for lobby chat
+
+// When set, players must sign in with a wallet before creating or joining games
+const REQUIRE_WALLET_AUTH = process.env.REQUIRE_WALLET_AUTH === 'true';
+
+// Helper function to generate game ID
+function generateGameId() {
+  // Create a more unique game ID using timestamp and random string
+  const timestamp = clock.now().toString(36);
+  const random = Math.random().toString(36).substr(2, 6);
+  return `${timestamp}${random}`.toUpperCase();
+}
+
+// Helper function to generate player ID
+function generatePlayerId() {
+  return 'player_' + Math.random().toString(36).substr(2, 9);
+}
+
+// Sessions are kept by the SHA-256 of their token, so the copy saved for a
+// restart is no use to anyone who reads it
+function hashSessionToken(token) {
+  return createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Issue a session token that lets a player reclaim their seat after a disconnect
+function createSession(gameId, playerId) {
+  const sessionToken = randomBytes(24).toString('hex');
+  sessions.set(hashSessionToken(sessionToken), { gameId, playerId });
+  return sessionToken;
+}
+
+// Revoke sessions for a whole game, or for a single player in it
+function revokeSessions(gameId, playerId = null) {
+  for (const [tokenHash, session] of sessions) {
+    if (session.gameId === gameId && (!playerId || session.playerId === playerId)) {
+      sessions.delete(tokenHash);
+    }
+  }
+}
+
+// Append an event to a game's log and persist it in the background.
+// The log is what get-game-replay replays, so record every state change.
+function recordGameEvent(gameId, type, data = {}, at = new Date(clock.now())) {
+  const log = gameEventLogs.get(gameId) || [];
+  const event = createGameEvent(log.length + 1, type, activeGameStates.get(gameId)?.currentRound, data, at);
+  log.push(event);
+  gameEventLogs.set(gameId, log);
+
+  trackWrite(GameDatabase.appendGameEvents(gameId, [event]).then(saved => {
+    if (!saved) console.error(`❌ Failed to persist event ${event.seq} (${type}) for game ${gameId}`);
+  }));
+  return event;
+}
+
+// Keep track of a storage write so shutdown can wait for it
+function trackWrite(promise) {
+  pendingWrites.add(promise);
+  promise.finally(() => pendingWrites.delete(promise));
+  return promise;
+}
+
+// The games table has no status for a game waiting on the host's final
+// prices; it is still running as far as storage is concerned
+function storedStatus(status) {
+  return status === 'waiting-for-final-prices' ? 'playing' : status;
+}
+
+// Save what only the server may read about a game: its market engine,
+// whose seed and RNG state predict every price, and its session hashes
+function saveGameSecrets(gameId, market) {
+  const sessionTokens = {};
+  for (const [tokenHash, session] of sessions) {
+    if (session.gameId === gameId) sessionTokens[tokenHash] = session.playerId;
+  }
+
+  return trackWrite(GameDatabase.saveGameSecrets(gameId, { market, session_tokens: sessionTokens }));
+}
+
+// Snapshot a live game to storage so it survives a restart. Anyone who can
+// see the game can read its games row, so the market and the session hashes
+// players resume with are saved apart.
+async function saveGameState(gameId) {
+  const game = activeGameStates.get(gameId);
+  if (!game) return null;
+
+  const { market, ...gameState } = snapshotGameState(game);
+  saveGameSecrets(gameId, market);
+  return trackWrite(GameDatabase.updateGame(gameId, {
+    game_state: gameState,
+    players: gameState.players,
+    status: storedStatus(game.status),
+    host_player_id: game.host,
+    current_players: game.players.length
+  }));
+}
+
+// Rebuild a game from its database row and its secrets
+function gameFromRow(dbGame, secrets) {
+  const gameState = dbGame.game_state || {};
+  return {
+    ...gameState,
+    market: secrets?.market ?? null,
+    players: dbGame.players,
+    gameName: dbGame.game_name,
+    isPrivate: dbGame.visibility === 'private',
+    // Only the snapshot knows a running game is waiting for final prices
+    status: storedStatus(gameState.status) === dbGame.status ? gameState.status : dbGame.status,
+    host: dbGame.host_player_id,
+    createdAt: new Date(dbGame.created_at),
+    // Ensure market prices exist
+    marketPrices: gameState.marketPrices || basePrices(getResources(gameState))
+  };
+}
+
+// After a restart, load every running game back into memory with its
+// sessions and event log and restart its clock from the snapshot
+async function rehydrateGames() {
+  const rows = await GameDatabase.getGamesByStatus(['playing']);
+
+  for (const row of rows) {
+    const gameId = row.game_id;
+    if (activeGameStates.has(gameId)) continue;
+
+    const secrets = await GameDatabase.getGameSecrets(gameId);
+    const game = gameFromRow(row, secrets);
+    game.players.forEach(player => {
+      player.socketId = null;
+      player.connected = Boolean(player.isBot);
+    });
+
+    for (const [tokenHash, playerId] of Object.entries(secrets?.session_tokens || {})) {
+      sessions.set(tokenHash, { gameId, playerId });
+    }
+
+    activeGameStates.set(gameId, game);
+    gameEventLogs.set(gameId, await GameDatabase.getGameEvents(gameId));
+    recordGameEvent(gameId, GameEventTypes.GAME_RESTORED, { state: snapshotGameState(game) });
+
+    // A paused game stays paused until its host resumes it
+    if (game.status === 'playing' && game.timerActive && !game.paused) {
+      startGameTimer(gameId);
+    } else {
+      resetInactivityTimer(gameId);
+    }
+
+    console.log(`♻️ Restored game ${gameId} at round ${game.currentRound} (${game.status})`);
+  }
+
+  return rows.length;
+}
+
+// A game's event log: from memory while it is active, otherwise from storage
+async function readGameEvents(gameId) {
+  return gameEventLogs.get(gameId) || GameDatabase.getGameEvents(gameId);
+}
+
+// Why a game's log can't be served, or null when it can. Logs are only
+// served once a game is over: until then they give away holdings opponents
+// can't see and everything the market will do next.
+async function gameLogError(gameId, events) {
+  if (events.length === 0) {
+    return { code: 'REPLAY_NOT_FOUND', message: 'No event log for this game' };
+  }
+  const status = activeGameStates.get(gameId)?.status ?? (await GameDatabase.getGame(gameId))?.status;
+  if (status !== 'finished' && status !== 'closed') {
+    return { code: 'GAME_NOT_FINISHED', message: 'The event log is available once the game is over' };
+  }
+  return null;
+}
+
+// A finished game's event log as the public gets it (see formatPublicEvent).
+// Returns { events } or { error: { code, message } }.
+async function loadGameEvents(gameId) {
+  const events = await readGameEvents(gameId);
+  const error = await gameLogError(gameId, events);
+  return error ? { error } : { events: events.map(formatPublicEvent) };
+}
+
+// Public event log plus the state it replays to (up to event `upTo` when
+// given). Returns { gameId, events, state } or { error } as loadGameEvents.
+async function buildGameReplay(gameId, upTo) {
+  const events = await readGameEvents(gameId);
+  const error = await gameLogError(gameId, events);
+  if (error) return { error };
+
+  const limit = upTo === undefined || upTo === null || upTo === '' ? Infinity : Number(upTo);
+  const state = replayGameEvents(events, { upTo: limit });
+  return {
+    gameId,
+    events: events.filter(event => event.seq <= limit).map(formatPublicEvent),
+    state: state && formatPublicState(state)
+  };
+}
+
+// Versioned state sync of a game (see services/statePatch.js)
+function stateSync(gameId) {
+  let sync = stateSyncs.get(gameId);
+  if (!sync) {
+    sync = { version: 0, views: new Map() };
+    stateSyncs.set(gameId, sync);
+  }
+  return sync;
+}
+
+// A player's view as the client holds it once it has gone over the wire
+function playerViewJson(game, playerId) {
+  return JSON.parse(JSON.stringify(formatPlayerView(game, playerId)));
+}
+
+// Send a player a full snapshot of their view, the base for later patches
+function sendGameSnapshot(gameId, game, player) {
+  const sync = stateSync(gameId);
+  const view = playerViewJson(game, player.id);
+  sync.views.set(player.id, { version: sync.version, view });
+  io.to(player.socketId).emit('game-state', { ...view, stateVersion: sync.version });
+}
+
+// Bring every connected player up to date with their own view of the game
+// (see services/gameViews.js): a patch against the last view they were
+// sent, or a snapshot when they have none. Spectators get theirs once their
+// delay is up.
+function broadcastGameState(gameId, game) {
+  const sync = stateSync(gameId);
+  sync.version += 1;
+
+  game.players.forEach(player => {
+    if (!player.connected || !player.socketId) return;
+
+    const sent = sync.views.get(player.id);
+    if (!sent) {
+      sendGameSnapshot(gameId, game, player);
+      return;
+    }
+
+    const view = playerViewJson(game, player.id);
+    const patch = diffState(sent.view, view);
+    if (patch.length === 0) return;
+
+    sync.views.set(player.id, { version: sync.version, view });
+    io.to(player.socketId).emit('game-state-patch', { version: sync.version, baseVersion: sent.version, patch });
+  });
+  updateSpectators(gameId, game);
+}
+
+// One second off the clock. Only the time goes out; patches carry it into
+// the synced state with the next real change.
+function emitTimerTick(gameId, game) {
+  io.to(gameId).emit('timer-tick', {
+    round: game.currentRound,
+    timeRemaining: game.timeRemaining,
+    roundDelay: game.roundDelay?.active ? game.roundDelay.timeRemaining : null
+  });
+}
+
+function spectatorCount(gameId) {
+  return gameSpectators.get(gameId)?.size || 0;
+}
+
+// Queue the current spectator view of a game. It goes out after the game's
+// spectatorDelaySeconds, and becomes what new spectators are shown first.
+function updateSpectators(gameId, game) {
+  const { maxSpectators, spectatorDelaySeconds } = getRules(game);
+  if (maxSpectators === 0) return;
+
+  let feed = spectatorFeeds.get(gameId);
+  if (!feed) {
+    feed = { lastView: null, timers: new Set() };
+    spectatorFeeds.set(gameId, feed);
+  }
+
+  const view = formatSpectatorView(gameId, game, new Date(clock.now()));
+  const publish = () => {
+    feed.lastView = view;
+    io.to(spectatorRoom(gameId)).emit('spectator-state', { ...view, spectatorCount: spectatorCount(gameId) });
+  };
+
+  if (spectatorDelaySeconds === 0) {
+    publish();
+    return;
+  }
+  const timer = clock.setTimeout(() => {
+    feed.timers.delete(timer);
+    publish();
+  }, spectatorDelaySeconds * 1000);
+  feed.timers.add(timer);
+}
+
+// A game as shown to a socket without a seat: the spectator view, held back
+// like the spectators' feed, when the game could take one more spectator;
+// otherwise, or before any delayed view has gone out, the public details
+function outsiderView(gameId, game) {
+  if (!checkSpectator(game, spectatorCount(gameId)).allowed) {
+    return formatGameDetails(gameId, game);
+  }
+  if (getRules(game).spectatorDelaySeconds === 0) {
+    return formatSpectatorView(gameId, game, new Date(clock.now()));
+  }
+  return spectatorFeeds.get(gameId)?.lastView ?? formatGameDetails(gameId, game);
+}
+
+// Stop a socket watching whatever game it spectates. Returns the game id, if any.
+function stopSpectating(socket) {
+  const gameId = socket.data.spectating;
+  if (!gameId) return null;
+
+  gameSpectators.get(gameId)?.delete(socket.id);
+  if (spectatorCount(gameId) === 0) gameSpectators.delete(gameId);
+  socket.leave(spectatorRoom(gameId));
+  delete socket.data.spectating;
+  return gameId;
+}
+
+// Tell a game's spectators it closed and drop its feed
+function closeSpectatorFeed(gameId, reason) {
+  const feed = spectatorFeeds.get(gameId);
+  feed?.timers.forEach(timer => clock.clearTimeout(timer));
+  spectatorFeeds.delete(gameId);
+
+  io.to(spectatorRoom(gameId)).emit('game-closed', { reason });
+  (gameSpectators.get(gameId) || []).forEach(socketId => {
+    const socket = io.sockets.sockets.get(socketId);
+    if (socket) stopSpectating(socket);
+  });
+  gameSpectators.delete(gameId);
+}
+
+function gameChat(gameId) {
+  let chat = gameChats.get(gameId);
+  if (!chat) {
+    chat = createGameChat();
+    gameChats.set(gameId, chat);
+  }
+  return chat;
+}
+
+function createChatMessage(channel, from, text, to = null) {
+  chatMessageSeq += 1;
+  return {
+    id: `msg_${chatMessageSeq}`,
+    channel,
+    from,
+    to,
+    text: filterChatText(text),
+    at: new Date(clock.now()).toISOString()
+  };
+}
+
+// Send a message to every player of a game still in its chat
+function sendGameChat(gameId, game, message) {
+  const chat = gameChat(gameId);
+  game.players
+    .filter(player => !chat.kicked.has(player.id))
+    .forEach(player => emitToPlayer(game, player.id, 'chat-message', message));
+}
+
+// A seated player's copy of their game's chat so far
+function sendGameChatHistory(socket, gameId, playerId) {
+  const chat = gameChat(gameId);
+  if (chat.kicked.has(playerId)) return;
+  socket.emit('chat-history', { channel: 'game', messages: chat.history });
+}
+
+// The socket's seat and game when it holds the host role.
+// Returns { playerInfo, game } or { error: { code, message } }.
+function authorizeHost(socket) {
+  const playerInfo = players.get(socket.id);
+  const game = playerInfo && activeGameStates.get(playerInfo.gameId);
+  if (!game) {
+    return { error: { code: HostErrorCodes.NOT_IN_GAME, message: 'You are not in a game' } };
+  }
+  if (!isHost(game, playerInfo.playerId)) {
+    return { error: { code: HostErrorCodes.NOT_HOST, message: 'Only the host can do that' } };
+  }
+  return { playerInfo, game };
+}
+
+// Hand the host role to `hostId` and log it
+function setHost(gameId, game, hostId) {
+  game.host = hostId;
+  recordGameEvent(gameId, GameEventTypes.HOST_CHANGED, { hostId });
+  console.log(`👑 ${game.players.find(p => p.id === hostId)?.name} is now host of game ${gameId}`);
+}
+
+// Send an event to a single seated player, if they're connected
+function emitToPlayer(game, playerId, event, payload) {
+  const player = game.players.find(p => p.id === playerId);
+  if (player?.connected && player.socketId) {
+    io.to(player.socketId).emit(event, payload);
+  }
+}
+
+// Validate and apply a `player-action` payload for a seated player, log it
+// and broadcast the new state. Bots act through here too.
+// Returns { success, code, message, balances }.
+function submitPlayerAction(gameId, game, player, data) {
+  const result = dispatch(gameId, game, { type: 'action', playerId: player.id, input: data });
+  if (!result.success) {
+    console.log(`Rejected ${data?.action} from ${player.name}: ${result.code}`);
+    return result;
+  }
+
+  const { action, resource, amount, targetPlayer, transactionHash } = result.action;
+  console.log("Player action data:", action, resource, amount, targetPlayer, transactionHash);
+  broadcastGameState(gameId, game);
+  return { success: true, code: null, message: result.message, balances: result.balances };
+}
+
+// Run an engine command (see services/gameEngine.js) on a live game and log
+// the events it produced. Returns the command's result.
+function dispatch(gameId, game, command) {
+  const { events, result } = applyCommand(game, command, { now: clock.now() }, Math.random);
+  events.forEach(event => recordGameEvent(gameId, event.type, event.data, new Date(event.at)));
+  return result;
+}
+
+// Tell both sides of each offer that it changed
+function notifyOfferParties(game, offers) {
+  offers.forEach(offer => {
+    emitToPlayer(game, offer.fromPlayerId, 'trade-offer-updated', { offer });
+    emitToPlayer(game, offer.toPlayerId, 'trade-offer-updated', { offer });
+  });
+}
+
+// Work out who a socket is allowed to play as. Only a wallet verified through
+// the auth handshake becomes a wallet identity; everyone else is a guest.
+function resolvePlayerIdentity(socket, claimedWallet) {
+  const verifiedWallet = socket.data.walletAddress || null;
+
+  if (claimedWallet && !sameAddress(claimedWallet, verifiedWallet)) {
+    return { error: { message: 'Wallet address is not verified for this connection', code: AuthErrorCodes.WALLET_NOT_VERIFIED } };
+  }
+
+  if (!verifiedWallet && REQUIRE_WALLET_AUTH) {
+    return { error: { message: 'Sign in with your wallet first', code: AuthErrorCodes.AUTH_REQUIRED } };
+  }
+
+  // Seat ids are opaque, wallet or not: every player's view carries the
+  // other players' ids, so they mustn't be wallet addresses
+  return {
+    playerId: generatePlayerId(),
+    walletAddress: verifiedWallet
+  };
+}
+
+// Profile and recent results of a wallet player. Returns null when the
+// address is invalid or has never finished a game.
+async function loadPlayerProfile(walletAddress, historyLimit = 10) {
+  const address = normalizeAddress(walletAddress);
+  if (!address) return null;
+
+  const profile = await GameDatabase.getPlayerProfile(address);
+  if (!profile) return null;
+
+  const results = await GameDatabase.getPlayerResults(address, historyLimit);
+  return { profile: formatProfile(profile), recentResults: results.map(formatResult) };
+}
+
+// Leaderboard for a period (all, weekly) and optional strategy (a resource
+// id or cash). Returns { error } when the query is invalid.
+async function loadLeaderboard(params) {
+  const check = validateLeaderboardQuery(params, clock.now());
+  if (!check.valid) return { error: check.message };
+
+  const { period, strategy, since, limit } = check.query;
+  const rows = await GameDatabase.getLeaderboard({ since, strategy, limit });
+  return { period, strategy, entries: rows.map(formatLeaderboardEntry) };
+}
+
+// Current rating of a wallet player, or null for guests
+async function loadRating(walletAddress) {
+  const address = normalizeAddress(walletAddress);
+  if (!address) return null;
+
+  const rows = await GameDatabase.getPlayerRatings([address]);
+  return ratingView(rows?.[0]);
+}
+
+// Rate a finished game: every wallet player is placed by final score
+// against the other wallet players. Guests aren't rated and games with
+// fewer than two wallet players change nothing. Returns the changes.
+async function updateRatings(gameId, game) {
+  const rated = game.finalScores
+    .map(player => ({ player, walletAddress: normalizeAddress(player.walletAddress) }))
+    .filter(({ walletAddress }) => walletAddress);
+  if (rated.length < 2) return [];
+
+  const rows = await GameDatabase.getPlayerRatings(rated.map(({ walletAddress }) => walletAddress));
+  if (!rows) return [];
+  const byWallet = new Map(rows.map(row => [row.wallet_address, row]));
+
+  const changes = computeRatingChanges(rated.map(({ player, walletAddress }) => ({
+    id: player.id,
+    rating: byWallet.get(walletAddress)?.rating ?? DEFAULT_RATING,
+    ratedGames: byWallet.get(walletAddress)?.rated_games ?? 0,
+    score: player.finalScore
+  })));
+
+  const walletOf = new Map(rated.map(({ player, walletAddress }) => [player.id, walletAddress]));
+  const saved = await GameDatabase.updatePlayerRatings(changes.map(change => ({
+    wallet_address: walletOf.get(change.id),
+    rating: change.after,
+    rated_games: change.ratedGames
+  })));
+  if (!saved) {
+    console.error(`❌ Failed to save ratings for game ${gameId}`);
+    return [];
+  }
+
+  return changes.map(({ id, ...change }) => ({ playerId: id, walletAddress: walletOf.get(id), ...change }));
+}
+
+// Create a game with `socket` as its host, save it and seat the host.
+// Returns the game state, or null when storage refused the game.
+async function setUpGame(socket, { gameId, gameName, isPrivate, rules }, { playerId, playerName, walletAddress }) {
+  const gameState = createInitialGameState(rules);
+  const player = createPlayer(playerId, playerName, socket.id, walletAddress, rules);
+  player.rating = await loadRating(walletAddress);
+  
+  grantStartingAssets(gameState, player);
+  
+  gameState.players.push(player);
+  gameState.host = playerId;
+  gameState.gameName = gameName;
+  gameState.isPrivate = isPrivate || false;
+  gameState.createdAt = new Date(clock.now());
+  
+  // Save to database, with the market apart from the readable row
+  const { market, ...storedState } = snapshotGameState(gameState);
+  const dbGame = await GameDatabase.createGame({
+    gameName,
+    gameId,
+    isPrivate: isPrivate || false,
+    players: [player],
+    gameState: storedState,
+    hostPlayerId: playerId,
+    rules
+  });
+  
+  if (!dbGame) return null;
+  await saveGameSecrets(gameId, market);
+  
+  // Store in memory for real-time operations
+  stopSpectating(socket);
+  activeGameStates.set(gameId, gameState);
+  players.set(socket.id, { gameId, playerId, playerName });
+  recordGameEvent(gameId, GameEventTypes.GAME_CREATED, { state: snapshotGameState(gameState) });
+  
+  // Join the game room
+  socket.join(gameId);
+  return gameState;
+}
+
+// Create an empty waiting game with no host, for the REST API. The first
+// player to join becomes the host. Returns { gameId, game } or null.
+async function createOpenGame({ gameName, isPrivate, rules }) {
+  const gameId = generateGameId();
+  const gameState = createInitialGameState(rules);
+  gameState.host = null;
+  gameState.gameName = gameName;
+  gameState.isPrivate = isPrivate;
+  gameState.createdAt = new Date(clock.now());
+
+  const { market, ...storedState } = snapshotGameState(gameState);
+  const dbGame = await GameDatabase.createGame({
+    gameName,
+    gameId,
+    isPrivate,
+    players: [],
+    gameState: storedState,
+    hostPlayerId: null,
+    rules
+  });
+
+  if (!dbGame) return null;
+  await saveGameSecrets(gameId, market);
+
+  activeGameStates.set(gameId, gameState);
+  recordGameEvent(gameId, GameEventTypes.GAME_CREATED, { state: snapshotGameState(gameState) });
+  // Nobody may ever join; close it like any other idle game
+  resetInactivityTimer(gameId);
+  console.log(`Game created over the API: ${gameId}`);
+  return { gameId, game: gameState };
+}
+
+// Seat a new player from `socket` in a waiting game. Returns the player.
+async function seatPlayer(socket, gameId, game, { playerId, playerName, walletAddress }) {
+  const player = createPlayer(playerId, playerName, socket.id, walletAddress, getRules(game));
+  player.rating = await loadRating(walletAddress);
+  grantStartingAssets(game, player);
+  
+  stopSpectating(socket);
+  stateSync(gameId).views.delete(playerId);
+  game.players.push(player);
+  activeGameStates.set(gameId, game);
+  players.set(socket.id, { gameId, playerId, playerName });
+  recordGameEvent(gameId, GameEventTypes.PLAYER_JOINED, { player: { ...player, socketId: null } });
+
+  // Games created over the API have no host until someone joins
+  if (!game.host) {
+    game.host = playerId;
+    recordGameEvent(gameId, GameEventTypes.HOST_CHANGED, { hostId: playerId });
+  }
+  
+  // Update database
+  await GameDatabase.addPlayerToGame(gameId, player);
+  
+  // Join the game room
+  socket.join(gameId);
+  return player;
+}
+
+// Seat a server-side bot. Bots have no socket or wallet, stay connected and
+// are never rated.
+async function seatBot(gameId, game, strategy, name) {
+  const bot = {
+    ...createPlayer(`bot_${randomBytes(6).toString('hex')}`, name, null, null, getRules(game)),
+    isBot: true,
+    botStrategy: strategy,
+    rating: null
+  };
+  grantStartingAssets(game, bot);
+
+  game.players.push(bot);
+  recordGameEvent(gameId, GameEventTypes.PLAYER_JOINED, { player: bot });
+  await GameDatabase.addPlayerToGame(gameId, bot);
+  return bot;
+}
+
+// Give every bot in a running round its turn
+function runBots() {
+  activeGameStates.forEach((game, gameId) => {
+    game.players.filter(player => player.isBot).forEach(bot => {
+      const result = dispatch(gameId, game, { type: 'bot-turn', playerId: bot.id });
+      if (result.acted && result.success) broadcastGameState(gameId, game);
+    });
+  });
+}
+
+// Start play in a game and its clock
+async function beginGame(gameId, game) {
+  dispatch(gameId, game, { type: 'start' });
+  activeGameStates.set(gameId, game);
+  
+  // Update database status
+  await saveGameState(gameId);
+  
+  io.to(gameId).emit('game-started');
+  broadcastGameState(gameId, game);
+  
+  // Start the game timer
+  startGameTimer(gameId);
+  
+  console.log(`Game started: ${gameId}`);
+}
+
+// Queue entry or pending match holding a socket, if any
+function findQueueEntry(socketId) {
+  return matchQueue.find(entry => entry.socketId === socketId) || null;
+}
+
+function findPendingMatch(socketId) {
+  return [...pendingMatches.values()].find(match => match.entries.some(entry => entry.socketId === socketId)) || null;
+}
+
+// Whether a wallet is queued or in a pending match, from any socket
+function isWalletQueued(walletAddress) {
+  const entries = [...matchQueue, ...[...pendingMatches.values()].flatMap(match => match.entries)];
+  return entries.some(entry => sameAddress(entry.walletAddress, walletAddress));
+}
+
+function removeFromQueue(socketId) {
+  const index = matchQueue.findIndex(entry => entry.socketId === socketId);
+  if (index >= 0) matchQueue.splice(index, 1);
+  return index >= 0;
+}
+
+// Offer a group from the queue a match; every player has to confirm it
+function proposeMatch({ entries, playerCount, preset }) {
+  entries.forEach(entry => removeFromQueue(entry.socketId));
+
+  const match = {
+    id: 'match_' + randomBytes(6).toString('hex'),
+    entries,
+    playerCount,
+    preset,
+    confirmed: new Set(),
+    confirmBy: clock.now() + MATCH_CONFIRM_SECONDS * 1000
+  };
+  match.timeout = clock.setTimeout(() => {
+    const unconfirmed = match.entries.filter(entry => !match.confirmed.has(entry.socketId));
+    cancelMatch(match, 'Not every player confirmed in time', unconfirmed.map(entry => entry.socketId));
+  }, MATCH_CONFIRM_SECONDS * 1000);
+  pendingMatches.set(match.id, match);
+
+  const payload = {
+    matchId: match.id,
+    playerCount,
+    preset,
+    players: entries.map(entry => ({ playerName: entry.playerName, rating: entry.rating })),
+    confirmBy: new Date(match.confirmBy).toISOString()
+  };
+  entries.forEach(entry => io.to(entry.socketId).emit('match-found', payload));
+  console.log(`🤝 Proposed ${match.id}: ${entries.map(entry => entry.playerName).join(', ')} (${preset})`);
+}
+
+// Call off a pending match. Players in `dropped` leave matchmaking; everyone
+// else still connected goes back to the queue keeping their place.
+function cancelMatch(match, reason, dropped = []) {
+  clock.clearTimeout(match.timeout);
+  pendingMatches.delete(match.id);
+
+  match.entries.forEach(entry => {
+    const requeued = !dropped.includes(entry.socketId) && io.sockets.sockets.has(entry.socketId);
+    if (requeued) matchQueue.push(entry);
+    io.to(entry.socketId).emit('match-cancelled', { matchId: match.id, reason, requeued });
+  });
+  matchQueue.sort((a, b) => a.queuedAt - b.queuedAt);
+}
+
+// Everyone confirmed: create the game through the normal path, seat every
+// player and start it
+async function launchMatch(match) {
+  clock.clearTimeout(match.timeout);
+  pendingMatches.delete(match.id);
+
+  const sockets = match.entries.map(entry => io.sockets.sockets.get(entry.socketId));
+  const gone = match.entries.filter((entry, index) => !sockets[index]).map(entry => entry.socketId);
+  if (gone.length > 0) {
+    pendingMatches.set(match.id, match);
+    cancelMatch(match, 'A player left before the game started', gone);
+    return;
+  }
+
+  const gameId = generateGameId();
+  const { rules } = validateRules({ ...MATCH_RULE_PRESETS[match.preset], maxPlayers: match.playerCount });
+  const [host, ...guests] = match.entries;
+
+  const game = await setUpGame(sockets[0], { gameId, gameName: `Match ${gameId}`, isPrivate: true, rules }, host);
+  if (!game) {
+    pendingMatches.set(match.id, match);
+    cancelMatch(match, 'Failed to create game');
+    return;
+  }
+  for (const [index, entry] of guests.entries()) {
+    await seatPlayer(sockets[index + 1], gameId, game, entry);
+  }
+
+  match.entries.forEach(entry => {
+    io.to(entry.socketId).emit('match-ready', {
+      matchId: match.id,
+      gameId,
+      playerId: entry.playerId,
+      sessionToken: createSession(gameId, entry.playerId)
+    });
+  });
+
+  console.log(`🤝 ${match.id} started as game ${gameId}`);
+  await beginGame(gameId, game);
+}
+
+// Form as many matches as the queue allows
+function runMatchmaker() {
+  let match;
+  while ((match = findMatch(matchQueue, clock.now()))) {
+    proposeMatch(match);
+  }
+}
+
+// Socket.IO connection handling
+io.on('connection', (socket) => {
+  console.log('User connected:', socket.id);
+  socket.join(LOBBY_ROOM);
+  socket.emit('chat-history', { channel: 'lobby', messages: lobbyChatHistory });
+
+  // Start the wallet handshake: the client signs this challenge and sends it
+  // back through `authenticate`
+  const sendAuthChallenge = () => {
+    socket.data.authChallenge = createChallenge(clock.now());
+    const { nonce, message, expiresAt } = socket.data.authChallenge;
+    socket.emit('auth-challenge', { nonce, message, expiresAt });
+  };
+  sendAuthChallenge();
+
+  socket.on('request-auth-challenge', () => {
+    sendAuthChallenge();
+  });
+
+  // Verify a signed challenge and bind the wallet to this socket
+  socket.on('authenticate', (data, ack) => {
+    const result = verifyChallenge(socket.data.authChallenge, data?.walletAddress, data?.signature, clock.now());
+
+    // Challenges are single use, successful or not
+    socket.data.authChallenge = null;
+
+    const payload = result.valid
+      ? { success: true, walletAddress: result.address }
+      : { success: false, code: result.code, message: result.message };
+
+    if (result.valid) {
+      socket.data.walletAddress = result.address;
+      console.log(`🔐 Socket ${socket.id} authenticated as ${result.address}`);
+    } else {
+      console.log(`🔐 Authentication failed for socket ${socket.id}: ${result.code}`);
+    }
+
+    if (typeof ack === 'function') ack(payload);
+    socket.emit(result.valid ? 'authenticated' : 'auth-failed', payload);
+  });
+
+  // Get public games list
+  // Lobby list of open public games. With { includePlaying: true } it also
+  // lists public games in progress, which can be spectated.
+  socket.on('get-public-games', async (data) => {
+    try {
+      const publicGames = await GameDatabase.getPublicGames();
+      
+      // Format for frontend; locked games can't be joined so aren't listed
+      const formattedGames = publicGames.filter(game => !activeGameStates.get(game.game_id)?.locked).map(game => ({
+        ...formatGameSummary(game),
+        status: game.current_players >= game.max_players ? 'Full' : 'Open',
+        spectatorCount: spectatorCount(game.game_id)
+      }));
+
+      if (data?.includePlaying) {
+        const { rows } = await GameDatabase.listPublicGames({ statuses: ['playing'], limit: LOBBY_PLAYING_GAMES });
+        rows.forEach(game => formattedGames.push({
+          ...formatGameSummary(game),
+          status: 'In progress',
+          spectatorCount: spectatorCount(game.game_id)
+        }));
+      }
+      
+      socket.emit('public-games-list', formattedGames);
+    } catch (error) {
+      console.error('Error fetching public games:', error);
+      socket.emit('public-games-list', []);
+    }
+  });
+
+  // Watch a game without a seat ({ gameId }). Answered via ack or
+  // `spectating` / `spectate-failed`; updates arrive as `spectator-state`.
+  socket.on('spectate-game', (data, ack) => {
+    const respond = (payload) => {
+      if (typeof ack === 'function') ack(payload);
+      socket.emit(payload.success ? 'spectating' : 'spectate-failed', payload);
+    };
+
+    if (players.has(socket.id)) {
+      respond({ success: false, code: SpectateErrorCodes.ALREADY_PLAYING, message: 'Leave your current game before spectating' });
+      return;
+    }
+
+    const gameId = data?.gameId;
+    const game = activeGameStates.get(gameId);
+    const alreadyWatching = socket.data.spectating === gameId;
+    const check = checkSpectator(game, spectatorCount(gameId) - (alreadyWatching ? 1 : 0));
+    if (!check.allowed) {
+      respond({ success: false, code: check.code, message: check.message });
+      return;
+    }
+
+    stopSpectating(socket);
+    if (!gameSpectators.has(gameId)) gameSpectators.set(gameId, new Set());
+    gameSpectators.get(gameId).add(socket.id);
+    socket.data.spectating = gameId;
+    socket.join(spectatorRoom(gameId));
+
+    const { spectatorDelaySeconds } = getRules(game);
+    respond({ success: true, gameId, delaySeconds: spectatorDelaySeconds, spectatorCount: spectatorCount(gameId) });
+    socket.emit('chat-history', { channel: 'spectators', messages: gameChat(gameId).spectatorHistory });
+
+    // Without a delay the live view is fine; otherwise start from the last
+    // view that has already gone out, once there is one
+    if (spectatorDelaySeconds === 0) {
+      socket.emit('spectator-state', { ...formatSpectatorView(gameId, game, new Date(clock.now())), spectatorCount: spectatorCount(gameId) });
+    } else {
+      const lastView = spectatorFeeds.get(gameId)?.lastView;
+      if (lastView) socket.emit('spectator-state', { ...lastView, spectatorCount: spectatorCount(gameId) });
+      if (!spectatorFeeds.has(gameId)) updateSpectators(gameId, game);
+    }
+    console.log(`👀 Spectator ${socket.id} watching game ${gameId} (${spectatorCount(gameId)} watching)`);
+  });
+
+  socket.on('stop-spectating', () => {
+    const gameId = stopSpectating(socket);
+    socket.emit(gameId ? 'spectating-stopped' : 'spectate-failed', gameId ? { gameId } : { code: SpectateErrorCodes.GAME_NOT_FOUND, message: 'You are not spectating a game' });
+  });
+
+  // Send a chat message: { channel: game | spectators | lobby, text, to }.
+  // `to` whispers to one player id in your game. Failures are answered via
+  // ack or `chat-failed`; messages arrive as `chat-message`.
+  socket.on('chat-message', (data, ack) => {
+    const respond = (payload) => {
+      if (typeof ack === 'function') ack(payload);
+      if (!payload.success) socket.emit('chat-failed', payload);
+    };
+
+    const check = validateChatMessage(data);
+    if (!check.valid) {
+      respond({ success: false, code: check.code, message: check.message });
+      return;
+    }
+
+    const playerInfo = players.get(socket.id);
+    if (!chatLimiter.allow(playerInfo?.playerId || socket.id, clock.now())) {
+      respond({ success: false, code: ChatErrorCodes.RATE_LIMITED, message: 'You are sending messages too fast' });
+      return;
+    }
+
+    if (check.channel === 'lobby') {
+      const message = createChatMessage('lobby', { name: playerInfo?.playerName || chatName(data.playerName) }, check.text);
+      addToHistory(lobbyChatHistory, message);
+      io.to(LOBBY_ROOM).emit('chat-message', message);
+      respond({ success: true, message });
+      return;
+    }
+
+    if (check.channel === 'spectators') {
+      const gameId = socket.data.spectating;
+      if (!gameId) {
+        respond({ success: false, code: ChatErrorCodes.NOT_IN_CHANNEL, message: 'You are not spectating a game' });
+        return;
+      }
+      const message = createChatMessage('spectators', { name: chatName(data.playerName) }, check.text);
+      addToHistory(gameChat(gameId).spectatorHistory, message);
+      io.to(spectatorRoom(gameId)).emit('chat-message', message);
+      respond({ success: true, message });
+      return;
+    }
+
+    const game = playerInfo && activeGameStates.get(playerInfo.gameId);
+    if (!game) {
+      respond({ success: false, code: ChatErrorCodes.NOT_IN_CHANNEL, message: 'You are not in a game' });
+      return;
+    }
+    const chat = gameChat(playerInfo.gameId);
+    if (chat.kicked.has(playerInfo.playerId)) {
+      respond({ success: false, code: ChatErrorCodes.KICKED, message: 'The host removed you from chat' });
+      return;
+    }
+    if (chat.muted.has(playerInfo.playerId)) {
+      respond({ success: false, code: ChatErrorCodes.MUTED, message: 'The host muted you' });
+      return;
+    }
+
+    const from = { id: playerInfo.playerId, name: playerInfo.playerName };
+    if (check.to) {
+      const recipient = game.players.find(p => p.id === check.to && p.id !== playerInfo.playerId);
+      if (!recipient || chat.kicked.has(recipient.id)) {
+        respond({ success: false, code: ChatErrorCodes.RECIPIENT_NOT_FOUND, message: 'No such player in your game chat' });
+        return;
+      }
+      // Whispers stay out of the shared history
+      const message = createChatMessage('game', from, check.text, { id: recipient.id, name: recipient.name });
+      emitToPlayer(game, playerInfo.playerId, 'chat-message', message);
+      emitToPlayer(game, recipient.id, 'chat-message', message);
+      respond({ success: true, message });
+      return;
+    }
+
+    const message = createChatMessage('game', from, check.text);
+    addToHistory(chat.history, message);
+    sendGameChat(playerInfo.gameId, game, message);
+    respond({ success: true, message });
+  });
+
+  // History of a chat channel you're in ({ channel })
+  socket.on('get-chat-history', (data) => {
+    const channel = data?.channel || 'game';
+    const playerInfo = players.get(socket.id);
+    if (channel === 'lobby') {
+      socket.emit('chat-history', { channel, messages: lobbyChatHistory });
+    } else if (channel === 'spectators' && socket.data.spectating) {
+      socket.emit('chat-history', { channel, messages: gameChat(socket.data.spectating).spectatorHistory });
+    } else if (channel === 'game' && playerInfo && !gameChat(playerInfo.gameId).kicked.has(playerInfo.playerId)) {
+      socket.emit('chat-history', { channel, messages: gameChat(playerInfo.gameId).history });
+    } else {
+      socket.emit('chat-failed', { code: ChatErrorCodes.NOT_IN_CHANNEL, message: 'You are not in that channel' });
+    }
+  });
+
+  // Host only: { playerId, action: mute | unmute | kick | unkick } on the
+  // game's player chat. Kicked players neither send nor receive it.
+  socket.on('moderate-chat', (data, ack) => {
+    const respond = (payload) => {
+      if (typeof ack === 'function') ack(payload);
+      if (!payload.success) socket.emit('chat-failed', payload);
+    };
+
+    const { playerInfo, game, error } = authorizeHost(socket);
+    if (error) {
+      respond({ success: false, ...error });
+      return;
+    }
+
+    const target = game.players.find(p => p.id === data?.playerId && p.id !== playerInfo.playerId);
+    if (!target) {
+      respond({ success: false, code: ChatErrorCodes.RECIPIENT_NOT_FOUND, message: 'No such player in your game' });
+      return;
+    }
+
+    const chat = gameChat(playerInfo.gameId);
+    const { action } = data;
+    if (action === 'mute') chat.muted.add(target.id);
+    else if (action === 'unmute') chat.muted.delete(target.id);
+    else if (action === 'kick') chat.kicked.add(target.id);
+    else if (action === 'unkick') chat.kicked.delete(target.id);
+    else {
+      respond({ success: false, code: ChatErrorCodes.INVALID_MESSAGE, message: 'action must be mute, unmute, kick or unkick' });
+      return;
+    }
+
+    const notice = { playerId: target.id, playerName: target.name, action };
+    game.players.forEach(player => emitToPlayer(game, player.id, 'chat-moderated', notice));
+    const targetSocket = action === 'unkick' && io.sockets.sockets.get(target.socketId);
+    if (targetSocket) sendGameChatHistory(targetSocket, playerInfo.gameId, target.id);
+    console.log(`🔇 Host ${playerInfo.playerName} used ${action} on ${target.name} in game ${playerInfo.gameId}`);
+    respond({ success: true, ...notice });
+  });
+
+  // Host commands. Each is answered via ack or, on failure, `host-command-failed`.
+
+  // Remove a player ({ playerId, forfeit, ban }). Unless `forfeit`, they keep
+  // their holdings and are scored with them when the game ends (see
+  // kickPlayer); with `ban` their wallet can't rejoin this game.
+  socket.on('kick-player', (data, ack) => {
+    const respond = (payload) => {
+      if (typeof ack === 'function') ack(payload);
+      if (!payload.success) socket.emit('host-command-failed', { command: 'kick-player', ...payload });
+    };
+
+    try {
+      const { playerInfo, game, error } = authorizeHost(socket);
+      if (error) {
+        respond({ success: false, ...error });
+        return;
+      }
+
+      const { gameId } = playerInfo;
+      const target = game.players.find(p => p.id === data?.playerId);
+      if (!target) {
+        respond({ success: false, code: HostErrorCodes.PLAYER_NOT_FOUND, message: 'No such player in your game' });
+        return;
+      }
+      if (target.id === playerInfo.playerId) {
+        respond({ success: false, code: HostErrorCodes.CANNOT_TARGET_SELF, message: 'Leave the game instead of kicking yourself' });
+        return;
+      }
+      const forfeit = Boolean(data.forfeit);
+      const ban = Boolean(data.ban);
+      if (ban && !target.walletAddress) {
+        respond({ success: false, code: HostErrorCodes.NO_WALLET, message: 'Only wallet players can be banned' });
+        return;
+      }
+
+      const { cancelledOffers, cancelledOrders, holdings, bannedWallet } = kickPlayer(game, target.id, { forfeit, ban });
+      recordGameEvent(gameId, GameEventTypes.PLAYER_KICKED, { playerId: target.id, forfeit, ban });
+      notifyOfferParties(game, cancelledOffers);
+      notifyCancelledOrders(gameId, game, cancelledOrders);
+
+      // Drop the kicked player's seat, sessions and room
+      revokeSessions(gameId, target.id);
+      stateSync(gameId).views.delete(target.id);
+      const targetSocket = target.socketId && io.sockets.sockets.get(target.socketId);
+      if (targetSocket) {
+        players.delete(targetSocket.id);
+        targetSocket.leave(gameId);
+        targetSocket.emit('kicked', { gameId, banned: Boolean(bannedWallet), holdings });
+      }
+
+      io.to(gameId).emit('player-disconnected', { playerName: target.name, reason: bannedWallet ? 'banned' : 'kicked' });
+      broadcastGameState(gameId, game);
+      saveGameState(gameId);
+      console.log(`👢 Host ${playerInfo.playerName} ${bannedWallet ? 'banned' : 'kicked'} ${target.name} from game ${gameId}${forfeit ? ' (holdings forfeited)' : ''}`);
+      respond({ success: true, playerId: target.id, forfeit, banned: Boolean(bannedWallet) });
+    } catch (error) {
+      console.error('Error kicking player:', error);
+      respond({ success: false, message: 'Failed to kick player' });
+    }
+  });
+
+  // Hand the host role to another connected player ({ playerId })
+  socket.on('transfer-host', (data, ack) => {
+    const respond = (payload) => {
+      if (typeof ack === 'function') ack(payload);
+      if (!payload.success) socket.emit('host-command-failed', { command: 'transfer-host', ...payload });
+    };
+
+    const { playerInfo, game, error } = authorizeHost(socket);
+    if (error) {
+      respond({ success: false, ...error });
+      return;
+    }
+
+    const target = game.players.find(p => p.id === data?.playerId);
+    if (!target) {
+      respond({ success: false, code: HostErrorCodes.PLAYER_NOT_FOUND, message: 'No such player in your game' });
+      return;
+    }
+    if (target.id === playerInfo.playerId) {
+      respond({ success: false, code: HostErrorCodes.CANNOT_TARGET_SELF, message: 'You are already the host' });
+      return;
+    }
+    if (!target.connected) {
+      respond({ success: false, code: HostErrorCodes.PLAYER_NOT_CONNECTED, message: 'The new host must be connected' });
+      return;
+    }
+    if (target.isBot) {
+      respond({ success: false, code: HostErrorCodes.INVALID_REQUEST, message: 'Bots cannot host' });
+      return;
+    }
+
+    setHost(playerInfo.gameId, game, target.id);
+    io.to(playerInfo.gameId).emit('host-changed', { playerName: target.name });
+    broadcastGameState(playerInfo.gameId, game);
+    saveGameState(playerInfo.gameId);
+    respond({ success: true, playerId: target.id });
+  });
+
+  // Lock or unlock the lobby against new joins ({ locked })
+  socket.on('lock-lobby', (data, ack) => {
+    const respond = (payload) => {
+      if (typeof ack === 'function') ack(payload);
+      if (!payload.success) socket.emit('host-command-failed', { command: 'lock-lobby', ...payload });
+    };
+
+    const { playerInfo, game, error } = authorizeHost(socket);
+    if (error) {
+      respond({ success: false, ...error });
+      return;
+    }
+    if (typeof data?.locked !== 'boolean') {
+      respond({ success: false, code: HostErrorCodes.INVALID_REQUEST, message: 'locked must be true or false' });
+      return;
+    }
+
+    game.locked = data.locked;
+    recordGameEvent(playerInfo.gameId, GameEventTypes.LOBBY_LOCKED, { locked: data.locked });
+    broadcastGameState(playerInfo.gameId, game);
+    saveGameState(playerInfo.gameId);
+    console.log(`🔒 Host ${playerInfo.playerName} ${data.locked ? 'locked' : 'unlocked'} game ${playerInfo.gameId}`);
+    respond({ success: true, locked: data.locked });
+  });
+
+  // Fill a lobby seat with a bot ({ strategy, name }). Bots are removed
+  // with kick-player like anyone else.
+  socket.on('add-bot', async (data, ack) => {
+    const respond = (payload) => {
+      if (typeof ack === 'function') ack(payload);
+      if (!payload.success) socket.emit('host-command-failed', { command: 'add-bot', ...payload });
+    };
+
+    try {
+      const { playerInfo, game, error } = authorizeHost(socket);
+      if (error) {
+        respond({ success: false, ...error });
+        return;
+      }
+
+      const request = validateBotRequest(game, data || {});
+      if (!request.valid) {
+        respond({ success: false, code: request.code, message: request.message });
+        return;
+      }
+
+      const bot = await seatBot(playerInfo.gameId, game, request.strategy, botName(game, request.strategy, data?.name));
+      broadcastGameState(playerInfo.gameId, game);
+      io.to(playerInfo.gameId).emit('player-joined', { playerName: bot.name, isBot: true });
+      console.log(`🤖 Host ${playerInfo.playerName} added ${request.strategy} bot ${bot.name} to game ${playerInfo.gameId}`);
+      respond({ success: true, playerId: bot.id, playerName: bot.name, strategy: bot.botStrategy });
+    } catch (error) {
+      console.error('Error adding bot:', error);
+      respond({ success: false, message: 'Failed to add bot' });
+    }
+  });
+
+  // Pause, resume and vote-to-skip. Each is answered via ack or, on failure,
+  // `round-control-failed`, and announced to the room when it goes through.
+  const roundControlResponder = (command, ack) => (payload) => {
+    if (typeof ack === 'function') ack(payload);
+    if (!payload.success) socket.emit('round-control-failed', { command, ...payload });
+  };
+
+  // Host only: stop the clock and the market where they are
+  socket.on('pause-game', (data, ack) => {
+    const respond = roundControlResponder('pause-game', ack);
+    const { playerInfo, game, error } = authorizeHost(socket);
+    if (error) {
+      respond({ success: false, ...error });
+      return;
+    }
+
+    const result = pauseGame(game);
+    if (!result.success) {
+      respond(result);
+      return;
+    }
+
+    const { gameId } = playerInfo;
+    stopGameTimer(gameId);
+    resetInactivityTimer(gameId);
+    recordGameEvent(gameId, GameEventTypes.GAME_PAUSED, { playerId: playerInfo.playerId });
+    saveGameState(gameId);
+    io.to(gameId).emit('game-paused', {
+      playerName: playerInfo.playerName,
+      round: game.currentRound,
+      timeRemaining: game.timeRemaining,
+      roundDelay: game.roundDelay?.active ? game.roundDelay.timeRemaining : null
+    });
+    broadcastGameState(gameId, game);
+    console.log(`⏸️ Host ${playerInfo.playerName} paused game ${gameId}`);
+    respond({ success: true });
+  });
+
+  // Host only: restart the clock from where it was paused
+  socket.on('resume-game', (data, ack) => {
+    const respond = roundControlResponder('resume-game', ack);
+    const { playerInfo, game, error } = authorizeHost(socket);
+    if (error) {
+      respond({ success: false, ...error });
+      return;
+    }
+
+    const result = resumeGame(game);
+    if (!result.success) {
+      respond(result);
+      return;
+    }
+
+    const { gameId } = playerInfo;
+    startGameTimer(gameId);
+    recordGameEvent(gameId, GameEventTypes.GAME_RESUMED, { playerId: playerInfo.playerId });
+    saveGameState(gameId);
+    io.to(gameId).emit('game-resumed', {
+      playerName: playerInfo.playerName,
+      round: game.currentRound,
+      timeRemaining: game.timeRemaining,
+      roundDelay: game.roundDelay?.active ? game.roundDelay.timeRemaining : null
+    });
+    broadcastGameState(gameId, game);
+    console.log(`▶️ Host ${playerInfo.playerName} resumed game ${gameId}`);
+    respond({ success: true });
+  });
+
+  // Vote to end the current round early, once everyone has acted in it
+  socket.on('vote-skip-round', (data, ack) => {
+    const respond = roundControlResponder('vote-skip-round', ack);
+    const playerInfo = players.get(socket.id);
+    const game = playerInfo && activeGameStates.get(playerInfo.gameId);
+    if (!game) {
+      respond({ success: false, code: RoundControlErrorCodes.GAME_NOT_ACTIVE, message: 'You are not in a game' });
+      return;
+    }
+
+    const result = voteToSkip(game, playerInfo.playerId);
+    if (!result.success) {
+      respond(result);
+      return;
+    }
+
+    const { gameId } = playerInfo;
+    const { votes, needed, passed } = result;
+    recordGameEvent(gameId, GameEventTypes.SKIP_VOTED, { playerId: playerInfo.playerId });
+    io.to(gameId).emit('skip-vote', { playerName: playerInfo.playerName, round: game.currentRound, votes, needed });
+    respond({ success: true, votes, needed, passed });
+
+    if (passed) {
+      console.log(`⏭️ Players voted to skip round ${game.currentRound} of game ${gameId} (${votes}/${needed})`);
+      io.to(gameId).emit('round-skipped', { round: game.currentRound, votes, needed });
+      announceRoundEnd(gameId, game, dispatch(gameId, game, { type: 'end-round', skipped: true }));
+    } else {
+      broadcastGameState(gameId, game);
+    }
+  });
+
+  // Create a new game
+  socket.on('create-game', async (data) => {
+    try {
+      const { gameName,gameId, playerName, isPrivate } = data;
+      
+      const identity = resolvePlayerIdentity(socket, data.walletAddress);
+      if (identity.error) {
+        socket.emit('error', identity.error);
+        return;
+      }
+      const { playerId, walletAddress } = identity;
+      
+      // Optional rule overrides, checked against sane bounds
+      const rulesCheck = validateRules(data.rules);
+      if (!rulesCheck.valid) {
+        socket.emit('error', { message: 'Invalid game rules', code: 'INVALID_RULES', details: rulesCheck.errors });
+        return;
+      }
+      const { rules } = rulesCheck;
+      
+      console.log(`🎮 Creating game with host wallet: ${walletAddress}, playerId: ${playerId}`);
+      
+      const gameState = await setUpGame(socket, { gameId, gameName, isPrivate, rules }, { playerId, playerName, walletAddress });
+      if (!gameState) {
+        socket.emit('error', { message: 'Failed to create game' });
+        return;
+      }
+      
+      console.log(`Server: Emitting game-created for game ${gameId}`);
+      socket.emit('game-created', { gameId, playerId, sessionToken: createSession(gameId, playerId) });
+      
+      // Add a small delay to ensure game-created is processed first
+      clock.setTimeout(() => {
+        console.log(`Server: Sending initial game state for game ${gameId}`);
+        const player = gameState.players.find(p => p.id === playerId);
+        if (player) sendGameSnapshot(gameId, gameState, player);
+      }, 200); // Increased delay to 200ms for better synchronization
+      
+      console.log(`Game created: ${gameId} by ${playerName}`);
+    } catch (error) {
+      console.error('Error creating game:', {
+        message: error.message,
+        details: error.stack,
+        hint: error.hint || '',
+        code: error.code || ''
+      });
+      socket.emit('error', { 
+        message: 'Failed to create game',
+        details: error.message,
+        errorType: error.name || 'UnknownError'
+      });
+    }
+  });
+
+  // Join an existing game
+  socket.on('join-game', async (data) => {
+    try {
+      const { gameId, playerName } = data;
+      
+      const identity = resolvePlayerIdentity(socket, data.walletAddress);
+      if (identity.error) {
+        socket.emit('error', identity.error);
+        return;
+      }
+      const { playerId, walletAddress } = identity;
+      
+      console.log(`🎮 Player joining with wallet: ${walletAddress}`);
+      
+      
+      // Check if game exists in memory first, otherwise load from database
+      let game = activeGameStates.get(gameId);
+      if (!game) {
+        const dbGame = await GameDatabase.getGame(gameId);
+        if (!dbGame) {
+          socket.emit('error', { message: 'Game not found' });
+          return;
+        }
+        
+        // Reconstruct game state from database
+        game = gameFromRow(dbGame, await GameDatabase.getGameSecrets(gameId));
+        
+        activeGameStates.set(gameId, game);
+        gameEventLogs.set(gameId, await GameDatabase.getGameEvents(gameId));
+      }
+      
+      // A player who is already seated must resume their session instead
+      if (walletAddress && game.players.some(p => sameAddress(p.walletAddress, walletAddress))) {
+        socket.emit('error', { message: 'You are already in this game, resume your session to rejoin', code: 'ALREADY_JOINED' });
+        return;
+      }
+
+      if (isBanned(game, walletAddress)) {
+        socket.emit('error', { message: 'You have been banned from this game', code: HostErrorCodes.BANNED });
+        return;
+      }
+
+      if (game.locked) {
+        socket.emit('error', { message: 'The host has locked this game', code: HostErrorCodes.LOBBY_LOCKED });
+        return;
+      }
+
+      if (game.players.length >= getRules(game).maxPlayers) {
+        socket.emit('error', { message: 'Game is full' });
+        return;
+      }
+      
+      if (game.status !== 'waiting') {
+        socket.emit('error', { message: 'Game already in progress' });
+        return;
+      }
+      
+      await seatPlayer(socket, gameId, game, { playerId, playerName, walletAddress });
+      
+      console.log(`Server: Player ${playerName} joined game ${gameId}, sending game state`);
+      
+      // Notify all players in the game
+      socket.emit('game-joined', { gameId, playerId, sessionToken: createSession(gameId, playerId) });
+      sendGameChatHistory(socket, gameId, playerId);
+      
+      // Send game state to all players
+      clock.setTimeout(() => {
+        console.log(`Server: Broadcasting game state to all players in game ${gameId}`);
+        broadcastGameState(gameId, game);
+        io.to(gameId).emit('player-joined', { playerName });
+      }, 100);
+      
+      console.log(`${playerName} joined game: ${gameId}`);
+    } catch (error) {
+      console.error('Error joining game:', error);
+      socket.emit('error', { message: 'Failed to join game' });
+    }
+  });
+
+  // Reclaim a seat from a new socket after a disconnect, either with the
+  // session token from game-created/game-joined or, for an authenticated
+  // wallet, with just the gameId. Works in any phase of a running game:
+  // mid-round, during the round delay and while waiting for final prices.
+  socket.on('resume-session', (data, ack) => {
+    const fail = (code, message) => {
+      const payload = { success: false, code, message };
+      if (typeof ack === 'function') ack(payload);
+      socket.emit('resume-failed', payload);
+    };
+
+    let session = data?.sessionToken ? sessions.get(hashSessionToken(data.sessionToken)) : undefined;
+    if (!session && !data?.sessionToken && data?.gameId && socket.data.walletAddress) {
+      const walletGame = activeGameStates.get(data.gameId);
+      const walletPlayer = walletGame?.players.find(p => sameAddress(p.walletAddress, socket.data.walletAddress));
+      if (walletPlayer) {
+        session = { gameId: data.gameId, playerId: walletPlayer.id };
+      }
+    }
+
+    if (!session) {
+      fail('INVALID_SESSION', 'Session not found or expired');
+      return;
+    }
+
+    const { gameId, playerId } = session;
+    const game = activeGameStates.get(gameId);
+    if (!game) {
+      revokeSessions(gameId);
+      fail('GAME_NOT_FOUND', 'Game no longer exists');
+      return;
+    }
+
+    const player = game.players.find(p => p.id === playerId);
+    if (!player) {
+      revokeSessions(gameId, playerId);
+      fail('PLAYER_NOT_IN_GAME', 'You are no longer part of this game');
+      return;
+    }
+
+    // Detach the previous socket if it is still around
+    const previousSocketId = player.socketId;
+    if (previousSocketId && previousSocketId !== socket.id && players.has(previousSocketId)) {
+      players.delete(previousSocketId);
+      const previousSocket = io.sockets.sockets.get(previousSocketId);
+      if (previousSocket) {
+        previousSocket.leave(gameId);
+        previousSocket.emit('session-replaced', { gameId });
+      }
+    }
+
+    // Drop any other seat this socket was tracking
+    const currentInfo = players.get(socket.id);
+    if (currentInfo && currentInfo.gameId !== gameId) {
+      socket.leave(currentInfo.gameId);
+    }
+
+    stopSpectating(socket);
+    player.socketId = socket.id;
+    player.connected = true;
+    players.set(socket.id, { gameId, playerId, playerName: player.name });
+    socket.join(gameId);
+    resetInactivityTimer(gameId);
+
+    console.log(`🔄 ${player.name} resumed session in game ${gameId} (status: ${game.status})`);
+
+    const payload = { success: true, gameId, playerId, status: game.status };
+    if (typeof ack === 'function') ack(payload);
+    socket.emit('session-resumed', payload);
+    sendGameChatHistory(socket, gameId, playerId);
+
+    socket.to(gameId).emit('player-reconnected', { playerName: player.name });
+    stateSync(gameId).views.delete(playerId); // a snapshot for the new socket
+    broadcastGameState(gameId, game);
+  });
+
+  // Queue for a match. Preferences are optional: playerCount (2-4) and
+  // preset (a key of MATCH_RULE_PRESETS). Answered via ack or `queue-joined`.
+  socket.on('queue-for-match', async (data, ack) => {
+    const respond = (payload) => {
+      if (typeof ack === 'function') ack(payload);
+      socket.emit(payload.success ? 'queue-joined' : 'queue-failed', payload);
+    };
+
+    try {
+      if (players.has(socket.id)) {
+        respond({ success: false, code: MatchErrorCodes.ALREADY_IN_GAME, message: 'Leave your current game before queueing' });
+        return;
+      }
+      if (findQueueEntry(socket.id) || findPendingMatch(socket.id)) {
+        respond({ success: false, code: MatchErrorCodes.ALREADY_QUEUED, message: 'You are already in the queue' });
+        return;
+      }
+
+      const identity = resolvePlayerIdentity(socket, data?.walletAddress);
+      if (identity.error) {
+        respond({ success: false, ...identity.error });
+        return;
+      }
+
+      const check = validatePreferences({ playerCount: data?.playerCount ?? null, preset: data?.preset ?? null });
+      if (!check.valid) {
+        respond({ success: false, code: MatchErrorCodes.INVALID_PREFERENCES, message: check.message });
+        return;
+      }
+
+      // Only ratings earned in finished games count as a skill signal
+      const rating = await loadRating(identity.walletAddress);
+
+      // A wallet queues once, however many sockets it is signed in on, so it
+      // can't be matched against itself
+      if (identity.walletAddress && isWalletQueued(identity.walletAddress)) {
+        respond({ success: false, code: MatchErrorCodes.ALREADY_QUEUED, message: 'This wallet is already in the queue' });
+        return;
+      }
+
+      matchQueue.push({
+        socketId: socket.id,
+        playerId: identity.playerId,
+        playerName: data?.playerName || 'Player',
+        walletAddress: identity.walletAddress,
+        rating: rating && rating.ratedGames > 0 ? rating.rating : null,
+        preferences: check.preferences,
+        queuedAt: clock.now()
+      });
+
+      respond({ success: true, preferences: check.preferences, queued: matchQueue.length });
+      runMatchmaker();
+    } catch (error) {
+      console.error('Error joining match queue:', error);
+      respond({ success: false, message: 'Failed to join the queue' });
+    }
+  });
+
+  socket.on('leave-queue', () => {
+    const pending = findPendingMatch(socket.id);
+    if (pending) {
+      cancelMatch(pending, 'A player left matchmaking', [socket.id]);
+    }
+    const removed = removeFromQueue(socket.id) || Boolean(pending);
+    socket.emit(removed ? 'queue-left' : 'queue-failed', removed ? {} : { code: MatchErrorCodes.NOT_QUEUED, message: 'You are not in the queue' });
+  });
+
+  // Accept or decline a proposed match ({ matchId, accept })
+  socket.on('confirm-match', async (data) => {
+    try {
+      const match = pendingMatches.get(data?.matchId);
+      if (!match || !match.entries.some(entry => entry.socketId === socket.id)) {
+        socket.emit('queue-failed', { code: MatchErrorCodes.MATCH_NOT_FOUND, message: 'Match not found or no longer open' });
+        return;
+      }
+
+      if (data.accept === false) {
+        cancelMatch(match, 'A player declined the match', [socket.id]);
+        return;
+      }
+
+      match.confirmed.add(socket.id);
+      match.entries.forEach(entry => io.to(entry.socketId).emit('match-confirmed', {
+        matchId: match.id,
+        confirmed: match.confirmed.size,
+        playerCount: match.playerCount
+      }));
+
+      if (match.confirmed.size === match.entries.length) {
+        await launchMatch(match);
+      }
+    } catch (error) {
+      console.error('Error confirming match:', error);
+      socket.emit('error', { message: 'Failed to start the match' });
+    }
+  });
+
+  // A client that missed a patch (its version isn't a patch's baseVersion)
+  // asks for a fresh snapshot of its view
+  socket.on('request-state-sync', () => {
+    const playerInfo = players.get(socket.id);
+    const game = playerInfo && activeGameStates.get(playerInfo.gameId);
+    const player = game?.players.find(p => p.id === playerInfo.playerId);
+    if (!player || player.socketId !== socket.id) {
+      socket.emit('error', { message: 'You are not in a game', code: ActionErrorCodes.NOT_IN_GAME });
+      return;
+    }
+    sendGameSnapshot(playerInfo.gameId, game, player);
+  });
+
+  // Get current game state (useful when player enters an existing game)
+  socket.on('get-game-state', async (data) => {
+    try {
+      console.log('Server: get-game-state request received:', data);
+      const { gameId } = data;
+      
+      if (!gameId) {
+        console.error('Server: No gameId provided in get-game-state request');
+        socket.emit('error', { message: 'No game ID provided' });
+        return;
+      }
+      
+      // Check if game exists in memory first
+      let game = activeGameStates.get(gameId);
+      console.log(`Server: Game ${gameId} found in memory:`, !!game);
+      
+      if (!game) {
+        console.log(`Server: Game ${gameId} not in memory, checking database...`);
+        // Try to load from database
+        const dbGame = await GameDatabase.getGame(gameId);
+        if (!dbGame) {
+          console.error(`Server: Game ${gameId} not found in database`);
+          socket.emit('error', { message: 'Game not found' });
+          return;
+        }
+        
+        console.log(`Server: Game ${gameId} found in database, reconstructing state`);
+        // Reconstruct game state from database
+        game = gameFromRow(dbGame, await GameDatabase.getGameSecrets(gameId));
+        
+        activeGameStates.set(gameId, game);
+        gameEventLogs.set(gameId, await GameDatabase.getGameEvents(gameId));
+      }
+      
+      console.log(`Server: Sending game state to player for game: ${gameId}`, {
+        status: game.status,
+        playerCount: game.players?.length || 0,
+        host: game.host
+      });
+      // Seated players get a fresh snapshot; other sockets what a spectator would see
+      const playerInfo = players.get(socket.id);
+      const player = playerInfo?.gameId === gameId && game.players.find(p => p.id === playerInfo.playerId);
+      if (player && player.socketId === socket.id) {
+        sendGameSnapshot(gameId, game, player);
+      } else {
+        socket.emit('game-state', outsiderView(gameId, game));
+      }
+      
+    } catch (error) {
+      console.error('Error getting game state:', error);
+      socket.emit('error', { message: 'Failed to get game state' });
+    }
+  });
+
+  // Start the game
+  socket.on('start-game', async () => {
+    try {
+      const { playerInfo, game, error } = authorizeHost(socket);
+      if (error) {
+        socket.emit('error', { ...error, message: error.code === HostErrorCodes.NOT_HOST ? 'Only the host can start the game' : error.message });
+        return;
+      }
+      
+      if (game.players.length < 2) {
+        socket.emit('error', { message: 'Need at least 2 players to start' });
+        return;
+      }
+      
+      await beginGame(playerInfo.gameId, game);
+    } catch (error) {
+      console.error('Error starting game:', error);
+      socket.emit('error', { message: 'Failed to start game' });
+    }
+  });
+
+  // Handle player exit
+  socket.on('exit-game', async (data) => {
+    try {
+      const playerInfo = players.get(socket.id);
+      if (!playerInfo) return;
+      
+      const game = activeGameStates.get(playerInfo.gameId);
+      if (!game) return;
+      
+      console.log(`Player ${playerInfo.playerName} is exiting game ${playerInfo.gameId}`);
+      
+      // Initialize exitedPlayers array if it doesn't exist
+      if (!game.exitedPlayers) {
+        game.exitedPlayers = new Set();
+      }
+      
+      // Add player to exited players list
+      game.exitedPlayers.add(playerInfo.playerId);
+      
+      // Reset inactivity timer since there's activity
+      resetInactivityTimer(playerInfo.gameId);
+      
+      // Check if all players have exited
+      const allPlayersExited = game.players.every(player => 
+        game.exitedPlayers.has(player.id) || !player.connected || player.isBot
+      );
+      
+      if (allPlayersExited) {
+        console.log(`All players exited game ${playerInfo.gameId}, closing game`);
+        await closeGame(playerInfo.gameId, 'All players exited');
+      } else {
+        // Return anything held in escrow, then remove this player
+        const { cancelledOffers } = removePlayer(game, playerInfo.playerId);
+        notifyOfferParties(game, cancelledOffers);
+        recordGameEvent(playerInfo.gameId, GameEventTypes.PLAYER_LEFT, { playerId: playerInfo.playerId });
+        const successor = isHost(game, playerInfo.playerId) && nextHost(game);
+        if (successor) {
+          setHost(playerInfo.gameId, game, successor.id);
+        }
+        broadcastGameState(playerInfo.gameId, game);
+        saveGameState(playerInfo.gameId);
+        
+        // Notify remaining players
+        io.to(playerInfo.gameId).emit('player-disconnected', { 
+          playerName: playerInfo.playerName,
+          reason: 'exited'
+        });
+      }
+      
+      // Remove player from socket tracking
+      revokeSessions(playerInfo.gameId, playerInfo.playerId);
+      players.delete(socket.id);
+      socket.leave(playerInfo.gameId);
+      
+    } catch (error) {
+      console.error('Error handling player exit:', error);
+    }
+  });
+
+  // Handle market price updates from host (only in host price mode; games
+  // loaded without a market predate the engine and keep host pricing)
+  socket.on('update-market-prices', async (data) => {
+    try {
+      const playerInfo = players.get(socket.id);
+      if (!playerInfo) return;
+      
+      const game = activeGameStates.get(playerInfo.gameId);
+      if (!game || (game.status !== 'playing' && game.status !== 'waiting-for-final-prices')) return;
+      
+      if (!isHost(game, playerInfo.playerId)) {
+        console.log(`Non-host player ${playerInfo.playerName} tried to update market prices`);
+        return;
+      }
+      
+      if ((game.market?.mode ?? 'host') !== 'host') {
+        socket.emit('error', { message: 'Market prices are set by the server in this game' });
+        return;
+      }
+      
+      const hostPrices = readHostPrices(game, data?.marketPrices);
+      if (!hostPrices.valid) {
+        socket.emit('error', { message: hostPrices.message });
+        return;
+      }
+      
+      dispatch(playerInfo.gameId, game, { type: 'set-prices', prices: hostPrices.prices });
+      
+      console.log(`Host ${playerInfo.playerName} updated market prices for game ${playerInfo.gameId}:`, game.marketPrices);
+      
+      // Check if this is the final market price update (game waiting for final prices)
+      if (game.status === 'waiting-for-final-prices' && game.waitingForFinalPrices) {
+        console.log(`📊 Final market prices received for game ${playerInfo.gameId}, finishing game...`);
+        // Finish the game with final market prices
+        await finishGame(playerInfo.gameId);
+        return;
+      }
+      
+      activeGameStates.set(playerInfo.gameId, game);
+      
+      // Broadcast updated game state to all players
+      broadcastGameState(playerInfo.gameId, game);
+      io.to(playerInfo.gameId).emit('market-prices-updated', { marketPrices: game.marketPrices });
+      
+    } catch (error) {
+      console.error('Error updating market prices:', error);
+    }
+  });
+
+  // Handle player actions. Every action is validated server-side and answered
+  // with an action result (via the ack callback when given, otherwise an
+  // `action-result` event) carrying a success flag, a rejection code and the
+  // player's resulting balances.
+  socket.on('player-action', (data, ack) => {
+    const respond = (result) => {
+      const payload = { requestId: data?.requestId ?? null, action: data?.action ?? null, ...result };
+      if (typeof ack === 'function') {
+        ack(payload);
+      } else {
+        socket.emit('action-result', payload);
+      }
+    };
+
+    const playerInfo = players.get(socket.id);
+    if (!playerInfo) {
+      respond({ success: false, code: ActionErrorCodes.NOT_IN_GAME, message: 'You are not in a game' });
+      return;
+    }
+
+    const game = activeGameStates.get(playerInfo.gameId);
+    if (!game) {
+      respond({ success: false, code: ActionErrorCodes.GAME_NOT_ACTIVE, message: 'Game is not in progress' });
+      return;
+    }
+
+    const player = game.players.find(p => p.id === playerInfo.playerId);
+    if (!player) {
+      respond({ success: false, code: ActionErrorCodes.NOT_IN_GAME, message: 'You are not in this game' });
+      return;
+    }
+
+    // Reset inactivity timer since there's activity
+    if (game.status === 'playing') {
+      resetInactivityTimer(playerInfo.gameId);
+    }
+
+    respond(submitPlayerAction(playerInfo.gameId, game, player, data));
+  });
+
+  // Shared plumbing for in-game requests (trade offers, orders). Runs
+  // `command` for the sender through the engine and answers like a player
+  // action: via the ack callback when given, otherwise `resultEvent`.
+  // `settle` runs after the engine, on success or failure, for notifications.
+  const handleGameRequest = (resultEvent, data, ack, command, settle) => {
+    const respond = (result) => {
+      const payload = { requestId: data?.requestId ?? null, ...result };
+      if (typeof ack === 'function') {
+        ack(payload);
+      } else {
+        socket.emit(resultEvent, payload);
+      }
+    };
+
+    const playerInfo = players.get(socket.id);
+    const game = playerInfo && activeGameStates.get(playerInfo.gameId);
+    if (!game) {
+      respond({ success: false, code: ActionErrorCodes.NOT_IN_GAME, message: 'You are not in a game' });
+      return;
+    }
+
+    // Reset inactivity timer since there's activity
+    if (game.status === 'playing' && !game.paused) {
+      resetInactivityTimer(playerInfo.gameId);
+    }
+
+    const result = dispatch(playerInfo.gameId, game, { ...command, playerId: playerInfo.playerId });
+    settle(game, result);
+
+    if (!result.success) {
+      respond({ success: false, code: result.code, message: result.message, balances: result.balances });
+      return;
+    }
+
+    respond(result);
+    broadcastGameState(playerInfo.gameId, game);
+  };
+
+  // Player-to-player trade offers, answered with `trade-result`
+  const handleTradeRequest = (request, data, ack, input) => {
+    handleGameRequest('trade-result', data, ack, { type: 'trade', request, input }, (game, result) => {
+      notifyOfferParties(game, [result.original, result.offer].filter(Boolean));
+    });
+  };
+
+  socket.on('propose-trade', (data, ack) => {
+    const { toPlayerId, give, receive } = data || {};
+    handleTradeRequest('propose', data, ack, { toPlayerId, give, receive });
+  });
+
+  socket.on('respond-trade', (data, ack) => {
+    const { offerId, response, counter } = data || {};
+    handleTradeRequest('respond', data, ack, { offerId, response, counter });
+  });
+
+  socket.on('cancel-trade', (data, ack) => {
+    handleTradeRequest('cancel', data, ack, { offerId: data?.offerId });
+  });
+
+  // Limit orders (order-book games), answered with `order-result`. Fills are
+  // announced to both sides and the book's depth to the whole room.
+  const handleOrderRequest = (request, data, ack, input) => {
+    handleGameRequest('order-result', data, ack, { type: 'order', request, input }, (game, result) => {
+      if (!result.success) return;
+      const playerInfo = players.get(socket.id);
+
+      (result.fills || []).forEach(fill => {
+        emitToPlayer(game, fill.buyerId, 'order-filled', { ...fill, side: 'bid', orderId: fill.bidOrderId, remaining: fill.bidRemaining });
+        emitToPlayer(game, fill.sellerId, 'order-filled', { ...fill, side: 'ask', orderId: fill.askOrderId, remaining: fill.askRemaining });
+      });
+
+      io.to(playerInfo.gameId).emit('order-book', getDepthSnapshot(game, result.order.resource));
+    });
+  };
+
+  socket.on('place-order', (data, ack) => {
+    const { resource, side, price, quantity } = data || {};
+    handleOrderRequest('place', data, ack, { resource, side, price, quantity });
+  });
+
+  socket.on('amend-order', (data, ack) => {
+    const { orderId, price, quantity } = data || {};
+    handleOrderRequest('amend', data, ack, { orderId, price, quantity });
+  });
+
+  socket.on('cancel-order', (data, ack) => {
+    handleOrderRequest('cancel', data, ack, { orderId: data?.orderId });
+  });
+
+  // Depth snapshot for one resource, or all of them
+  socket.on('get-order-book', (data) => {
+    const playerInfo = players.get(socket.id);
+    const game = playerInfo && activeGameStates.get(playerInfo.gameId);
+    if (!game || getRules(game).marketMode !== 'orderbook') {
+      socket.emit('error', { message: 'No order book for this game', code: OrderErrorCodes.ORDER_BOOK_DISABLED });
+      return;
+    }
+
+    const resources = data?.resource ? [String(data.resource).toLowerCase()] : Object.keys(game.orderBooks);
+    resources
+      .filter(resource => game.orderBooks[resource])
+      .forEach(resource => socket.emit('order-book', getDepthSnapshot(game, resource)));
+  });
+
+  // Optional: Add a specific endpoint to get game results
+  socket.on('get-game-results', (data) => {
+    const { gameId } = data;
+    const game = activeGameStates.get(gameId);
+    
+    if (!game || game.status !== 'finished') {
+      socket.emit('error', { message: 'Game not finished or not found' });
+      return;
+    }
+    
+    const results = formatGameResults(game);
+    socket.emit('game-results', {
+      winner: results.winner,
+      finalScores: results.finalScores,
+      ratingChanges: results.ratingChanges || [],
+      marketPrices: game.marketPrices,
+      gameStats: {
+        totalRounds: game.maxRounds,
+        totalPlayers: game.players.length,
+        totalActions: Object.values(game.actionHistory || {}).flat().length || 0
+      }
+    });
+  });
+
+  // Profile and recent results of a wallet player (defaults to the
+  // signed-in wallet)
+  socket.on('get-player-profile', async (data) => {
+    try {
+      const walletAddress = data?.walletAddress || socket.data.walletAddress;
+      const player = await loadPlayerProfile(walletAddress);
+      if (!player) {
+        socket.emit('error', { message: 'Player not found', code: 'PLAYER_NOT_FOUND' });
+        return;
+      }
+      socket.emit('player-profile', player);
+    } catch (error) {
+      console.error('Error fetching player profile:', error);
+      socket.emit('error', { message: 'Failed to fetch player profile' });
+    }
+  });
+
+  socket.on('get-leaderboard', async (data) => {
+    try {
+      const leaderboard = await loadLeaderboard(data || {});
+      if (leaderboard.error) {
+        socket.emit('error', { message: leaderboard.error, code: 'INVALID_LEADERBOARD_QUERY' });
+        return;
+      }
+      socket.emit('leaderboard', leaderboard);
+    } catch (error) {
+      console.error('Error fetching leaderboard:', error);
+      socket.emit('error', { message: 'Failed to fetch leaderboard' });
+    }
+  });
+
+  // Event log of a finished or closed game plus the state it replays to;
+  // `upTo` replays part of the log
+  socket.on('get-game-replay', async (data) => {
+    try {
+      const gameId = data?.gameId;
+      if (!gameId) {
+        socket.emit('error', { message: 'No game ID provided' });
+        return;
+      }
+
+      const { error, ...replay } = await buildGameReplay(gameId, data.upTo);
+      if (error) {
+        socket.emit('error', error);
+        return;
+      }
+
+      socket.emit('game-replay', replay);
+    } catch (error) {
+      console.error('Error building game replay:', error);
+      socket.emit('error', { message: 'Failed to replay game' });
+    }
+  });
+
+  // Handle disconnect
+  socket.on('disconnect', () => {
+    console.log('User disconnected:', socket.id);
+    
+    // Sockets closed by a shutdown keep their seats and host for the restart
+    if (shuttingDown) return;
+    
+    const playerInfo = players.get(socket.id);
+    stopSpectating(socket);
+    // Chat is limited per player once seated and per socket before that
+    chatLimiter.forget(socket.id);
+    if (playerInfo) chatLimiter.forget(playerInfo.playerId);
+    removeFromQueue(socket.id);
+    const pendingMatch = findPendingMatch(socket.id);
+    if (pendingMatch) {
+      cancelMatch(pendingMatch, 'A player disconnected', [socket.id]);
+    }
+    
+    if (playerInfo) {
+      const game = activeGameStates.get(playerInfo.gameId);
+      if (game) {
+        // Mark player as disconnected
+        const player = game.players.find(p => p.id === playerInfo.playerId);
+        if (player && player.socketId === socket.id) {
+          player.connected = false;
+        }
+        
+        // If host disconnects, assign new host
+        const successor = isHost(game, playerInfo.playerId) && nextHost(game);
+        if (successor) {
+          setHost(playerInfo.gameId, game, successor.id);
+        }
+        
+        activeGameStates.set(playerInfo.gameId, game);
+        broadcastGameState(playerInfo.gameId, game);
+        io.to(playerInfo.gameId).emit('player-disconnected', { playerName: playerInfo.playerName });
+      }
+      
+      players.delete(socket.id);
+    }
+  });
+});
+
+// Helper function to prepare game for ending (sets waiting-for-final-prices status)
+async function prepareGameEnd(gameId) {
+  try {
+    const game = activeGameStates.get(gameId);
+    if (!game) return;
+    
+    console.log(`⏳ Preparing game ${gameId} for final calculation`);
+    
+    const { awaitingFinalPrices, cancelledOrders } = dispatch(gameId, game, { type: 'begin-end' });
+    notifyCancelledOrders(gameId, game, cancelledOrders);
+    
+    // Engine-priced games already have their final prices
+    if (!awaitingFinalPrices) {
+      await finishGame(gameId);
+      return;
+    }
+    
+    activeGameStates.set(gameId, game);
+    await saveGameState(gameId);
+    
+    // Notify that we're waiting for final market prices
+    io.to(gameId).emit('game-ending', {
+      message: 'Game ended, calculating final scores...'
+    });
+    
+    console.log(`⏳ Game ${gameId} prepared for ending, waiting for final market prices`);
+    
+  } catch (error) {
+    console.error('Error preparing game end:', error);
+  }
+}
+
+// Helper function to finish game (called after final market prices are updated)
+async function finishGame(gameId) {
+  try {
+    const game = activeGameStates.get(gameId);
+    if (!game) return;
+    
+    console.log(`🏆 Finishing game ${gameId} with final market prices`);
+    
+    // Calculate final scores using final updated market prices
+    const finished = dispatch(gameId, game, { type: 'finish' });
+    if (!finished.success) {
+      await closeGame(gameId, finished.message);
+      return;
+    }
+    const { winner } = finished;
+    const { marketPrices } = game;
+    
+    // Nothing left to time out: a finished game is only cleaned up with its row
+    const inactivityTimer = inactivityTimers.get(gameId);
+    if (inactivityTimer) {
+      clock.clearTimeout(inactivityTimer);
+      inactivityTimers.delete(gameId);
+    }
+    
+    activeGameStates.set(gameId, game);
+    
+    // Only games that reach the finish are rated
+    if (!game.ratingChanges) {
+      game.ratingChanges = await updateRatings(gameId, game);
+      game.ratingChanges.forEach(change => {
+        const player = game.players.find(p => p.id === change.playerId);
+        if (player) player.rating = { rating: Math.round(change.after), ratedGames: change.ratedGames, provisional: change.provisional };
+      });
+    }
+    
+    // Update database and keep the results past the game's cleanup
+    await saveGameState(gameId);
+    trackWrite(GameDatabase.recordGameResults(gameId, buildGameResults(gameId, game, new Date(clock.now()))).then(saved => {
+      if (!saved) console.error(`❌ Failed to record results for game ${gameId}`);
+    }));
+    
+    console.log(`🏆 Game ${gameId} finished. Winner: ${winner.name} with score ${winner.finalScore}`);
+    console.log(`🏆 Final market prices: ${getResources(game).map(resource => `${resource.name}: ${marketPrices[resource.id]}`).join(', ')}`);
+    
+    // Notify all players
+    io.to(gameId).emit('game-finished', {
+      ...formatGameResults(game),
+      marketPrices: marketPrices
+    });
+    
+    broadcastGameState(gameId, game);
+    
+  } catch (error) {
+    console.error('Error finishing game:', error);
+  }
+}
+
+// Helper function to tell owners their orders were cancelled and send the room fresh depth
+function notifyCancelledOrders(gameId, game, cancelled) {
+  if (cancelled.length === 0) return;
+  cancelled.forEach(order => emitToPlayer(game, order.playerId, 'order-cancelled', { order: { ...order, quantity: 0 } }));
+  Object.keys(game.orderBooks || {}).forEach(resource => {
+    io.to(gameId).emit('order-book', getDepthSnapshot(game, resource));
+  });
+}
+
+// Helper function to close and cleanup a game
+async function closeGame(gameId, reason = 'Game closed') {
+  try {
+    // A finished game stays finished, log and row alike; it only leaves memory
+    if (activeGameStates.get(gameId)?.status === 'finished') {
+      forgetGame(gameId, reason);
+      return;
+    }
+    
+    console.log(`Closing game ${gameId}: ${reason}`);
+    
+    // The event log stays in storage for replays
+    if (activeGameStates.has(gameId)) {
+      recordGameEvent(gameId, GameEventTypes.GAME_CLOSED, { reason });
+    }
+    forgetGame(gameId, reason);
+    
+    // Update database status
+    await GameDatabase.updateGameStatus(gameId, 'closed');
+    
+    console.log(`Game ${gameId} successfully closed and cleaned up`);
+  } catch (error) {
+    console.error(`Error closing game ${gameId}:`, error);
+  }
+}
+
+// Take a game out of memory: stop its timers, tell its players and
+// spectators it is gone, and drop its log, chat, sessions and sockets
+function forgetGame(gameId, reason) {
+  // Clear any timers
+  stopGameTimer(gameId);
+  
+  const inactivityTimer = inactivityTimers.get(gameId);
+  if (inactivityTimer) {
+    clock.clearTimeout(inactivityTimer);
+    inactivityTimers.delete(gameId);
+  }
+  
+  // Notify all remaining players
+  io.to(gameId).emit('game-closed', { reason });
+  closeSpectatorFeed(gameId, reason);
+  
+  activeGameStates.delete(gameId);
+  gameEventLogs.delete(gameId);
+  stateSyncs.delete(gameId);
+  gameChats.delete(gameId);
+  revokeSessions(gameId);
+  
+  // Disconnect all sockets from this room
+  const room = io.sockets.adapter.rooms.get(gameId);
+  if (room) {
+    room.forEach(socketId => {
+      const socket = io.sockets.sockets.get(socketId);
+      if (socket) {
+        socket.leave(gameId);
+        // Clear player tracking for this socket
+        const playerInfo = players.get(socketId);
+        if (playerInfo && playerInfo.gameId === gameId) {
+          players.delete(socketId);
+        }
+      }
+    });
+  }
+}
+
+// Helper function to reset inactivity timer
+function resetInactivityTimer(gameId) {
+  // Clear existing timer
+  const existingTimer = inactivityTimers.get(gameId);
+  if (existingTimer) {
+    clock.clearTimeout(existingTimer);
+  }
+  
+  // Set new 20-minute inactivity timer
+  const inactivityTimer = clock.setTimeout(async () => {
+    console.log(`Game ${gameId} has been inactive for 20 minutes, auto-closing`);
+    await closeGame(gameId, 'Game closed due to 20 minutes of inactivity');
+  }, 20 * 60 * 1000); // 20 minutes
+  
+  inactivityTimers.set(gameId, inactivityTimer);
+}
+
+// Round time ended, or players voted to skip the rest of it, and the
+// between-rounds delay has started: open trade offers have expired and
+// resting orders only carried over when the game allows it.
+function announceRoundEnd(gameId, game, { skipped, expiredOffers, cancelledOrders }) {
+  saveGameState(gameId);
+  notifyOfferParties(game, expiredOffers);
+  notifyCancelledOrders(gameId, game, cancelledOrders);
+  
+  // Note: Game end check will happen after the delay when currentRound increments
+  
+  // Emit round ended event with delay time
+  io.to(gameId).emit('round-ended', {
+    round: game.currentRound,
+    timeRemaining: game.roundDelay.timeRemaining,
+    skipped
+  });
+  broadcastGameState(gameId, game);
+}
+
+function stopGameTimer(gameId) {
+  const timer = gameTimers.get(gameId);
+  if (timer) {
+    clock.clearInterval(timer);
+    gameTimers.delete(gameId);
+  }
+}
+
+// Game timer function with a between-rounds delay (roundDelaySeconds rule).
+// Ticks on from whatever timeRemaining and roundDelay hold, so it also
+// resumes a paused game.
+function startGameTimer(gameId) {
+  stopGameTimer(gameId);
+
+  // Start inactivity timer when game starts
+  resetInactivityTimer(gameId);
+  
+  const timer = clock.setInterval(async () => {
+    const game = activeGameStates.get(gameId);
+    if (!game || !game.timerActive) {
+      clock.clearInterval(timer);
+      gameTimers.delete(gameId);
+      return;
+    }
+
+    const result = dispatch(gameId, game, { type: 'tick' });
+    if (!result.ticked) return;
+
+    if (result.roundEnded) {
+      announceRoundEnd(gameId, game, result);
+      return;
+    }
+
+    if (result.roundAdvanced) {
+      // Delay finished, next round started
+      saveGameState(gameId);
+
+      if (result.gameOver) {
+        // Game ended - prepare for final calculation
+        await prepareGameEnd(gameId);
+        clock.clearInterval(timer);
+        gameTimers.delete(gameId);
+        return;
+      }
+
+      broadcastGameState(gameId, game);
+      return;
+    }
+
+    emitTimerTick(gameId, game);
+  }, 1000);
+
+  gameTimers.set(gameId, timer);
+}
+
+// Market engine tick
+function tickMarkets() {
+  activeGameStates.forEach((game, gameId) => {
+    const { deltas } = dispatch(gameId, game, { type: 'market-tick' });
+    if (deltas) {
+      io.to(gameId).emit('market-prices-updated', { marketPrices: game.marketPrices, deltas });
+      broadcastGameState(gameId, game);
+    }
+  });
+}
+
+// Snapshot running games so a crash loses at most a few seconds of play
+function snapshotRunningGames() {
+  activeGameStates.forEach((game, gameId) => {
+    if (game.status === 'playing' || game.status === 'waiting-for-final-prices') {
+      saveGameState(gameId);
+    }
+  });
+}
+
+// Comprehensive database cleanup
+async function cleanUpDatabase() {
+  try {
+    console.log('🧹 Running scheduled database cleanup...');
+    const result = await GameDatabase.performFullCleanup();
+    
+    if (result.success) {
+      // Drop the deleted games that are still in memory
+      result.removedGameIds
+        .filter(gameId => activeGameStates.has(gameId))
+        .forEach(gameId => {
+          console.log(`🧹 Removing memory state for deleted game: ${gameId}`);
+          forgetGame(gameId, 'Game removed');
+        });
+    }
+  } catch (error) {
+    console.error('❌ Error during comprehensive cleanup:', error);
+  }
+}
+
+function startIntervals() {
+  serverIntervals.push(
+    clock.setInterval(tickMarkets, MARKET_TICK_INTERVAL_MS),
+    // Retry the queue as brackets widen with waiting time
+    clock.setInterval(runMatchmaker, MATCHMAKER_INTERVAL_MS),
+    // Bots take their turns
+    clock.setInterval(runBots, BOT_TURN_INTERVAL_MS),
+    clock.setInterval(snapshotRunningGames, STATE_SNAPSHOT_INTERVAL_MS),
+    clock.setInterval(cleanUpDatabase, 60 * 60 * 1000) // Every hour
+  );
+}
+
+// Start listening and start the server's clocks. Options:
+//   port     0 picks a free port (default PORT, else 3001)
+//   clock    time source for every timer (default the system clock, see services/clock.js)
+//   storage  storage backend (default chosen by STORAGE_BACKEND)
+// Resolves to { port } once running games have been restored. Live games
+// are held in this module, so a process runs one server.
+export async function startServer({ port = process.env.PORT || 3001, host = '0.0.0.0', clock: serverClock = systemClock, storage } = {}) {
+  if (serverStarted) {
+    throw new Error('Server already started');
+  }
+  serverStarted = true;
+  clock = serverClock;
+  if (storage) {
+    GameDatabase.useStorage(storage);
+  }
+  
+  startIntervals();
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+  
+  const { port: listeningPort } = server.address();
+  console.log(`Server running on port ${listeningPort}`);
+  console.log(`Access from other devices: http://YOUR_IP_ADDRESS:${listeningPort}`);
+  console.log(`Storage backend: ${GameDatabase.backendName}`);
+  
+  // Resume games that were running when the server last stopped
+  try {
+    const restored = await rehydrateGames();
+    console.log(`♻️ Restored ${restored} running game(s) on startup`);
+  } catch (error) {
+    console.error('Error restoring running games on startup:', error);
+  }
+  
+  return { port: listeningPort };
+}
+
+// Stop the clocks, snapshot every live game, wait for storage writes, tell
+// clients the server is restarting and close sockets. Running games resume
+// from the snapshot on the next start.
+export async function stopServer() {
+  if (shuttingDown) return;
+  shuttingDown = true;
+
+  try {
+    serverIntervals.forEach(timer => clock.clearInterval(timer));
+    serverIntervals.length = 0;
+    pendingMatches.forEach(match => clock.clearTimeout(match.timeout));
+    gameTimers.forEach(timer => clock.clearInterval(timer));
+    gameTimers.clear();
+    inactivityTimers.forEach(timer => clock.clearTimeout(timer));
+    inactivityTimers.clear();
+
+    await Promise.all([...activeGameStates.keys()].map(gameId => saveGameState(gameId)));
+    await Promise.allSettled([...pendingWrites]);
+    console.log(`🛑 Saved ${activeGameStates.size} game(s)`);
+
+    io.emit('server-shutdown', { message: 'Server is restarting, your game will resume shortly' });
+  } catch (error) {
+    console.error('Error during shutdown:', error);
+  }
+
+  await new Promise(resolve => io.close(() => resolve()));
+}
+
+// Graceful shutdown on a signal
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  console.log(`🛑 ${signal} received, saving games and shutting down...`);
+
+  // Don't hang forever on a stuck storage backend
+  setTimeout(() => process.exit(1), 10 * 1000).unref();
+
+  await stopServer();
+  process.exit(0);
+}
+
+// `node server.js` runs the server on the system clock
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  startServer().catch(error => {
+    console.error('❌ Failed to start server:', error);
+    process.exit(1);
+  });
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+}
@@ -0,0 +1,138 @@
+import { getRules } from './gameRules.js';
+import { getResources } from './resourceCatalog.js';
+
+// Server-side bots that fill empty seats. The host adds them in the lobby
+// with a strategy; while a round runs the server asks each bot for its next
+// move and submits it through the same validated path as a player's
+// `player-action`. Strategies only read the game (market prices, this
+// round's price changes and holdings) and return an action payload, or null
+// to wait.
+//
+//   random    any action it can afford
+//   momentum  buys what is rising this round, sells what is falling
+//   hoarder   buys below base price and holds until well above it
+//   saboteur  sabotages the opponent holding the most, buys with the rest
+
+export const BOT_STRATEGIES = ['random', 'momentum', 'hoarder', 'saboteur'];
+export const MAX_BOT_NAME_LENGTH = 30;
+
+// Every bot gets a turn this often while a round runs
+export const BOT_TURN_INTERVAL_MS = 3000;
+
+// Chance a bot sits out a turn, so bots don't act in lockstep
+export const BOT_IDLE_CHANCE = 0.4;
+
+export const BotErrorCodes = {
+  INVALID_STRATEGY: 'INVALID_STRATEGY',
+  GAME_NOT_WAITING: 'GAME_NOT_WAITING',
+  GAME_FULL: 'GAME_FULL',
+  BOTS_NOT_SUPPORTED: 'BOTS_NOT_SUPPORTED'
+};
+
+const DEFAULT_BOT_NAMES = {
+  random: 'Random Bot',
+  momentum: 'Momentum Bot',
+  hoarder: 'Hoarder Bot',
+  saboteur: 'Saboteur Bot'
+};
+
+// Check an add-bot request against the lobby.
+// Returns { valid: true, strategy } or { valid: false, code, message }.
+export function validateBotRequest(game, { strategy = 'random' } = {}) {
+  if (!BOT_STRATEGIES.includes(strategy)) {
+    return { valid: false, code: BotErrorCodes.INVALID_STRATEGY, message: `strategy must be one of: ${BOT_STRATEGIES.join(', ')}` };
+  }
+  if (game.status !== 'waiting') {
+    return { valid: false, code: BotErrorCodes.GAME_NOT_WAITING, message: 'Bots can only be added before the game starts' };
+  }
+  // Bots trade with the bank; they don't place limit orders
+  if (getRules(game).marketMode === 'orderbook') {
+    return { valid: false, code: BotErrorCodes.BOTS_NOT_SUPPORTED, message: 'Bots cannot play order-book games' };
+  }
+  if (game.players.length >= getRules(game).maxPlayers) {
+    return { valid: false, code: BotErrorCodes.GAME_FULL, message: 'Game is full' };
+  }
+  return { valid: true, strategy };
+}
+
+// The requested name, or the strategy's default numbered to be unique in the game
+export function botName(game, strategy, requested) {
+  const trimmed = typeof requested === 'string' ? requested.trim().slice(0, MAX_BOT_NAME_LENGTH) : '';
+  if (trimmed) return trimmed;
+
+  const base = DEFAULT_BOT_NAMES[strategy];
+  const taken = new Set(game.players.map(player => player.name));
+  let number = 1;
+  while (taken.has(number === 1 ? base : `${base} ${number}`)) number += 1;
+  return number === 1 ? base : `${base} ${number}`;
+}
+
+function pick(items, random) {
+  return items[Math.floor(random() * items.length)];
+}
+
+// Units of `resource` the bot can buy with `share` of its tokens
+function affordable(game, bot, resource, share) {
+  return Math.floor((bot.tokens * share) / game.marketPrices[resource]);
+}
+
+function buy(game, bot, resource, share) {
+  const amount = affordable(game, bot, resource, share);
+  return amount > 0 ? { action: 'Buy', resource, amount } : null;
+}
+
+function sellAll(bot, resource) {
+  return bot.assets[resource] > 0 ? { action: 'Sell', resource, amount: bot.assets[resource] } : null;
+}
+
+function priceChange(game, resource) {
+  return game.marketChanges.find(change => change.resource === resource)?.change ?? 0;
+}
+
+const strategies = {
+  random(game, bot, resources, random) {
+    const resource = pick(resources, random).id;
+    const held = resources.filter(({ id }) => bot.assets[id] > 0).map(({ id }) => id);
+    const moves = [
+      buy(game, bot, resource, 0.2),
+      held.length > 0 ? { action: 'Sell', resource: pick(held, random), amount: 1 } : null,
+      held.length > 0 && random() < 0.2 ? { action: 'Burn', resource: pick(held, random), amount: 1 } : null
+    ].filter(Boolean);
+    return moves.length > 0 ? pick(moves, random) : null;
+  },
+
+  momentum(game, bot, resources) {
+    const ranked = resources.map(({ id }) => id).sort((a, b) => priceChange(game, b) - priceChange(game, a));
+    const falling = [...ranked].reverse().find(id => priceChange(game, id) < 0 && bot.assets[id] > 0);
+    if (falling) return sellAll(bot, falling);
+    return priceChange(game, ranked[0]) > 0 ? buy(game, bot, ranked[0], 0.3) : null;
+  },
+
+  hoarder(game, bot, resources) {
+    const value = ({ id, basePrice }) => game.marketPrices[id] / basePrice;
+    const peak = resources.find(resource => value(resource) >= 1.5 && bot.assets[resource.id] > 0);
+    if (peak) return sellAll(bot, peak.id);
+
+    const cheapest = [...resources].sort((a, b) => value(a) - value(b))[0];
+    return value(cheapest) < 1 ? buy(game, bot, cheapest.id, 0.25) : null;
+  },
+
+  saboteur(game, bot, resources, random) {
+    const { sabotageCost } = getRules(game);
+    const leader = game.players
+      .filter(player => player.id !== bot.id && player.totalAssets > 0)
+      .sort((a, b) => b.totalAssets - a.totalAssets)[0];
+
+    if (leader && bot.tokens >= sabotageCost) {
+      const [resource, units] = Object.entries(leader.assets).sort((a, b) => b[1] - a[1])[0];
+      return { action: 'Sabotage', resource, amount: Math.min(units, 3), targetPlayer: leader.id };
+    }
+    return buy(game, bot, pick(resources, random).id, 0.1);
+  }
+};
+
+// The bot's next move ({ action, resource, amount, targetPlayer }) or null
+export function chooseBotAction(game, bot, random = Math.random) {
+  if (random() < BOT_IDLE_CHANCE) return null;
+  return strategies[bot.botStrategy]?.(game, bot, getResources(game), random) ?? null;
+}
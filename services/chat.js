@@ -0,0 +1,106 @@
+// Chat channels: a game's players, a game's spectators (kept apart so
+// spectators can't pass information to players) and a lobby-wide channel.
+// Players can also whisper to one other player in their game.
+//
+// Messages are plain text, run through a word filter and rate limited per
+// player. Each channel keeps a short history for people joining late. The
+// host can mute a player (they can't send) or kick them from chat (they
+// neither send nor receive game chat).
+
+export const CHAT_CHANNELS = ['game', 'spectators', 'lobby'];
+export const MAX_MESSAGE_LENGTH = 300;
+export const MAX_CHAT_NAME_LENGTH = 30;
+export const CHAT_HISTORY_SIZE = 50;
+
+// At most RATE_LIMIT_MESSAGES per sender in any RATE_LIMIT_WINDOW_MS
+export const RATE_LIMIT_MESSAGES = 5;
+export const RATE_LIMIT_WINDOW_MS = 10 * 1000;
+
+// Used when CHAT_BLOCKED_WORDS isn't set; an empty value turns filtering off
+export const DEFAULT_BLOCKED_WORDS = ['fuck', 'shit', 'cunt', 'bitch', 'asshole', 'bastard'];
+
+export const ChatErrorCodes = {
+  INVALID_CHANNEL: 'INVALID_CHANNEL',
+  INVALID_MESSAGE: 'INVALID_MESSAGE',
+  NOT_IN_CHANNEL: 'NOT_IN_CHANNEL',
+  RECIPIENT_NOT_FOUND: 'RECIPIENT_NOT_FOUND',
+  RATE_LIMITED: 'RATE_LIMITED',
+  MUTED: 'MUTED',
+  KICKED: 'KICKED'
+};
+
+// Word list from a comma-separated setting (undefined: the defaults)
+export function parseBlockedWords(setting) {
+  if (setting === undefined) return DEFAULT_BLOCKED_WORDS;
+  return setting.split(',').map(word => word.trim().toLowerCase()).filter(Boolean);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Filter that masks whole blocked words, any case, with asterisks
+export function createProfanityFilter(words) {
+  if (words.length === 0) return text => text;
+  const pattern = new RegExp(`\\b(${words.map(escapeRegExp).join('|')})\\b`, 'gi');
+  return text => text.replace(pattern, match => '*'.repeat(match.length));
+}
+
+// Sliding-window limiter: allow(key) is true while `key` has sent fewer than
+// `limit` messages in the last `windowMs`
+export function createRateLimiter({ limit = RATE_LIMIT_MESSAGES, windowMs = RATE_LIMIT_WINDOW_MS } = {}) {
+  const sent = new Map(); // key -> send times, oldest first
+
+  return {
+    allow(key, now = Date.now()) {
+      const recent = (sent.get(key) || []).filter(time => now - time < windowMs);
+      if (recent.length >= limit) {
+        sent.set(key, recent);
+        return false;
+      }
+      recent.push(now);
+      sent.set(key, recent);
+      return true;
+    },
+    forget(key) {
+      sent.delete(key);
+    }
+  };
+}
+
+// Check a message from the client.
+// Returns { valid: true, channel, text, to } or { valid: false, code, message }.
+export function validateChatMessage({ channel = 'game', text, to = null } = {}) {
+  if (!CHAT_CHANNELS.includes(channel)) {
+    return { valid: false, code: ChatErrorCodes.INVALID_CHANNEL, message: `channel must be one of: ${CHAT_CHANNELS.join(', ')}` };
+  }
+  const trimmed = typeof text === 'string' ? text.trim() : '';
+  if (!trimmed || trimmed.length > MAX_MESSAGE_LENGTH) {
+    return { valid: false, code: ChatErrorCodes.INVALID_MESSAGE, message: `Messages must be 1-${MAX_MESSAGE_LENGTH} characters` };
+  }
+  if (to !== null && (channel !== 'game' || typeof to !== 'string')) {
+    return { valid: false, code: ChatErrorCodes.INVALID_MESSAGE, message: 'Whispers go to a player id in your game' };
+  }
+  return { valid: true, channel, text: trimmed, to };
+}
+
+// Name shown for senders without a seat (lobby, spectators)
+export function chatName(name) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  return trimmed ? trimmed.slice(0, MAX_CHAT_NAME_LENGTH) : 'Guest';
+}
+
+// Chat state of one game
+export function createGameChat() {
+  return {
+    history: [], // player channel
+    spectatorHistory: [],
+    muted: new Set(), // player ids that can't send
+    kicked: new Set() // player ids removed from the player channel
+  };
+}
+
+export function addToHistory(history, message) {
+  history.push(message);
+  if (history.length > CHAT_HISTORY_SIZE) history.splice(0, history.length - CHAT_HISTORY_SIZE);
+}
@@ -0,0 +1,65 @@
+// Time source for the server: the current time plus the timer functions
+// behind round clocks, market ticks, inactivity timeouts and the rest. The
+// server runs on the system clock; tests pass a manual clock and move time
+// forward themselves, so a 20-minute timeout takes one call instead of 20
+// minutes.
+
+export const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (callback, ms) => setTimeout(callback, ms),
+  clearTimeout: timer => clearTimeout(timer),
+  setInterval: (callback, ms) => setInterval(callback, ms),
+  clearInterval: timer => clearInterval(timer)
+};
+
+// A clock that only moves when told to. advance(ms) fires every timer that
+// comes due, in time order (ties in the order they were set), and waits for
+// each callback's promise before firing the next, so the async work a timer
+// starts has finished when advance resolves.
+export function createManualClock(start = 0) {
+  let now = start;
+  let nextId = 1;
+  const timers = new Map(); // id -> { id, at, every, callback }
+
+  function schedule(callback, ms, repeat) {
+    const delay = Math.max(0, Number(ms) || 0);
+    const id = nextId++;
+    timers.set(id, { id, at: now + delay, every: repeat ? Math.max(1, delay) : null, callback });
+    return id;
+  }
+
+  function nextDue(until) {
+    let due = null;
+    timers.forEach(timer => {
+      if (timer.at <= until && (!due || timer.at < due.at || (timer.at === due.at && timer.id < due.id))) due = timer;
+    });
+    return due;
+  }
+
+  return {
+    now: () => now,
+    setTimeout: (callback, ms) => schedule(callback, ms, false),
+    clearTimeout: id => { timers.delete(id); },
+    setInterval: (callback, ms) => schedule(callback, ms, true),
+    clearInterval: id => { timers.delete(id); },
+
+    // Timers still waiting to fire
+    get pending() {
+      return timers.size;
+    },
+
+    async advance(ms) {
+      const until = now + ms;
+      for (let timer = nextDue(until); timer; timer = nextDue(until)) {
+        now = timer.at;
+        if (timer.every) {
+          timer.at += timer.every;
+        } else {
+          timers.delete(timer.id);
+        }
+        await timer.callback();
+      }
+      now = until;
+    }
+  };
+}
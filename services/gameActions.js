@@ -0,0 +1,162 @@
+import { recordMarketActivity } from './marketEngine.js';
+import { getResourceIds, resourceName } from './resourceCatalog.js';
+
+// Server-side rules for player actions against the bank (Buy, Sell, Burn)
+// and against other players (Sabotage). Nothing here talks to sockets; the
+// handler in server.js validates, applies and reports the result.
+
+export const ACTIONS = ['Buy', 'Sell', 'Burn', 'Sabotage'];
+
+// Defaults; a game's rules can override both
+export const SABOTAGE_COST = 100;
+export const SELL_PRICE_MULTIPLIER = 0.8;
+export const MAX_ACTION_AMOUNT = 1000000;
+
+// Machine-readable rejection codes sent back in action results
+export const ActionErrorCodes = {
+  NOT_IN_GAME: 'NOT_IN_GAME',
+  GAME_NOT_ACTIVE: 'GAME_NOT_ACTIVE',
+  GAME_PAUSED: 'GAME_PAUSED',
+  INVALID_PAYLOAD: 'INVALID_PAYLOAD',
+  INVALID_ACTION: 'INVALID_ACTION',
+  INVALID_RESOURCE: 'INVALID_RESOURCE',
+  INVALID_AMOUNT: 'INVALID_AMOUNT',
+  INVALID_TARGET: 'INVALID_TARGET',
+  INSUFFICIENT_TOKENS: 'INSUFFICIENT_TOKENS',
+  INSUFFICIENT_ASSETS: 'INSUFFICIENT_ASSETS',
+  TARGET_INSUFFICIENT_ASSETS: 'TARGET_INSUFFICIENT_ASSETS',
+  USE_ORDER_BOOK: 'USE_ORDER_BOOK'
+};
+
+function reject(code, message) {
+  return { success: false, code, message };
+}
+
+// Check the shape of a `player-action` payload against the game's resources
+// and normalize it. Returns { valid: true, action } or { valid: false, code, message }.
+export function validateActionPayload(data, game) {
+  if (!data || typeof data !== 'object') {
+    return { valid: false, ...reject(ActionErrorCodes.INVALID_PAYLOAD, 'Action payload must be an object') };
+  }
+
+  const { action, resource, amount, targetPlayer, transactionHash, requestId } = data;
+
+  if (!ACTIONS.includes(action)) {
+    return { valid: false, ...reject(ActionErrorCodes.INVALID_ACTION, `Unknown action: ${action}`) };
+  }
+
+  const normalizedResource = typeof resource === 'string' ? resource.toLowerCase() : null;
+  if (!getResourceIds(game).includes(normalizedResource)) {
+    return { valid: false, ...reject(ActionErrorCodes.INVALID_RESOURCE, `Unknown resource: ${resource}`) };
+  }
+
+  if (typeof amount !== 'number' || !Number.isInteger(amount) || amount <= 0 || amount > MAX_ACTION_AMOUNT) {
+    return { valid: false, ...reject(ActionErrorCodes.INVALID_AMOUNT, 'Amount must be a positive whole number') };
+  }
+
+  if (action === 'Sabotage' && (typeof targetPlayer !== 'string' || !targetPlayer)) {
+    return { valid: false, ...reject(ActionErrorCodes.INVALID_TARGET, 'Sabotage requires a target player') };
+  }
+
+  return {
+    valid: true,
+    action: {
+      action,
+      resource: normalizedResource,
+      amount,
+      targetPlayer: action === 'Sabotage' ? targetPlayer : null,
+      transactionHash: typeof transactionHash === 'string' ? transactionHash : null,
+      requestId: requestId ?? null
+    }
+  };
+}
+
+// Sum of a player's asset units
+export function totalAssetUnits(assets) {
+  return Object.values(assets).reduce((sum, units) => sum + (units || 0), 0);
+}
+
+// Apply a validated action to the game. Mutates the game only on success.
+// Returns { success: true, actionText } or { success: false, code, message }.
+export function applyPlayerAction(game, player, { action, resource, amount, targetPlayer }) {
+  const price = game.marketPrices[resource] * amount;
+  const displayName = resourceName(game, resource);
+  const sabotageCost = game.rules?.sabotageCost ?? SABOTAGE_COST;
+  const sellPriceMultiplier = game.rules?.sellPriceMultiplier ?? SELL_PRICE_MULTIPLIER;
+  let actionText;
+
+  // Order-book games buy and sell through the book, not the bank
+  if (game.rules?.marketMode === 'orderbook' && (action === 'Buy' || action === 'Sell')) {
+    return reject(ActionErrorCodes.USE_ORDER_BOOK, `${action} through the order book in this game`);
+  }
+
+  switch (action) {
+    case 'Buy':
+      if (player.tokens < price) {
+        return reject(ActionErrorCodes.INSUFFICIENT_TOKENS, `Buying ${amount} ${resource} costs ${price} tokens`);
+      }
+      player.tokens -= price;
+      player.assets[resource] += amount;
+      recordMarketActivity(game, resource, 'bought', amount);
+      actionText = `${player.name} bought ${amount} ${displayName} for ${price} tokens`;
+      break;
+
+    case 'Sell': {
+      if (player.assets[resource] < amount) {
+        return reject(ActionErrorCodes.INSUFFICIENT_ASSETS, `Not enough ${resource} to sell`);
+      }
+      const sellPrice = Math.floor(price * sellPriceMultiplier);
+      player.tokens += sellPrice;
+      player.assets[resource] -= amount;
+      recordMarketActivity(game, resource, 'sold', amount);
+      actionText = `${player.name} sold ${amount} ${displayName} for ${sellPrice} tokens`;
+      break;
+    }
+
+    case 'Burn': {
+      if (player.assets[resource] < amount) {
+        return reject(ActionErrorCodes.INSUFFICIENT_ASSETS, `Not enough ${resource} to burn`);
+      }
+      player.assets[resource] -= amount;
+      // Burned supply pushes the price up on the next market tick
+      recordMarketActivity(game, resource, 'burned', amount);
+      actionText = `${player.name} burned ${amount} ${displayName} to boost market price`;
+      break;
+    }
+
+    case 'Sabotage': {
+      const target = game.players.find(p => p.id === targetPlayer);
+      if (!target || target.id === player.id) {
+        return reject(ActionErrorCodes.INVALID_TARGET, 'Target player is not an opponent in this game');
+      }
+      if (player.tokens < sabotageCost) {
+        return reject(ActionErrorCodes.INSUFFICIENT_TOKENS, `Sabotage costs ${sabotageCost} tokens`);
+      }
+      if (target.assets[resource] < amount) {
+        return reject(ActionErrorCodes.TARGET_INSUFFICIENT_ASSETS, `${target.name} does not hold ${amount} ${resource}`);
+      }
+      player.tokens -= sabotageCost;
+      target.assets[resource] -= amount;
+      target.totalAssets = totalAssetUnits(target.assets);
+      actionText = `${player.name} sabotaged ${target.name}'s ${displayName} reserves`;
+      break;
+    }
+
+    default:
+      return reject(ActionErrorCodes.INVALID_ACTION, `Unknown action: ${action}`);
+  }
+
+  // Update player's total assets
+  player.totalAssets = totalAssetUnits(player.assets);
+
+  return { success: true, actionText };
+}
+
+// Balances reported back to the acting player
+export function playerBalances(player) {
+  return {
+    tokens: player.tokens,
+    assets: { ...player.assets },
+    totalAssets: player.totalAssets
+  };
+}
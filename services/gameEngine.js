@@ -0,0 +1,270 @@
+import { ActionErrorCodes, validateActionPayload, applyPlayerAction, playerBalances } from './gameActions.js';
+import { tickMarket, setMarketPrices } from './marketEngine.js';
+import { basePrices, getResources } from './resourceCatalog.js';
+import { secondsToTime } from './gameRules.js';
+import { markActed } from './roundControls.js';
+import { chooseBotAction } from './botPlayers.js';
+import { applyTradeRequest } from './tradeOffers.js';
+import { applyOrderRequest } from './orderBook.js';
+import { GameEventTypes } from './gameEvents.js';
+import {
+  addRecentAction,
+  startGame,
+  endRound,
+  advanceRound,
+  beginGameEnd,
+  finalizeGame
+} from './gameFlow.js';
+
+// The game rules behind one entry point:
+//
+//   runCommand(state, command, clock, random) -> { state, events, result }
+//
+// `state` is left untouched and a new state is returned. `events` are the
+// { type, at, data } entries for the game's event log (see gameEvents.js)
+// and `result` is what the caller reports back or acts on. `clock` is
+// { now } in milliseconds and stamps the events; `random` is a [0, 1)
+// source used for bot turns (the market keeps its own seeded RNG in the
+// state); both are required. Nothing here emits, logs, reads the wall clock
+// or sets timers; the socket layer and the simulation harness drive the
+// engine and turn results into socket events.
+//
+// Commands:
+//   { type: 'start' }
+//   { type: 'action', playerId, input }  a player-action payload (Buy, Sell, Burn, Sabotage)
+//   { type: 'trade', playerId, request, input }
+//                                        propose, respond to or cancel a trade offer (see tradeOffers.js)
+//   { type: 'order', playerId, request, input }
+//                                        place, amend or cancel a limit order (see orderBook.js)
+//   { type: 'bot-turn', playerId }        let a bot pick and play an action
+//   { type: 'tick' }                      one second of the round clock or the between-rounds delay
+//   { type: 'end-round', skipped }        end the round now
+//   { type: 'market-tick' }
+//   { type: 'set-prices', prices }        host-set prices
+//   { type: 'begin-end' }                 stop play once the last round is over
+//   { type: 'finish' }                    score the game; rejected when nobody is left to score
+//
+// applyCommand runs a command on `state` in place, for callers that own the
+// state object: the server's live games and the simulation's hot loop.
+
+export const COMMAND_TYPES = ['start', 'action', 'trade', 'order', 'bot-turn', 'tick', 'end-round', 'market-tick', 'set-prices', 'begin-end', 'finish'];
+
+export const EngineErrorCodes = {
+  NO_PLAYERS: 'NO_PLAYERS'
+};
+
+function isLive(state) {
+  return state.status === 'playing' && !state.paused;
+}
+
+// The round clock one second on, or null once it has run out
+export function countDown({ hours, minutes, seconds }) {
+  const total = hours * 3600 + minutes * 60 + seconds - 1;
+  return total < 0 ? null : secondsToTime(total);
+}
+
+function applyAction(state, player, input, emit) {
+  if (state.status !== 'playing') {
+    return { success: false, code: ActionErrorCodes.GAME_NOT_ACTIVE, message: 'Game is not in progress' };
+  }
+  if (state.paused) {
+    return { success: false, code: ActionErrorCodes.GAME_PAUSED, message: 'Game is paused' };
+  }
+
+  const validation = validateActionPayload(input, state);
+  if (!validation.valid) {
+    return { success: false, code: validation.code, message: validation.message, balances: playerBalances(player) };
+  }
+
+  const result = applyPlayerAction(state, player, validation.action);
+  if (!result.success) {
+    return { success: false, code: result.code, message: result.message, balances: playerBalances(player) };
+  }
+
+  // Include transaction hash if available
+  const { transactionHash } = validation.action;
+  const actionText = transactionHash && transactionHash !== 'pending'
+    ? `${result.actionText} (TX: ${transactionHash})`
+    : result.actionText;
+
+  addRecentAction(state, actionText);
+  markActed(state, player.id);
+  emit(GameEventTypes.ACTION_APPLIED, {
+    playerId: player.id,
+    input: validation.action,
+    outcome: { actionText, balances: playerBalances(player) }
+  });
+
+  return { success: true, code: null, message: result.actionText, balances: playerBalances(player), action: validation.action };
+}
+
+// Trade offer and order requests: the outcome each logs besides its actionText
+const REQUESTS = {
+  trade: {
+    eventType: GameEventTypes.TRADE_APPLIED,
+    apply: applyTradeRequest,
+    outcome: result => ({ offerId: result.offer.id, status: result.offer.status })
+  },
+  order: {
+    eventType: GameEventTypes.ORDER_APPLIED,
+    apply: applyOrderRequest,
+    outcome: result => ({ orderId: result.order.id, fills: result.fills || [] })
+  }
+};
+
+// A trade or order request. Failed requests come back whole, since the
+// offer or order they name may still need announcing.
+function applyRequest(state, player, { type, request, input }, at, emit) {
+  if (state.status !== 'playing') {
+    return { success: false, code: ActionErrorCodes.GAME_NOT_ACTIVE, message: 'Game is not in progress' };
+  }
+  if (state.paused) {
+    return { success: false, code: ActionErrorCodes.GAME_PAUSED, message: 'Game is paused' };
+  }
+
+  const { eventType, apply, outcome } = REQUESTS[type];
+  const { actionText, ...result } = apply(state, player, request, input, at);
+  if (!result.success) {
+    return { ...result, balances: playerBalances(player) };
+  }
+
+  (result.fills || []).forEach(fill => addRecentAction(state, fill.actionText));
+  if (actionText) {
+    addRecentAction(state, actionText);
+  }
+  markActed(state, player.id);
+  emit(eventType, {
+    playerId: player.id,
+    request,
+    input,
+    outcome: { ...outcome(result), actionText: actionText ?? null }
+  });
+
+  return { ...result, code: null, balances: playerBalances(player) };
+}
+
+function finishRound(state, skipped, emit) {
+  state.timeRemaining = secondsToTime(0);
+  const { expiredOffers, cancelledOrders } = endRound(state);
+  emit(GameEventTypes.ROUND_ENDED, { skipped });
+  return { roundEnded: true, skipped, expiredOffers, cancelledOrders };
+}
+
+function tick(state, emit) {
+  if (!isLive(state) || !state.timerActive) return { ticked: false };
+
+  // Countdown between rounds
+  if (state.roundDelay?.active) {
+    state.roundDelay.timeRemaining -= 1;
+    if (state.roundDelay.timeRemaining > 0) return { ticked: true };
+
+    const { gameOver } = advanceRound(state);
+    emit(GameEventTypes.ROUND_ADVANCED, { gameOver });
+    return { ticked: true, roundAdvanced: true, gameOver };
+  }
+
+  const timeRemaining = countDown(state.timeRemaining);
+  if (!timeRemaining) return { ticked: true, ...finishRound(state, false, emit) };
+
+  state.timeRemaining = timeRemaining;
+  return { ticked: true };
+}
+
+// Run `command` on `state` in place. Returns { events, result }.
+export function applyCommand(state, command, clock, random) {
+  if (typeof clock?.now !== 'number' || typeof random !== 'function') {
+    throw new TypeError('applyCommand needs a clock ({ now }) and a random source');
+  }
+  const at = new Date(clock.now).toISOString();
+  const events = [];
+  const emit = (type, data = {}) => events.push({ type, at, data });
+  const player = command.playerId === undefined ? null : state.players.find(p => p.id === command.playerId);
+  let result;
+
+  switch (command.type) {
+    case 'start':
+      startGame(state);
+      emit(GameEventTypes.GAME_STARTED);
+      result = { success: true };
+      break;
+
+    case 'action':
+      result = player
+        ? applyAction(state, player, command.input, emit)
+        : { success: false, code: ActionErrorCodes.NOT_IN_GAME, message: 'You are not in this game' };
+      break;
+
+    case 'trade':
+    case 'order':
+      result = player
+        ? applyRequest(state, player, command, at, emit)
+        : { success: false, code: ActionErrorCodes.NOT_IN_GAME, message: 'You are not in this game' };
+      break;
+
+    case 'bot-turn': {
+      // Bots play while a round runs, not during the delay
+      if (!player?.isBot || !isLive(state) || state.roundDelay?.active) {
+        result = { acted: false };
+        break;
+      }
+      const input = chooseBotAction(state, player, random);
+      result = input ? { acted: true, ...applyAction(state, player, input, emit) } : { acted: false };
+      break;
+    }
+
+    case 'tick':
+      result = tick(state, emit);
+      break;
+
+    case 'end-round':
+      result = finishRound(state, Boolean(command.skipped), emit);
+      break;
+
+    case 'market-tick': {
+      const deltas = isLive(state) ? tickMarket(state) : null;
+      if (deltas) emit(GameEventTypes.MARKET_TICKED, { prices: state.marketPrices });
+      result = { deltas };
+      break;
+    }
+
+    case 'set-prices':
+      setMarketPrices(state, command.prices);
+      emit(GameEventTypes.PRICES_UPDATED, { prices: command.prices });
+      result = { success: true };
+      break;
+
+    case 'begin-end': {
+      const { awaitingFinalPrices, cancelledOrders } = beginGameEnd(state);
+      emit(GameEventTypes.GAME_ENDING, { awaitingFinalPrices });
+      result = { awaitingFinalPrices, cancelledOrders };
+      break;
+    }
+
+    case 'finish': {
+      if (state.players.length + (state.kickedPlayers || []).length === 0) {
+        result = { success: false, code: EngineErrorCodes.NO_PLAYERS, message: 'Nobody is left to score' };
+        break;
+      }
+      state.marketPrices = state.marketPrices || basePrices(getResources(state));
+      const { winner, finalScores } = finalizeGame(state);
+      emit(GameEventTypes.GAME_FINISHED, {
+        winnerId: winner.id,
+        finalScores: finalScores.map(scored => ({ playerId: scored.id, finalScore: scored.finalScore }))
+      });
+      result = { success: true, winner, finalScores };
+      break;
+    }
+
+    default:
+      throw new Error(`Unknown command: ${command.type}`);
+  }
+
+  return { events, result };
+}
+
+// Run `command` on a copy of `state`. Returns { state, events, result }.
+export function runCommand(state, command, clock, random) {
+  const next = structuredClone(state);
+  const { events, result } = applyCommand(next, command, clock, random);
+  return { state: next, events, result };
+}
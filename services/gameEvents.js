@@ -0,0 +1,226 @@
+import { applyPlayerAction } from './gameActions.js';
+import { applyTradeRequest } from './tradeOffers.js';
+import { applyOrderRequest } from './orderBook.js';
+import { tickMarket, setMarketPrices } from './marketEngine.js';
+import {
+  addRecentAction,
+  startGame,
+  endRound,
+  advanceRound,
+  beginGameEnd,
+  finalizeGame,
+  removePlayer
+} from './gameFlow.js';
+import { kickPlayer } from './hostControls.js';
+import { pauseGame, resumeGame, markActed } from './roundControls.js';
+import { secondsToTime } from './gameRules.js';
+
+// Per-game event log. Every state change the server makes is appended as
+// { seq, type, at, round, data } and replaying the log from the start
+// rebuilds the game state: the first event carries the initial state and
+// each later one re-runs the same rule function the server ran. The market
+// engine is seeded and its RNG state lives in the game state, so ticks
+// replay to the same prices.
+//
+// Event data by type:
+//   game.created      { state }  initial state, host seated, no socket ids
+//   player.joined     { player }
+//   player.left       { playerId }
+//   player.kicked     { playerId, forfeit, ban }
+//   host.changed      { hostId }
+//   lobby.locked      { locked }
+//   game.started      {}
+//   game.paused       { playerId }  the host who paused
+//   game.resumed      { playerId }
+//   skip.voted        { playerId }
+//   action.applied    { playerId, input, outcome: { actionText, balances } }
+//   trade.applied     { playerId, request, input, outcome: { offerId, status, actionText } }
+//   order.applied     { playerId, request, input, outcome: { orderId, fills } }
+//   market.ticked     { prices }  prices after the tick
+//   prices.updated    { prices }  prices pushed by the host
+//   round.ended       { skipped }  skipped: ended early by vote
+//   round.advanced    { gameOver }
+//   game.ending       { awaitingFinalPrices }
+//   game.finished     { winnerId, finalScores }
+//   game.closed       { reason }
+//   game.restored     { state }  state the server resumed from after a restart;
+//                                anything logged after its last snapshot is lost
+
+export const GameEventTypes = {
+  GAME_CREATED: 'game.created',
+  PLAYER_JOINED: 'player.joined',
+  PLAYER_LEFT: 'player.left',
+  PLAYER_KICKED: 'player.kicked',
+  HOST_CHANGED: 'host.changed',
+  LOBBY_LOCKED: 'lobby.locked',
+  GAME_STARTED: 'game.started',
+  GAME_PAUSED: 'game.paused',
+  GAME_RESUMED: 'game.resumed',
+  SKIP_VOTED: 'skip.voted',
+  ACTION_APPLIED: 'action.applied',
+  TRADE_APPLIED: 'trade.applied',
+  ORDER_APPLIED: 'order.applied',
+  MARKET_TICKED: 'market.ticked',
+  PRICES_UPDATED: 'prices.updated',
+  ROUND_ENDED: 'round.ended',
+  ROUND_ADVANCED: 'round.advanced',
+  GAME_ENDING: 'game.ending',
+  GAME_FINISHED: 'game.finished',
+  GAME_CLOSED: 'game.closed',
+  GAME_RESTORED: 'game.restored'
+};
+
+export function createGameEvent(seq, type, round, data = {}, at = new Date()) {
+  return {
+    seq,
+    type,
+    at: at.toISOString(),
+    round: round ?? null,
+    data: JSON.parse(JSON.stringify(data))
+  };
+}
+
+// Copy of a game state fit for the log: plain JSON, without socket ids
+export function snapshotGameState(game) {
+  const { exitedPlayers, ...state } = game;
+  return JSON.parse(JSON.stringify({
+    ...state,
+    players: state.players.map(player => ({ ...player, socketId: null }))
+  }));
+}
+
+function requirePlayer(state, playerId, event) {
+  const player = state.players.find(p => p.id === playerId);
+  if (!player) {
+    throw new Error(`Event ${event.seq} (${event.type}) refers to unknown player ${playerId}`);
+  }
+  return player;
+}
+
+// Apply one event to a replayed state. Returns the new state.
+export function applyGameEvent(state, event) {
+  const { type, data } = event;
+
+  if (type === GameEventTypes.GAME_CREATED || type === GameEventTypes.GAME_RESTORED) {
+    return JSON.parse(JSON.stringify(data.state));
+  }
+  if (!state) {
+    throw new Error(`Event log must start with ${GameEventTypes.GAME_CREATED}, got ${type}`);
+  }
+
+  switch (type) {
+    case GameEventTypes.PLAYER_JOINED:
+      state.players.push({ ...data.player, socketId: null });
+      break;
+
+    case GameEventTypes.PLAYER_LEFT:
+      removePlayer(state, data.playerId);
+      break;
+
+    case GameEventTypes.PLAYER_KICKED:
+      kickPlayer(state, data.playerId, { forfeit: data.forfeit, ban: data.ban });
+      break;
+
+    case GameEventTypes.HOST_CHANGED:
+      state.host = data.hostId;
+      break;
+
+    case GameEventTypes.LOBBY_LOCKED:
+      state.locked = data.locked;
+      break;
+
+    case GameEventTypes.GAME_STARTED:
+      startGame(state);
+      break;
+
+    case GameEventTypes.GAME_PAUSED:
+      pauseGame(state);
+      break;
+
+    case GameEventTypes.GAME_RESUMED:
+      resumeGame(state);
+      break;
+
+    case GameEventTypes.SKIP_VOTED:
+      state.skipVotes = [...(state.skipVotes || []), data.playerId];
+      break;
+
+    case GameEventTypes.ACTION_APPLIED: {
+      const result = applyPlayerAction(state, requirePlayer(state, data.playerId, event), data.input);
+      if (!result.success) {
+        throw new Error(`Event ${event.seq} (${type}) did not replay: ${result.code}`);
+      }
+      addRecentAction(state, data.outcome.actionText);
+      markActed(state, data.playerId);
+      break;
+    }
+
+    case GameEventTypes.TRADE_APPLIED: {
+      const result = applyTradeRequest(state, requirePlayer(state, data.playerId, event), data.request, data.input, event.at);
+      if (!result.success) {
+        throw new Error(`Event ${event.seq} (${type}) did not replay: ${result.code}`);
+      }
+      if (result.actionText) {
+        addRecentAction(state, result.actionText);
+      }
+      markActed(state, data.playerId);
+      break;
+    }
+
+    case GameEventTypes.ORDER_APPLIED: {
+      const result = applyOrderRequest(state, requirePlayer(state, data.playerId, event), data.request, data.input, event.at);
+      if (!result.success) {
+        throw new Error(`Event ${event.seq} (${type}) did not replay: ${result.code}`);
+      }
+      (result.fills || []).forEach(fill => addRecentAction(state, fill.actionText));
+      markActed(state, data.playerId);
+      break;
+    }
+
+    case GameEventTypes.MARKET_TICKED:
+      tickMarket(state);
+      break;
+
+    case GameEventTypes.PRICES_UPDATED:
+      setMarketPrices(state, data.prices);
+      break;
+
+    case GameEventTypes.ROUND_ENDED:
+      // The clock isn't logged tick by tick; a round always ends at zero
+      state.timeRemaining = secondsToTime(0);
+      endRound(state);
+      break;
+
+    case GameEventTypes.ROUND_ADVANCED:
+      advanceRound(state);
+      break;
+
+    case GameEventTypes.GAME_ENDING:
+      beginGameEnd(state);
+      break;
+
+    case GameEventTypes.GAME_FINISHED:
+      finalizeGame(state);
+      break;
+
+    case GameEventTypes.GAME_CLOSED:
+      state.status = 'closed';
+      state.timerActive = false;
+      break;
+
+    default:
+      throw new Error(`Unknown event type: ${type}`);
+  }
+
+  return state;
+}
+
+// Rebuild a game state from its log, optionally stopping after event `upTo`
+export function replayGameEvents(events, { upTo = Infinity } = {}) {
+  let state = null;
+  for (const event of events) {
+    if (event.seq > upTo) break;
+    state = applyGameEvent(state, event);
+  }
+  return state;
+}
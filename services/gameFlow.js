@@ -0,0 +1,168 @@
+import { expireOffers, cancelOffersForPlayer } from './tradeOffers.js';
+import { cancelAllOrders, createOrderBooks } from './orderBook.js';
+import { createMarket, openMarketRound } from './marketEngine.js';
+import { DEFAULT_RULES, getRules, secondsToTime } from './gameRules.js';
+import { emptyAssets } from './resourceCatalog.js';
+import { resetRoundVotes } from './roundControls.js';
+
+// Game lifecycle transitions: setup, start, round end, round advance, player
+// removal and the finish. They only change the game state and return what
+// happened; the server turns that into socket events, and the replay uses
+// the same functions to rebuild a game from its event log.
+
+// Initial game state template
+export function createInitialGameState(rules = DEFAULT_RULES, marketSeed) {
+  // In order-book games the last traded price sets the market price
+  const market = createMarket({
+    mode: rules.marketMode === 'orderbook' ? 'orderbook' : rules.priceMode,
+    seed: marketSeed,
+    volatility: rules.marketVolatility
+  }, rules.resources);
+
+  return {
+    rules,
+    currentRound: 1,
+    maxRounds: rules.maxRounds,
+    timeRemaining: secondsToTime(rules.roundDurationSeconds),
+    players: [],
+    marketChanges: rules.resources.map(resource => ({ resource: resource.id, change: 0, percentage: '+0%' })),
+    // Current prices, driven by the market engine (or the host in host mode)
+    marketPrices: { ...market.exactPrices },
+    market,
+    orderBooks: rules.marketMode === 'orderbook' ? createOrderBooks(rules.resources.map(resource => resource.id)) : undefined,
+    recentActions: [],
+    tradeOffers: [], // Pending player-to-player offers, goods held in escrow
+    actionHistory: {}, // Store actions by round: { roundNumber: [actions] }
+    status: 'waiting', // waiting, playing, finished
+    host: null,
+    timerActive: false,
+    roundInProgress: false,
+    nextRoundStartTime: null
+  };
+}
+
+// Create initial player state
+export function createPlayer(playerId, playerName, socketId, walletAddress = null, rules = DEFAULT_RULES) {
+  return {
+    id: playerId,
+    name: playerName,
+    socketId: socketId,
+    walletAddress: walletAddress,
+    tokens: rules.startingTokens,
+    assets: emptyAssets(rules.resources),
+    totalAssets: 0,
+    connected: true
+  };
+}
+
+// Helper function to calculate final scores
+export function calculateFinalScores(players, marketPrices) {
+  return players.map(player => {
+    const assetValue = Object.entries(player.assets)
+      .reduce((sum, [resource, units]) => sum + units * (marketPrices[resource] || 0), 0);
+
+    const finalScore = player.tokens + assetValue;
+
+    return {
+      ...player,
+      assetValue,
+      finalScore
+    };
+  }).sort((a, b) => b.finalScore - a.finalScore);
+}
+
+// Add a line to the round's recent actions feed
+export function addRecentAction(game, text) {
+  game.recentActions.unshift(text);
+  game.recentActions = game.recentActions.slice(0, 10); // Keep only last 10 actions
+}
+
+export function startGame(game) {
+  game.status = 'playing';
+  game.timerActive = true;
+}
+
+// Round time ran out: start the between-rounds delay, expire open offers and
+// drop resting orders unless the rules carry them over
+export function endRound(game) {
+  const rules = getRules(game);
+  game.roundDelay = {
+    active: true,
+    timeRemaining: rules.roundDelaySeconds
+  };
+  resetRoundVotes(game);
+
+  const expiredOffers = expireOffers(game);
+  const cancelledOrders = rules.marketMode === 'orderbook' && !rules.orderCarryOver
+    ? cancelAllOrders(game)
+    : [];
+
+  return { expiredOffers, cancelledOrders };
+}
+
+// The delay is over: archive the round's actions and move to the next round.
+// Returns { gameOver: true } once the last round has been played.
+export function advanceRound(game) {
+  delete game.roundDelay;
+
+  // Move current round actions to action history
+  if (game.recentActions.length > 0) {
+    game.actionHistory[game.currentRound] = [...game.recentActions];
+  }
+
+  game.currentRound += 1;
+  game.recentActions = [];
+
+  if (game.currentRound > game.maxRounds) {
+    return { gameOver: true };
+  }
+
+  game.timeRemaining = secondsToTime(getRules(game).roundDurationSeconds);
+
+  // Price changes are measured from the start of each round
+  openMarketRound(game);
+
+  return { gameOver: false };
+}
+
+// Stop play. Engine and order-book prices are already final; host-priced
+// games wait for the host's final prices before they can be finished.
+export function beginGameEnd(game) {
+  // Release order escrow so final scores see every holding
+  const cancelledOrders = getRules(game).marketMode === 'orderbook' ? cancelAllOrders(game) : [];
+
+  game.timerActive = false;
+
+  if (game.market && game.market.mode !== 'host') {
+    return { awaitingFinalPrices: false, cancelledOrders };
+  }
+
+  game.status = 'waiting-for-final-prices';
+  game.waitingForFinalPrices = true;
+  return { awaitingFinalPrices: true, cancelledOrders };
+}
+
+// Score the game at the current market prices and mark it finished. Players
+// kicked with their holdings (see hostControls.js) are scored too.
+export function finalizeGame(game) {
+  const finalScores = calculateFinalScores([...game.players, ...(game.kickedPlayers || [])], game.marketPrices);
+  const winner = finalScores[0];
+
+  game.status = 'finished';
+  game.timerActive = false;
+  game.winner = winner;
+  game.finalScores = finalScores;
+  game.waitingForFinalPrices = false;
+
+  return { winner, finalScores };
+}
+
+// Take a player out of the game, returning anything they had in escrow and
+// refunding offers made to them
+export function removePlayer(game, playerId) {
+  const cancelledOffers = cancelOffersForPlayer(game, playerId);
+  const cancelledOrders = cancelAllOrders(game, playerId);
+  game.players = game.players.filter(p => p.id !== playerId);
+
+  return { cancelledOffers, cancelledOrders };
+}
@@ -0,0 +1,120 @@
+import { SABOTAGE_COST, SELL_PRICE_MULTIPLIER } from './gameActions.js';
+import { PRICE_MODES } from './marketEngine.js';
+import { MARKET_MODES } from './orderBook.js';
+import { DEFAULT_RESOURCES, resolveResources } from './resourceCatalog.js';
+
+// Per-game rules chosen at creation. Anything the host leaves out falls back
+// to the defaults below, which are the values the game has always used.
+
+// How much players see of their opponents' holdings: everything, only
+// totals (net worth and unit count), or nothing until the game ends
+export const OPPONENT_VISIBILITY = ['full', 'totals', 'hidden'];
+
+export const DEFAULT_RULES = {
+  maxRounds: 20,
+  roundDurationSeconds: 60,
+  roundDelaySeconds: 10,
+  startingTokens: 1000,
+  sabotageCost: SABOTAGE_COST,
+  sellPriceMultiplier: SELL_PRICE_MULTIPLIER,
+  maxPlayers: 4,
+  priceMode: 'engine',
+  marketVolatility: null, // null: each resource's own volatility
+  marketMode: 'bank',
+  orderCarryOver: false,
+  opponentVisibility: 'full',
+  maxSpectators: 20, // 0: no spectators
+  spectatorDelaySeconds: 0, // how far behind the live game spectators are
+  skipVotePercent: 100, // share of connected players needed to end a round early; 0: no skipping
+  resources: DEFAULT_RESOURCES // a preset name or custom list when creating
+};
+
+// Accepted range (inclusive) or values for each rule
+const RULE_CONSTRAINTS = {
+  maxRounds: { type: 'integer', min: 1, max: 100 },
+  roundDurationSeconds: { type: 'integer', min: 10, max: 3600 },
+  roundDelaySeconds: { type: 'integer', min: 1, max: 120 },
+  startingTokens: { type: 'integer', min: 100, max: 1000000 },
+  sabotageCost: { type: 'integer', min: 0, max: 100000 },
+  sellPriceMultiplier: { type: 'number', min: 0.1, max: 1 },
+  maxPlayers: { type: 'integer', min: 2, max: 8 },
+  priceMode: { type: 'enum', values: PRICE_MODES },
+  marketVolatility: { type: 'number', min: 0, max: 0.2, nullable: true },
+  marketMode: { type: 'enum', values: MARKET_MODES },
+  orderCarryOver: { type: 'boolean' },
+  opponentVisibility: { type: 'enum', values: OPPONENT_VISIBILITY },
+  maxSpectators: { type: 'integer', min: 0, max: 100 },
+  spectatorDelaySeconds: { type: 'integer', min: 0, max: 300 },
+  skipVotePercent: { type: 'integer', min: 0, max: 100 },
+  resources: { type: 'resources' }
+};
+
+function checkRule(name, value) {
+  const constraint = RULE_CONSTRAINTS[name];
+  if (value === null && constraint.nullable) return null;
+
+  switch (constraint.type) {
+    case 'integer':
+    case 'number': {
+      const isNumber = typeof value === 'number' && Number.isFinite(value);
+      if (!isNumber || (constraint.type === 'integer' && !Number.isInteger(value))) {
+        return `${name} must be ${constraint.type === 'integer' ? 'a whole number' : 'a number'}`;
+      }
+      if (value < constraint.min || value > constraint.max) {
+        return `${name} must be between ${constraint.min} and ${constraint.max}`;
+      }
+      return null;
+    }
+    case 'enum':
+      return constraint.values.includes(value) ? null : `${name} must be one of: ${constraint.values.join(', ')}`;
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `${name} must be true or false`;
+    case 'resources':
+      return resolveResources(value).error || null;
+    default:
+      return null;
+  }
+}
+
+// Validate a rules override object from the client.
+// Returns { valid: true, rules } with defaults filled in, or { valid: false, errors }.
+export function validateRules(input = {}) {
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+    return { valid: false, errors: ['rules must be an object'] };
+  }
+
+  const errors = [];
+  for (const [name, value] of Object.entries(input)) {
+    if (!(name in RULE_CONSTRAINTS)) {
+      errors.push(`Unknown rule: ${name}`);
+      continue;
+    }
+    const error = checkRule(name, value);
+    if (error) errors.push(error);
+  }
+
+  if (errors.length > 0) {
+    return { valid: false, errors };
+  }
+
+  const rules = { ...DEFAULT_RULES, ...input };
+  if (input.resources !== undefined) {
+    rules.resources = resolveResources(input.resources).resources;
+  }
+
+  return { valid: true, rules };
+}
+
+// Rules for a game, with defaults for games created before rules existed
+export function getRules(game) {
+  return { ...DEFAULT_RULES, ...(game?.rules || {}) };
+}
+
+// Convert seconds into the { hours, minutes, seconds } shape of timeRemaining
+export function secondsToTime(totalSeconds) {
+  return {
+    hours: Math.floor(totalSeconds / 3600),
+    minutes: Math.floor((totalSeconds % 3600) / 60),
+    seconds: totalSeconds % 60
+  };
+}
@@ -0,0 +1,224 @@
+import { DEFAULT_RULES, getRules } from './gameRules.js';
+import { skipVoteTally } from './roundControls.js';
+import { GameEventTypes } from './gameEvents.js';
+
+// What each recipient gets to see of a game. Nothing here hands out the
+// in-memory game object or its internals (socket ids, the market engine and
+// its seed, sequence counters, exitedPlayers); every view is a fresh copy, so
+// it can be held back and sent later without picking up newer changes.
+//
+// Seated players see their own seat in full and their opponents' holdings
+// as the game's opponentVisibility rule allows. Player ids are opaque seat
+// ids handed out when a player takes a seat, never wallet addresses, and
+// stay in player views because trades and sabotage target them; views for
+// outsiders (lobby, REST, spectators) leave them out all the same.
+//
+// Event logs go out only once a game is over, and then without the market
+// engine's seed and RNG state or anything that leads back to a wallet.
+
+// Lobby / listing entry for a game. Works on rows from the games table or
+// the public_games view.
+export function formatGameSummary(row) {
+  const hostPlayer = row.players?.[0];
+  return {
+    id: row.game_id,
+    name: row.game_name,
+    status: row.status,
+    currentPlayers: row.current_players,
+    maxPlayers: row.max_players,
+    hostName: row.host_name ?? hostPlayer?.name ?? 'Unknown',
+    hostRating: row.host_rating ?? hostPlayer?.rating ?? null,
+    createdAt: row.created_at,
+    rules: { ...DEFAULT_RULES, ...(row.rules || {}) }
+  };
+}
+
+// Public details of a live game: progress, prices and who is playing, but
+// no holdings, ids or wallet addresses
+export function formatGameDetails(gameId, game) {
+  return {
+    id: gameId,
+    name: game.gameName,
+    status: game.status,
+    isPrivate: game.isPrivate,
+    locked: Boolean(game.locked),
+    paused: Boolean(game.paused),
+    currentRound: game.currentRound,
+    maxRounds: game.maxRounds,
+    timeRemaining: { ...game.timeRemaining },
+    marketPrices: { ...game.marketPrices },
+    marketChanges: game.marketChanges.map(change => ({ ...change })),
+    players: game.players.map(player => playerCard(game, player)),
+    rules: game.rules,
+    createdAt: game.createdAt
+  };
+}
+
+function playerCard(game, player) {
+  return {
+    name: player.name,
+    rating: player.rating ?? null,
+    connected: player.connected,
+    isHost: player.id === game.host,
+    isBot: Boolean(player.isBot)
+  };
+}
+
+// Tokens plus holdings at current market prices
+function netWorth(game, player) {
+  const assetValue = Object.entries(player.assets)
+    .reduce((sum, [resource, units]) => sum + units * (game.marketPrices[resource] || 0), 0);
+  return Math.round(player.tokens + assetValue);
+}
+
+// An opponent's holdings as `visibility` allows
+function opponentHoldings(game, player, visibility) {
+  switch (visibility) {
+    case 'full':
+      return { tokens: player.tokens, assets: { ...player.assets }, totalAssets: player.totalAssets };
+    case 'totals':
+      return { netWorth: netWorth(game, player), totalAssets: player.totalAssets };
+    default:
+      return {};
+  }
+}
+
+// Final standings are public to everyone in the game
+function scoreCard(player) {
+  return {
+    id: player.id,
+    name: player.name,
+    isBot: Boolean(player.isBot),
+    tokens: player.tokens,
+    assets: { ...player.assets },
+    assetValue: player.assetValue,
+    finalScore: player.finalScore
+  };
+}
+
+// Winner, standings and rating changes of a finished game, for players
+export function formatGameResults(game) {
+  return {
+    winner: game.winner ? scoreCard(game.winner) : null,
+    finalScores: game.finalScores?.map(scoreCard) ?? null,
+    ratingChanges: game.ratingChanges?.map(({ walletAddress, ...change }) => change) ?? null
+  };
+}
+
+// Who has voted to skip the round and how many votes it takes
+function skipVoteStatus(game) {
+  const { votes, needed } = skipVoteTally(game);
+  return { votes, needed, voters: [...(game.skipVotes || [])] };
+}
+
+// The game as seen by the player `viewerId` (null: someone without a seat)
+export function formatPlayerView(game, viewerId) {
+  const { opponentVisibility } = getRules(game);
+  const ownOrders = Object.values(game.orderBooks || {})
+    .flatMap(book => [...book.bids, ...book.asks])
+    .filter(order => order.playerId === viewerId);
+
+  return {
+    gameName: game.gameName,
+    isPrivate: game.isPrivate,
+    createdAt: game.createdAt,
+    rules: game.rules,
+    status: game.status,
+    host: game.host,
+    locked: Boolean(game.locked),
+    currentRound: game.currentRound,
+    maxRounds: game.maxRounds,
+    timeRemaining: { ...game.timeRemaining },
+    timerActive: game.timerActive,
+    paused: Boolean(game.paused),
+    roundInProgress: game.roundInProgress,
+    nextRoundStartTime: game.nextRoundStartTime,
+    roundDelay: game.roundDelay ? { ...game.roundDelay } : null,
+    waitingForFinalPrices: game.waitingForFinalPrices || false,
+    actedThisRound: [...(game.actedThisRound || [])],
+    skipVotes: skipVoteStatus(game),
+    marketPrices: { ...game.marketPrices },
+    marketChanges: game.marketChanges.map(change => ({ ...change })),
+    lastTradePrices: { ...(game.lastTradePrices || {}) },
+    recentActions: [...game.recentActions],
+    actionHistory: Object.fromEntries(Object.entries(game.actionHistory || {}).map(([round, actions]) => [round, [...actions]])),
+    players: game.players.map(player => {
+      if (player.id === viewerId) {
+        const { socketId, ...own } = player;
+        return { ...own, assets: { ...player.assets }, isHost: player.id === game.host, isBot: Boolean(player.isBot) };
+      }
+      return { id: player.id, ...playerCard(game, player), ...opponentHoldings(game, player, opponentVisibility) };
+    }),
+    tradeOffers: (game.tradeOffers || [])
+      .filter(offer => offer.fromPlayerId === viewerId || offer.toPlayerId === viewerId)
+      .map(offer => JSON.parse(JSON.stringify(offer))),
+    myOrders: ownOrders.map(order => ({ ...order })),
+    ...formatGameResults(game)
+  };
+}
+
+// Transaction hashes lead back to wallets on chain
+const TX_SUFFIX = / \(TX: [^)]*\)$/;
+
+// What spectators see: the public details plus holdings as the game's
+// opponentVisibility rule allows, the action feed and final scores, as of `asOf`
+export function formatSpectatorView(gameId, game, asOf = new Date()) {
+  const { opponentVisibility } = getRules(game);
+  const details = formatGameDetails(gameId, game);
+  return {
+    ...details,
+    roundDelay: game.roundDelay ? { ...game.roundDelay } : null,
+    players: game.players.map((player, index) => ({
+      ...details.players[index],
+      ...opponentHoldings(game, player, opponentVisibility)
+    })),
+    recentActions: game.recentActions.map(action => action.replace(TX_SUFFIX, '')),
+    finalScores: game.finalScores?.map(player => {
+      const { id, ...score } = scoreCard(player);
+      return score;
+    }) ?? null,
+    asOf: asOf.toISOString()
+  };
+}
+
+// A logged or replayed game state with nothing a finished game's log
+// shouldn't give away: no market engine (its seed and RNG state), wallet
+// addresses, bans, socket ids or transaction hashes
+export function formatPublicState(state) {
+  const { market, bannedWallets, exitedPlayers, ...rest } = state;
+  return JSON.parse(JSON.stringify({
+    ...rest,
+    players: rest.players.map(publicSeat),
+    kickedPlayers: rest.kickedPlayers?.map(publicSeat),
+    winner: rest.winner ? publicSeat(rest.winner) : null,
+    finalScores: rest.finalScores?.map(publicSeat) ?? null,
+    ratingChanges: rest.ratingChanges?.map(({ walletAddress, ...change }) => change) ?? null,
+    recentActions: (rest.recentActions || []).map(action => action.replace(TX_SUFFIX, '')),
+    actionHistory: Object.fromEntries(Object.entries(rest.actionHistory || {})
+      .map(([round, actions]) => [round, actions.map(action => action.replace(TX_SUFFIX, ''))]))
+  }));
+}
+
+function publicSeat(player) {
+  const { socketId, walletAddress, ...seat } = player;
+  return seat;
+}
+
+// An event log entry as formatPublicState would have it
+export function formatPublicEvent(event) {
+  const { data } = event;
+  switch (event.type) {
+    case GameEventTypes.GAME_CREATED:
+    case GameEventTypes.GAME_RESTORED:
+      return { ...event, data: { ...data, state: formatPublicState(data.state) } };
+    case GameEventTypes.PLAYER_JOINED:
+      return { ...event, data: { ...data, player: publicSeat(data.player) } };
+    case GameEventTypes.ACTION_APPLIED: {
+      const { transactionHash, ...input } = data.input;
+      const actionText = data.outcome.actionText?.replace(TX_SUFFIX, '') ?? null;
+      return { ...event, data: { ...data, input, outcome: { ...data.outcome, actionText } } };
+    }
+    default:
+      return event;
+  }
+}
@@ -0,0 +1,60 @@
+import { removePlayer } from './gameFlow.js';
+import { normalizeAddress, sameAddress } from './walletAuth.js';
+
+// What the host of a game can do beyond starting it: kick a player (their
+// holdings kept for the final scores or forfeited), ban a wallet from rejoining,
+// hand the host role to another connected player and lock the lobby
+// against new joins. Every host-only request goes through isHost.
+
+export const HostErrorCodes = {
+  NOT_IN_GAME: 'NOT_IN_GAME',
+  NOT_HOST: 'NOT_HOST',
+  PLAYER_NOT_FOUND: 'PLAYER_NOT_FOUND',
+  CANNOT_TARGET_SELF: 'CANNOT_TARGET_SELF',
+  PLAYER_NOT_CONNECTED: 'PLAYER_NOT_CONNECTED',
+  NO_WALLET: 'NO_WALLET',
+  INVALID_REQUEST: 'INVALID_REQUEST',
+  LOBBY_LOCKED: 'LOBBY_LOCKED',
+  BANNED: 'BANNED'
+};
+
+// Whether `playerId` is the host of `game`. The only host check there is.
+export function isHost(game, playerId) {
+  return Boolean(game?.host) && game.host === playerId;
+}
+
+// The connected player who should take over from the current host, if any.
+// Bots never host.
+export function nextHost(game) {
+  return game.players.find(player => player.connected && !player.isBot && player.id !== game.host) || null;
+}
+
+export function isBanned(game, walletAddress) {
+  return Boolean(walletAddress) && (game.bannedWallets || []).some(banned => sameAddress(banned, walletAddress));
+}
+
+// Remove a player at the host's request. Escrow in open offers and resting
+// orders goes back to its owners first, as when a player leaves. Once the
+// game has started, a kicked player keeps their holdings: they go into
+// game.kickedPlayers and are scored at the final prices with everyone else,
+// so the player still gets a result. With `forfeit` they leave with nothing
+// and get no result. With `ban` their wallet can't join this game again.
+// Returns { cancelledOffers, cancelledOrders, holdings, bannedWallet } where
+// holdings is null when forfeited or kicked from the lobby.
+export function kickPlayer(game, playerId, { forfeit = false, ban = false } = {}) {
+  const player = game.players.find(p => p.id === playerId);
+  const { cancelledOffers, cancelledOrders } = removePlayer(game, playerId);
+
+  const holdings = forfeit || game.status === 'waiting' ? null : { tokens: player.tokens, assets: { ...player.assets } };
+  if (holdings) {
+    const { socketId, ...kicked } = player;
+    game.kickedPlayers = [...(game.kickedPlayers || []), { ...kicked, ...holdings, connected: false }];
+  }
+
+  const bannedWallet = ban ? normalizeAddress(player.walletAddress) : null;
+  if (bannedWallet) {
+    game.bannedWallets = [...(game.bannedWallets || []), bannedWallet];
+  }
+
+  return { cancelledOffers, cancelledOrders, holdings, bannedWallet };
+}
@@ -0,0 +1,173 @@
+import { randomBytes } from 'crypto';
+import { gaussian, hashSeed, nextRandom } from './random.js';
+import { DEFAULT_RESOURCES, basePrices, getResourceIds } from './resourceCatalog.js';
+
+// Server-side price engine. Each tick moves every price by
+//
+//   demand     net units bought minus sold since the last tick
+//   burn       units burned since the last tick, times the resource's burnEffect
+//   reversion  a pull back towards the resource's base price
+//   noise      seeded gaussian noise scaled by the resource's volatility
+//
+// Volatility and burn effect come from the resource catalog; a game-wide
+// volatility, when given, overrides every resource's own.
+//
+// Everything the engine needs, including the PRNG state, lives in
+// `game.market` as plain JSON, so the same seed and the same trades always
+// produce the same prices. Anyone who knows the seed can work out every
+// future price, so live games always get a random seed from the server;
+// only the simulation harness and tests pick one.
+//
+// Price modes:
+//   engine  prices come from this engine (default)
+//   host    prices are only changed by the host's `update-market-prices`,
+//           and the game waits for the host's final prices before finishing
+//
+// Order-book games use a third, internal mode, 'orderbook', where the last
+// traded price sets the market price and the engine doesn't tick.
+
+export const PRICE_MODES = ['engine', 'host'];
+export const MARKET_TICK_INTERVAL_MS = 5000; // how often running games' markets tick
+const MARKET_PRICE_SOURCES = [...PRICE_MODES, 'orderbook'];
+
+export const DEFAULT_MARKET_CONFIG = {
+  demandImpact: 0.005,   // price move per net unit bought
+  meanReversion: 0.02,   // share of the gap to the base price closed per tick
+  maxMovePerTick: 0.25,  // clamp on a single tick's move
+  minPrice: 1
+};
+
+function emptyVolume(resources) {
+  return Object.fromEntries(resources.map(resource => [resource, { bought: 0, sold: 0, burned: 0 }]));
+}
+
+function formatPercentage(change) {
+  return `${change > 0 ? '+' : ''}${change}%`;
+}
+
+// Attach a fresh market for the given resource definitions to a game state
+export function createMarket({ mode = 'engine', seed, volatility } = {}, resources = DEFAULT_RESOURCES) {
+  const resourceIds = resources.map(resource => resource.id);
+  const prices = basePrices(resources);
+  const marketSeed = seed ?? randomBytes(4).readUInt32BE(0);
+
+  const params = Object.fromEntries(resources.map(resource => [resource.id, {
+    volatility: typeof volatility === 'number' ? volatility : resource.volatility,
+    burnEffect: resource.burnEffect
+  }]));
+
+  return {
+    mode: MARKET_PRICE_SOURCES.includes(mode) ? mode : 'engine',
+    seed: marketSeed,
+    rngState: hashSeed(marketSeed),
+    config: { ...DEFAULT_MARKET_CONFIG },
+    params,
+    tick: 0,
+    basePrices: { ...prices },
+    exactPrices: { ...prices },
+    roundOpenPrices: { ...prices },
+    pendingVolume: emptyVolume(resourceIds)
+  };
+}
+
+// Record trade volume so the next tick can price it in
+export function recordMarketActivity(game, resource, kind, amount) {
+  const volume = game.market?.pendingVolume?.[resource];
+  if (volume && kind in volume) {
+    volume[kind] += amount;
+  }
+}
+
+// Recompute marketChanges as the real % move since the round opened
+function refreshMarketChanges(game) {
+  const { roundOpenPrices } = game.market;
+  game.marketChanges = Object.keys(game.marketPrices).map(resource => {
+    const open = roundOpenPrices[resource] || game.marketPrices[resource];
+    const change = Math.round(((game.marketPrices[resource] - open) / open) * 1000) / 10;
+    return { resource, change, percentage: formatPercentage(change) };
+  });
+}
+
+// Advance the engine by one tick. Returns the price deltas applied.
+export function tickMarket(game) {
+  const market = game.market;
+  if (!market || market.mode !== 'engine') return null;
+
+  const { config } = market;
+  let rngState = market.rngState;
+  const random = () => {
+    const result = nextRandom(rngState);
+    rngState = result.state;
+    return result.value;
+  };
+
+  const deltas = {};
+  for (const resource of Object.keys(market.exactPrices)) {
+    const price = market.exactPrices[resource];
+    const base = market.basePrices[resource];
+    const { bought, sold, burned } = market.pendingVolume[resource];
+    const { volatility, burnEffect } = market.params[resource];
+
+    const move =
+      config.demandImpact * (bought - sold) +
+      burnEffect * burned +
+      config.meanReversion * ((base - price) / base) +
+      volatility * gaussian(random);
+
+    const clampedMove = Math.max(-config.maxMovePerTick, Math.min(config.maxMovePerTick, move));
+    const newPrice = Math.max(config.minPrice, price * (1 + clampedMove));
+
+    market.exactPrices[resource] = newPrice;
+    deltas[resource] = Math.round(newPrice) - game.marketPrices[resource];
+    game.marketPrices[resource] = Math.round(newPrice);
+  }
+
+  market.rngState = rngState;
+  market.tick += 1;
+  market.pendingVolume = emptyVolume(Object.keys(market.exactPrices));
+  refreshMarketChanges(game);
+
+  return deltas;
+}
+
+// Set prices from outside the engine (host pushes, order-book trades)
+export function setMarketPrices(game, prices) {
+  game.marketPrices = { ...game.marketPrices, ...prices };
+  if (game.market) {
+    game.market.exactPrices = { ...game.marketPrices };
+    refreshMarketChanges(game);
+  }
+}
+
+// Read the prices a host sent with `update-market-prices`, keyed
+// `<resource>_price` or plain `<resource>`. Resources left out keep their
+// price; any price sent must be a positive, finite number.
+// Returns { valid, prices } or { valid: false, message }.
+export function readHostPrices(game, marketPrices) {
+  if (!marketPrices || typeof marketPrices !== 'object') {
+    return { valid: false, message: 'marketPrices must be an object' };
+  }
+
+  const prices = {};
+  for (const resource of getResourceIds(game)) {
+    const key = [`${resource}_price`, resource].find(name => marketPrices[name] !== undefined);
+    if (!key) {
+      prices[resource] = game.marketPrices[resource];
+      continue;
+    }
+
+    const price = marketPrices[key];
+    if (typeof price !== 'number' || !Number.isFinite(price) || price <= 0) {
+      return { valid: false, message: `The price of ${resource} must be a positive number` };
+    }
+    prices[resource] = price;
+  }
+  return { valid: true, prices };
+}
+
+// Start a new round: changes are measured from the prices at this point
+export function openMarketRound(game) {
+  if (!game.market) return;
+  game.market.roundOpenPrices = { ...game.marketPrices };
+  refreshMarketChanges(game);
+}
@@ -0,0 +1,101 @@
+// Skill-based matchmaking. Players queue with optional preferences (player
+// count, rules preset) and the matcher groups compatible players, oldest
+// first. Two signals decide who fits together:
+//
+//   - rating: players with a rating from past finishes are only grouped
+//     with players within their rating bracket, which widens the longer
+//     they wait. Players without one (guests, new wallets) fit anywhere.
+//   - wait time: players with no count preference hold out for a full
+//     table at first and accept smaller games as they wait.
+//
+// A queue entry is { socketId, playerId, playerName, walletAddress, rating,
+// preferences: { playerCount, preset }, queuedAt } where a null preference
+// means "any".
+
+export const MATCH_SIZES = [4, 3, 2]; // Largest first
+export const MATCH_CONFIRM_SECONDS = 20;
+
+// Rule overrides for each preset a player can queue for
+export const MATCH_RULE_PRESETS = {
+  standard: {},
+  quick: { maxRounds: 10, roundDurationSeconds: 30, roundDelaySeconds: 5 },
+  orderbook: { marketMode: 'orderbook' }
+};
+export const DEFAULT_MATCH_PRESET = 'standard';
+
+export const MatchErrorCodes = {
+  INVALID_PREFERENCES: 'INVALID_PREFERENCES',
+  ALREADY_QUEUED: 'ALREADY_QUEUED',
+  ALREADY_IN_GAME: 'ALREADY_IN_GAME',
+  NOT_QUEUED: 'NOT_QUEUED',
+  MATCH_NOT_FOUND: 'MATCH_NOT_FOUND'
+};
+
+const BASE_BRACKET = 100;
+const BRACKET_GROWTH = 50;
+const BRACKET_GROWTH_INTERVAL_MS = 10 * 1000;
+const MAX_BRACKET = 800;
+
+// Players without a count preference accept one seat fewer per interval waited
+const SIZE_RELAX_INTERVAL_MS = 15 * 1000;
+
+// Check queue preferences from the client.
+// Returns { valid: true, preferences } or { valid: false, message }.
+export function validatePreferences({ playerCount = null, preset = null } = {}) {
+  if (playerCount !== null && !MATCH_SIZES.includes(playerCount)) {
+    return { valid: false, message: `playerCount must be one of: ${[...MATCH_SIZES].reverse().join(', ')}` };
+  }
+  if (preset !== null && !(preset in MATCH_RULE_PRESETS)) {
+    return { valid: false, message: `preset must be one of: ${Object.keys(MATCH_RULE_PRESETS).join(', ')}` };
+  }
+  return { valid: true, preferences: { playerCount, preset } };
+}
+
+// Rating distance an entry accepts after waiting until `now`
+export function ratingBracket(entry, now) {
+  const steps = Math.floor((now - entry.queuedAt) / BRACKET_GROWTH_INTERVAL_MS);
+  return Math.min(BASE_BRACKET + steps * BRACKET_GROWTH, MAX_BRACKET);
+}
+
+function ratingsFit(a, b, now) {
+  if (a.rating === null || b.rating === null) return true;
+  return Math.abs(a.rating - b.rating) <= Math.max(ratingBracket(a, now), ratingBracket(b, now));
+}
+
+// Game sizes an entry will take right now, largest first
+function acceptedSizes(entry, now) {
+  if (entry.preferences.playerCount) return [entry.preferences.playerCount];
+  const relaxed = Math.floor((now - entry.queuedAt) / SIZE_RELAX_INTERVAL_MS);
+  return MATCH_SIZES.filter(size => size >= MATCH_SIZES[0] - relaxed);
+}
+
+// Find one group that can play together. Returns
+// { entries, playerCount, preset } or null; the queue is not modified.
+export function findMatch(queue, now = Date.now()) {
+  const byAge = [...queue].sort((a, b) => a.queuedAt - b.queuedAt);
+
+  for (const anchor of byAge) {
+    for (const size of acceptedSizes(anchor, now)) {
+      const group = [anchor];
+      let preset = anchor.preferences.preset;
+
+      for (const candidate of byAge) {
+        if (group.length === size) break;
+        if (candidate === anchor) continue;
+        if (candidate.preferences.playerCount && candidate.preferences.playerCount !== size) continue;
+        if (!acceptedSizes(candidate, now).includes(size)) continue;
+        if (preset && candidate.preferences.preset && candidate.preferences.preset !== preset) continue;
+        if (!group.every(member => ratingsFit(member, candidate, now))) continue;
+
+        group.push(candidate);
+        preset = preset || candidate.preferences.preset;
+      }
+
+      if (group.length === size) {
+        return { entries: group, playerCount: size, preset: preset || DEFAULT_MATCH_PRESET };
+      }
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,334 @@
+import { ActionErrorCodes, MAX_ACTION_AMOUNT, totalAssetUnits } from './gameActions.js';
+import { setMarketPrices } from './marketEngine.js';
+import { getResourceIds, resourceName } from './resourceCatalog.js';
+
+// Limit-order book per resource, used instead of bank Buy/Sell when a game is
+// created with the marketMode rule set to 'orderbook'.
+//
+// Orders match by price-time priority: the best price first and, at the same
+// price, the oldest order first. Trades execute at the resting order's price
+// and the last traded price becomes the resource's market price.
+//
+// Resting orders hold escrow: a bid locks price * quantity tokens, an ask
+// locks the units being sold. Escrow is released on fill, amend or cancel.
+
+export const MARKET_MODES = ['bank', 'orderbook'];
+export const ORDER_SIDES = ['bid', 'ask'];
+export const DEPTH_LEVELS = 10;
+
+// Without a bank to buy from, players need something to sell
+export const STARTING_UNITS_PER_RESOURCE = 10;
+
+export const OrderErrorCodes = {
+  ...ActionErrorCodes,
+  INVALID_SIDE: 'INVALID_SIDE',
+  INVALID_PRICE: 'INVALID_PRICE',
+  ORDER_NOT_FOUND: 'ORDER_NOT_FOUND',
+  NOT_ORDER_OWNER: 'NOT_ORDER_OWNER',
+  ORDER_BOOK_DISABLED: 'ORDER_BOOK_DISABLED',
+  ROUND_ENDED: 'ROUND_ENDED'
+};
+
+function reject(code, message) {
+  return { success: false, code, message };
+}
+
+function isPositiveAmount(value) {
+  return Number.isInteger(value) && value > 0 && value <= MAX_ACTION_AMOUNT;
+}
+
+// Empty books for every resource id
+export function createOrderBooks(resourceIds) {
+  return Object.fromEntries(resourceIds.map(resource => [resource, { bids: [], asks: [] }]));
+}
+
+// Give a new player their starting inventory in order-book games
+export function grantStartingAssets(game, player) {
+  if (game.rules?.marketMode !== 'orderbook') return;
+  getResourceIds(game).forEach(resource => {
+    player.assets[resource] = STARTING_UNITS_PER_RESOURCE;
+  });
+  player.totalAssets = totalAssetUnits(player.assets);
+}
+
+function sortBook(book) {
+  book.bids.sort((a, b) => b.price - a.price || a.seq - b.seq);
+  book.asks.sort((a, b) => a.price - b.price || a.seq - b.seq);
+}
+
+function findOrder(game, orderId) {
+  for (const resource of Object.keys(game.orderBooks || {})) {
+    const book = game.orderBooks[resource];
+    const order = book.bids.find(o => o.id === orderId) || book.asks.find(o => o.id === orderId);
+    if (order) return order;
+  }
+  return null;
+}
+
+function removeOrder(game, order) {
+  const book = game.orderBooks[order.resource];
+  const side = order.side === 'bid' ? 'bids' : 'asks';
+  book[side] = book[side].filter(o => o.id !== order.id);
+}
+
+// Move an order's escrow out of (sign -1) or back into (sign +1) a player's balances
+function moveEscrow(player, order, quantity, sign) {
+  if (order.side === 'bid') {
+    player.tokens += sign * order.price * quantity;
+  } else {
+    player.assets[order.resource] += sign * quantity;
+    player.totalAssets = totalAssetUnits(player.assets);
+  }
+}
+
+function canEscrow(player, side, resource, price, quantity) {
+  return side === 'bid'
+    ? player.tokens >= price * quantity
+    : player.assets[resource] >= quantity;
+}
+
+function insufficient(side) {
+  return side === 'bid'
+    ? reject(OrderErrorCodes.INSUFFICIENT_TOKENS, 'Not enough tokens to cover this bid')
+    : reject(OrderErrorCodes.INSUFFICIENT_ASSETS, 'Not enough units to cover this ask');
+}
+
+// Cross an order against the opposite side of its book. Mutates balances,
+// the book and market prices; returns the fills.
+function matchOrder(game, incoming) {
+  const book = game.orderBooks[incoming.resource];
+  const opposite = incoming.side === 'bid' ? book.asks : book.bids;
+  const fills = [];
+
+  for (const resting of [...opposite]) {
+    if (incoming.quantity === 0) break;
+
+    const crosses = incoming.side === 'bid' ? resting.price <= incoming.price : resting.price >= incoming.price;
+    if (!crosses) break;
+
+    // No self-trades; skip past our own resting orders
+    if (resting.playerId === incoming.playerId) continue;
+
+    const quantity = Math.min(incoming.quantity, resting.quantity);
+    const price = resting.price;
+    const bid = incoming.side === 'bid' ? incoming : resting;
+    const ask = incoming.side === 'ask' ? incoming : resting;
+    const buyer = game.players.find(p => p.id === bid.playerId);
+    const seller = game.players.find(p => p.id === ask.playerId);
+
+    // The buyer's escrow was locked at their limit; refund any price improvement
+    buyer.assets[incoming.resource] += quantity;
+    buyer.tokens += (bid.price - price) * quantity;
+    buyer.totalAssets = totalAssetUnits(buyer.assets);
+    seller.tokens += price * quantity;
+
+    incoming.quantity -= quantity;
+    resting.quantity -= quantity;
+    if (resting.quantity === 0) {
+      removeOrder(game, resting);
+    }
+
+    fills.push({
+      resource: incoming.resource,
+      price,
+      quantity,
+      bidOrderId: bid.id,
+      askOrderId: ask.id,
+      buyerId: buyer.id,
+      sellerId: seller.id,
+      bidRemaining: bid.quantity,
+      askRemaining: ask.quantity,
+      actionText: `${buyer.name} bought ${quantity} ${resourceName(game, incoming.resource)} from ${seller.name} at ${price} tokens`
+    });
+  }
+
+  if (fills.length > 0) {
+    game.lastTradePrices = { ...(game.lastTradePrices || {}), [incoming.resource]: fills[fills.length - 1].price };
+    setMarketPrices(game, { [incoming.resource]: fills[fills.length - 1].price });
+  }
+
+  return fills;
+}
+
+// Add an order to the book after matching what it can
+function restOrMatch(game, order) {
+  const fills = matchOrder(game, order);
+  if (order.quantity > 0) {
+    const book = game.orderBooks[order.resource];
+    book[order.side === 'bid' ? 'bids' : 'asks'].push(order);
+    sortBook(book);
+  }
+  return fills;
+}
+
+function checkOrderBookOpen(game) {
+  if (game.rules?.marketMode !== 'orderbook') {
+    return reject(OrderErrorCodes.ORDER_BOOK_DISABLED, 'This game trades with the bank, not an order book');
+  }
+  if (game.roundDelay?.active) {
+    return reject(OrderErrorCodes.ROUND_ENDED, 'Orders can only be placed while a round is running');
+  }
+  return null;
+}
+
+// Place a new limit order. `at` (an ISO time, from the request's log event)
+// stamps it so a replay rebuilds the same order.
+export function placeOrder(game, player, { resource, side, price, quantity }, at) {
+  const closed = checkOrderBookOpen(game);
+  if (closed) return closed;
+
+  const normalizedResource = typeof resource === 'string' ? resource.toLowerCase() : null;
+  if (!getResourceIds(game).includes(normalizedResource)) {
+    return reject(OrderErrorCodes.INVALID_RESOURCE, `Unknown resource: ${resource}`);
+  }
+  if (!ORDER_SIDES.includes(side)) {
+    return reject(OrderErrorCodes.INVALID_SIDE, 'side must be bid or ask');
+  }
+  if (!isPositiveAmount(price)) {
+    return reject(OrderErrorCodes.INVALID_PRICE, 'Price must be a positive whole number of tokens');
+  }
+  if (!isPositiveAmount(quantity)) {
+    return reject(OrderErrorCodes.INVALID_AMOUNT, 'Quantity must be a positive whole number');
+  }
+  if (!canEscrow(player, side, normalizedResource, price, quantity)) {
+    return insufficient(side);
+  }
+
+  game.orderSeq = (game.orderSeq || 0) + 1;
+  const order = {
+    id: `order_${game.orderSeq}`,
+    playerId: player.id,
+    resource: normalizedResource,
+    side,
+    price,
+    quantity,
+    originalQuantity: quantity,
+    seq: game.orderSeq,
+    round: game.currentRound,
+    createdAt: at
+  };
+
+  moveEscrow(player, order, quantity, -1);
+  const fills = restOrMatch(game, order);
+
+  return { success: true, order, fills };
+}
+
+// Change the price and/or quantity of a resting order. Raising the quantity
+// or changing the price loses time priority; reducing quantity keeps it.
+export function amendOrder(game, player, { orderId, price, quantity }) {
+  const closed = checkOrderBookOpen(game);
+  if (closed) return closed;
+
+  const order = findOrder(game, orderId);
+  if (!order) {
+    return reject(OrderErrorCodes.ORDER_NOT_FOUND, 'Order not found or already filled');
+  }
+  if (order.playerId !== player.id) {
+    return reject(OrderErrorCodes.NOT_ORDER_OWNER, 'You can only amend your own orders');
+  }
+
+  const newPrice = price ?? order.price;
+  const newQuantity = quantity ?? order.quantity;
+  if (!isPositiveAmount(newPrice)) {
+    return reject(OrderErrorCodes.INVALID_PRICE, 'Price must be a positive whole number of tokens');
+  }
+  if (!isPositiveAmount(newQuantity)) {
+    return reject(OrderErrorCodes.INVALID_AMOUNT, 'Quantity must be a positive whole number');
+  }
+
+  // Release the old escrow and check the new one fits
+  moveEscrow(player, order, order.quantity, +1);
+  if (!canEscrow(player, order.side, order.resource, newPrice, newQuantity)) {
+    moveEscrow(player, order, order.quantity, -1);
+    return insufficient(order.side);
+  }
+
+  const keepsPriority = newPrice === order.price && newQuantity <= order.quantity;
+  removeOrder(game, order);
+
+  order.price = newPrice;
+  order.quantity = newQuantity;
+  if (!keepsPriority) {
+    game.orderSeq += 1;
+    order.seq = game.orderSeq;
+  }
+
+  moveEscrow(player, order, newQuantity, -1);
+  const fills = restOrMatch(game, order);
+
+  return { success: true, order, fills };
+}
+
+// Cancel one of the player's resting orders
+export function cancelOrder(game, player, { orderId }) {
+  const order = findOrder(game, orderId);
+  if (!order) {
+    return reject(OrderErrorCodes.ORDER_NOT_FOUND, 'Order not found or already filled');
+  }
+  if (order.playerId !== player.id) {
+    return reject(OrderErrorCodes.NOT_ORDER_OWNER, 'You can only cancel your own orders');
+  }
+
+  moveEscrow(player, order, order.quantity, +1);
+  removeOrder(game, order);
+
+  return { success: true, order: { ...order, quantity: 0 } };
+}
+
+// Cancel every resting order (optionally only one player's) and refund escrow.
+// Returns the cancelled orders.
+export function cancelAllOrders(game, playerId = null) {
+  const cancelled = [];
+  for (const resource of Object.keys(game.orderBooks || {})) {
+    const book = game.orderBooks[resource];
+    for (const order of [...book.bids, ...book.asks]) {
+      if (playerId && order.playerId !== playerId) continue;
+      const owner = game.players.find(p => p.id === order.playerId);
+      if (owner) moveEscrow(owner, order, order.quantity, +1);
+      removeOrder(game, order);
+      cancelled.push(order);
+    }
+  }
+  return cancelled;
+}
+
+// Aggregated depth for one resource: price levels with total quantity
+export function getDepthSnapshot(game, resource, levels = DEPTH_LEVELS) {
+  const book = game.orderBooks?.[resource] || { bids: [], asks: [] };
+  const aggregate = (orders) => {
+    const byPrice = new Map();
+    orders.forEach(order => {
+      const level = byPrice.get(order.price) || { price: order.price, quantity: 0, orders: 0 };
+      level.quantity += order.quantity;
+      level.orders += 1;
+      byPrice.set(order.price, level);
+    });
+    return [...byPrice.values()].slice(0, levels);
+  };
+
+  return {
+    resource,
+    bids: aggregate(book.bids),
+    asks: aggregate(book.asks),
+    lastPrice: game.lastTradePrices?.[resource] ?? null
+  };
+}
+
+// Apply an order request from a player by name, with the fields each one reads:
+//   place   { resource, side, price, quantity }
+//   amend   { orderId, price, quantity }
+//   cancel  { orderId }
+// `at` is the request's ISO time, stamped on any order it places.
+export function applyOrderRequest(game, player, request, { resource, side, price, quantity, orderId } = {}, at) {
+  switch (request) {
+    case 'place':
+      return placeOrder(game, player, { resource, side, price, quantity }, at);
+    case 'amend':
+      return amendOrder(game, player, { orderId, price, quantity });
+    case 'cancel':
+      return cancelOrder(game, player, { orderId });
+    default:
+      return reject(OrderErrorCodes.INVALID_PAYLOAD, `Unknown order request: ${request}`);
+  }
+}
@@ -0,0 +1,133 @@
+import { normalizeAddress } from './walletAuth.js';
+import { ratingView } from './skillRating.js';
+
+// Match history and lifetime stats. When a game finishes every seat gets a
+// result row; players signed in with a wallet also get a profile with their
+// lifetime totals, and only they appear on the leaderboard.
+//
+// A result's strategy is what the player's final score was mostly made of:
+// the resource with the highest holding value, or 'cash' when their tokens
+// were worth more than any single resource.
+
+export const CASH_STRATEGY = 'cash';
+export const DEFAULT_LEADERBOARD_SIZE = 20;
+export const MAX_LEADERBOARD_SIZE = 100;
+export const MAX_MATCH_HISTORY = 50;
+
+// Leaderboard periods and how far back each one looks (null: all time)
+export const LEADERBOARD_PERIODS = {
+  all: null,
+  weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+const STRATEGY_PATTERN = /^[a-z][a-z0-9_]{0,19}$/;
+
+export function playerStrategy(player, marketPrices) {
+  let strategy = CASH_STRATEGY;
+  let best = player.tokens;
+  for (const [resource, units] of Object.entries(player.assets)) {
+    const value = units * (marketPrices[resource] || 0);
+    if (value > best) {
+      best = value;
+      strategy = resource;
+    }
+  }
+  return strategy;
+}
+
+// Result rows (game_results shape) for a finished game
+export function buildGameResults(gameId, game, finishedAt = new Date()) {
+  return game.finalScores.map((player, index) => ({
+    game_id: gameId,
+    player_id: player.id,
+    wallet_address: normalizeAddress(player.walletAddress),
+    player_name: player.name,
+    is_bot: Boolean(player.isBot),
+    rank: index + 1,
+    is_winner: index === 0,
+    final_score: player.finalScore,
+    tokens: player.tokens,
+    asset_value: player.assetValue,
+    strategy: playerStrategy(player, game.marketPrices),
+    finished_at: finishedAt.toISOString()
+  }));
+}
+
+// Check a leaderboard request.
+// Returns { valid: true, query: { period, since, strategy, limit } } or { valid: false, message }.
+export function validateLeaderboardQuery({ period = 'all', strategy = null, limit = DEFAULT_LEADERBOARD_SIZE } = {}, now = Date.now()) {
+  if (!(period in LEADERBOARD_PERIODS)) {
+    return { valid: false, message: `period must be one of: ${Object.keys(LEADERBOARD_PERIODS).join(', ')}` };
+  }
+
+  const normalizedStrategy = strategy === null || strategy === '' ? null : String(strategy).toLowerCase();
+  if (normalizedStrategy !== null && !STRATEGY_PATTERN.test(normalizedStrategy)) {
+    return { valid: false, message: `strategy must be a resource id or ${CASH_STRATEGY}` };
+  }
+
+  const size = Number(limit);
+  if (!Number.isInteger(size) || size < 1 || size > MAX_LEADERBOARD_SIZE) {
+    return { valid: false, message: `limit must be a whole number between 1 and ${MAX_LEADERBOARD_SIZE}` };
+  }
+
+  const window = LEADERBOARD_PERIODS[period];
+  return {
+    valid: true,
+    query: {
+      period,
+      since: window === null ? null : new Date(now - window).toISOString(),
+      strategy: normalizedStrategy,
+      limit: size
+    }
+  };
+}
+
+// Order leaderboard entries: most wins, then best average, then best single score
+export function compareLeaderboardRows(a, b) {
+  return b.wins - a.wins ||
+    b.total_score / b.games_played - a.total_score / a.games_played ||
+    b.best_score - a.best_score;
+}
+
+// Formatting for clients
+
+export function formatProfile(row) {
+  return {
+    walletAddress: row.wallet_address,
+    displayName: row.display_name,
+    gamesPlayed: row.games_played,
+    wins: row.wins,
+    averageScore: row.games_played > 0 ? Math.round(row.total_score / row.games_played) : 0,
+    bestScore: row.best_score,
+    rating: ratingView(row),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+export function formatResult(row) {
+  return {
+    gameId: row.game_id,
+    playerName: row.player_name,
+    isBot: Boolean(row.is_bot),
+    rank: row.rank,
+    isWinner: row.is_winner,
+    finalScore: row.final_score,
+    tokens: row.tokens,
+    assetValue: row.asset_value,
+    strategy: row.strategy,
+    finishedAt: row.finished_at
+  };
+}
+
+export function formatLeaderboardEntry(row, index) {
+  return {
+    rank: index + 1,
+    walletAddress: row.wallet_address,
+    displayName: row.display_name,
+    gamesPlayed: row.games_played,
+    wins: row.wins,
+    averageScore: Math.round(row.total_score / row.games_played),
+    bestScore: row.best_score
+  };
+}
@@ -0,0 +1,44 @@
+// Small seedable PRNG (mulberry32). The whole generator state is a single
+// 32-bit integer so it can live inside JSON game state and be snapshotted.
+
+// Turn any string or number into a 32-bit seed
+export function hashSeed(seed) {
+  const text = String(seed);
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+// Advance a generator state. Returns { value, state } with value in [0, 1).
+export function nextRandom(state) {
+  const nextState = (state + 0x6D2B79F5) >>> 0;
+  let t = nextState;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  const value = ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  return { value, state: nextState };
+}
+
+// Stateful wrapper for callers that don't need to persist the state
+export function createRng(seed) {
+  let state = hashSeed(seed);
+
+  const rng = () => {
+    const result = nextRandom(state);
+    state = result.state;
+    return result.value;
+  };
+  rng.getState = () => state;
+
+  return rng;
+}
+
+// Standard normal sample (Box-Muller) from a [0, 1) source
+export function gaussian(random) {
+  const u = Math.max(random(), Number.EPSILON);
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
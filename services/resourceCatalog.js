@@ -0,0 +1,134 @@
+// Catalog of tradeable resources. A game picks its resources at creation,
+// either a preset name or a custom list, and every part of the game (assets,
+// prices, scoring, trading) iterates over that list instead of assuming
+// gold, water and oil.
+//
+// Each resource definition:
+//   id          key used in assets, marketPrices and client payloads
+//   name        display name
+//   basePrice   starting price, and the level the market engine reverts to
+//   volatility  std dev of the engine's per-tick price noise
+//   burnEffect  price move per unit burned
+
+export const MIN_RESOURCES = 2;
+export const MAX_RESOURCES = 8;
+
+export const RESOURCE_CATALOG = {
+  gold: { id: 'gold', name: 'Gold', basePrice: 100, volatility: 0.02, burnEffect: 0.03 },
+  water: { id: 'water', name: 'Water', basePrice: 50, volatility: 0.015, burnEffect: 0.03 },
+  oil: { id: 'oil', name: 'Oil', basePrice: 150, volatility: 0.03, burnEffect: 0.03 },
+  silver: { id: 'silver', name: 'Silver', basePrice: 40, volatility: 0.025, burnEffect: 0.03 },
+  copper: { id: 'copper', name: 'Copper', basePrice: 20, volatility: 0.02, burnEffect: 0.025 },
+  wheat: { id: 'wheat', name: 'Wheat', basePrice: 30, volatility: 0.02, burnEffect: 0.03 },
+  coffee: { id: 'coffee', name: 'Coffee', basePrice: 60, volatility: 0.035, burnEffect: 0.03 },
+  lithium: { id: 'lithium', name: 'Lithium', basePrice: 120, volatility: 0.04, burnEffect: 0.035 }
+};
+
+export const RESOURCE_PRESETS = {
+  classic: ['gold', 'water', 'oil'],
+  metals: ['gold', 'silver', 'copper', 'lithium'],
+  agriculture: ['water', 'wheat', 'coffee'],
+  everything: Object.keys(RESOURCE_CATALOG)
+};
+
+export const DEFAULT_RESOURCE_PRESET = 'classic';
+
+const ID_PATTERN = /^[a-z][a-z0-9_]{0,19}$/;
+
+function presetResources(preset) {
+  return RESOURCE_PRESETS[preset].map(id => ({ ...RESOURCE_CATALOG[id] }));
+}
+
+// Check a custom resource definition; returns an error message or null
+function checkCustomResource(definition) {
+  if (!definition || typeof definition !== 'object') {
+    return 'each resource must be a catalog id or a definition object';
+  }
+  if (typeof definition.id !== 'string' || !ID_PATTERN.test(definition.id)) {
+    return 'resource ids must be lowercase letters, digits or underscores (max 20)';
+  }
+  if (definition.name !== undefined && (typeof definition.name !== 'string' || !definition.name.trim() || definition.name.length > 30)) {
+    return `${definition.id}: name must be 1-30 characters`;
+  }
+  if (!Number.isInteger(definition.basePrice) || definition.basePrice < 1 || definition.basePrice > 100000) {
+    return `${definition.id}: basePrice must be a whole number between 1 and 100000`;
+  }
+  for (const field of ['volatility', 'burnEffect']) {
+    const value = definition[field];
+    if (value !== undefined && !(typeof value === 'number' && value >= 0 && value <= 0.2)) {
+      return `${definition.id}: ${field} must be a number between 0 and 0.2`;
+    }
+  }
+  return null;
+}
+
+// Resolve a preset name or a custom list into resource definitions.
+// Returns { resources } or { error }.
+export function resolveResources(input = DEFAULT_RESOURCE_PRESET) {
+  if (typeof input === 'string') {
+    return RESOURCE_PRESETS[input]
+      ? { resources: presetResources(input) }
+      : { error: `resources preset must be one of: ${Object.keys(RESOURCE_PRESETS).join(', ')}` };
+  }
+
+  if (!Array.isArray(input) || input.length < MIN_RESOURCES || input.length > MAX_RESOURCES) {
+    return { error: `resources must be a preset name or a list of ${MIN_RESOURCES}-${MAX_RESOURCES} resources` };
+  }
+
+  const resources = [];
+  for (const entry of input) {
+    if (typeof entry === 'string') {
+      if (!RESOURCE_CATALOG[entry]) {
+        return { error: `Unknown resource: ${entry}` };
+      }
+      resources.push({ ...RESOURCE_CATALOG[entry] });
+      continue;
+    }
+
+    const error = checkCustomResource(entry);
+    if (error) return { error };
+
+    const catalogEntry = RESOURCE_CATALOG[entry.id] || {};
+    resources.push({
+      id: entry.id,
+      name: entry.name?.trim() || catalogEntry.name || entry.id.charAt(0).toUpperCase() + entry.id.slice(1),
+      basePrice: entry.basePrice,
+      volatility: entry.volatility ?? catalogEntry.volatility ?? 0.02,
+      burnEffect: entry.burnEffect ?? catalogEntry.burnEffect ?? 0.03
+    });
+  }
+
+  const ids = resources.map(resource => resource.id);
+  if (new Set(ids).size !== ids.length) {
+    return { error: 'resource ids must be unique' };
+  }
+
+  return { resources };
+}
+
+export const DEFAULT_RESOURCES = presetResources(DEFAULT_RESOURCE_PRESET);
+
+// A game's resource definitions (games created before the catalog use the classic set)
+export function getResources(game) {
+  return game?.rules?.resources || DEFAULT_RESOURCES;
+}
+
+export function getResourceIds(game) {
+  return getResources(game).map(resource => resource.id);
+}
+
+// Display name for a resource id in a game
+export function resourceName(game, id) {
+  return getResources(game).find(resource => resource.id === id)?.name
+    || id.charAt(0).toUpperCase() + id.slice(1);
+}
+
+// { id: 0, ... } for every resource
+export function emptyAssets(resources) {
+  return Object.fromEntries(resources.map(resource => [resource.id, 0]));
+}
+
+// { id: basePrice, ... } for every resource
+export function basePrices(resources) {
+  return Object.fromEntries(resources.map(resource => [resource.id, resource.basePrice]));
+}
@@ -0,0 +1,86 @@
+import { getRules } from './gameRules.js';
+
+// Pausing and ending rounds early. The host can pause a running game: the
+// clock (round time or the between-rounds delay) and the market stop where
+// they are and player requests are rejected until the host resumes.
+//
+// Once every connected player has acted in a round (an action, trade or
+// order request), players can vote to end it early. The round ends when the
+// game's skipVotePercent of connected players have voted; 0 turns voting off.
+// Bots neither vote nor hold the vote up.
+
+export const RoundControlErrorCodes = {
+  GAME_NOT_ACTIVE: 'GAME_NOT_ACTIVE',
+  ALREADY_PAUSED: 'ALREADY_PAUSED',
+  NOT_PAUSED: 'NOT_PAUSED',
+  GAME_PAUSED: 'GAME_PAUSED',
+  ROUND_NOT_ACTIVE: 'ROUND_NOT_ACTIVE',
+  WAITING_FOR_ACTIONS: 'WAITING_FOR_ACTIONS',
+  ALREADY_VOTED: 'ALREADY_VOTED',
+  SKIP_VOTES_DISABLED: 'SKIP_VOTES_DISABLED'
+};
+
+function reject(code, message) {
+  return { success: false, code, message };
+}
+
+function isRunning(game) {
+  return game.status === 'playing' && game.timerActive;
+}
+
+export function pauseGame(game) {
+  if (!isRunning(game)) return reject(RoundControlErrorCodes.GAME_NOT_ACTIVE, 'Game is not in progress');
+  if (game.paused) return reject(RoundControlErrorCodes.ALREADY_PAUSED, 'Game is already paused');
+
+  game.paused = true;
+  return { success: true };
+}
+
+export function resumeGame(game) {
+  if (!game.paused) return reject(RoundControlErrorCodes.NOT_PAUSED, 'Game is not paused');
+
+  game.paused = false;
+  return { success: true };
+}
+
+// Note that `playerId` has done something this round
+export function markActed(game, playerId) {
+  game.actedThisRound = game.actedThisRound || [];
+  if (!game.actedThisRound.includes(playerId)) game.actedThisRound.push(playerId);
+}
+
+// Forget who acted and voted; called when a round ends
+export function resetRoundVotes(game) {
+  game.actedThisRound = [];
+  game.skipVotes = [];
+}
+
+// Votes to skip from players still connected and how many are needed
+export function skipVoteTally(game) {
+  const connected = game.players.filter(player => player.connected && !player.isBot).map(player => player.id);
+  const votes = (game.skipVotes || []).filter(id => connected.includes(id)).length;
+  const needed = Math.max(1, Math.ceil(connected.length * getRules(game).skipVotePercent / 100));
+  return { votes, needed, passed: votes >= needed };
+}
+
+// Record `playerId`'s vote to end the round.
+// Returns { success: true, votes, needed, passed } or { success: false, code, message }.
+export function voteToSkip(game, playerId) {
+  if (getRules(game).skipVotePercent === 0) {
+    return reject(RoundControlErrorCodes.SKIP_VOTES_DISABLED, 'This game does not allow skipping rounds');
+  }
+  if (!isRunning(game)) return reject(RoundControlErrorCodes.GAME_NOT_ACTIVE, 'Game is not in progress');
+  if (game.paused) return reject(RoundControlErrorCodes.GAME_PAUSED, 'Game is paused');
+  if (game.roundDelay?.active) return reject(RoundControlErrorCodes.ROUND_NOT_ACTIVE, 'The round has already ended');
+
+  const acted = game.actedThisRound || [];
+  if (game.players.some(player => player.connected && !player.isBot && !acted.includes(player.id))) {
+    return reject(RoundControlErrorCodes.WAITING_FOR_ACTIONS, 'Everyone has to act before the round can be skipped');
+  }
+  if ((game.skipVotes || []).includes(playerId)) {
+    return reject(RoundControlErrorCodes.ALREADY_VOTED, 'You have already voted to skip this round');
+  }
+
+  game.skipVotes = [...(game.skipVotes || []), playerId];
+  return { success: true, ...skipVoteTally(game) };
+}
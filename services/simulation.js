@@ -0,0 +1,232 @@
+import { createRng } from './random.js';
+import { validateRules } from './gameRules.js';
+import { ACTIONS } from './gameActions.js';
+import { MARKET_TICK_INTERVAL_MS } from './marketEngine.js';
+import { grantStartingAssets } from './orderBook.js';
+import { createInitialGameState, createPlayer } from './gameFlow.js';
+import { applyCommand } from './gameEngine.js';
+import { BOT_STRATEGIES, BOT_TURN_INTERVAL_MS } from './botPlayers.js';
+
+// Headless games for balance testing. Bots play full games through the same
+// game engine the server runs, on a virtual clock that steps one second at a
+// time: the round clock ticks every second and the market and bots at the
+// server's intervals. Every game is seeded from the run's seed and its
+// index, so a run is reproducible.
+//
+// Seats rotate from game to game so no strategy always acts first.
+
+const MARKET_TICK_SECONDS = MARKET_TICK_INTERVAL_MS / 1000;
+const BOT_TURN_SECONDS = BOT_TURN_INTERVAL_MS / 1000;
+
+export const DEFAULT_SIMULATION = {
+  games: 1000,
+  strategies: BOT_STRATEGIES,
+  rules: {},
+  seed: 'simulation'
+};
+
+export const MAX_SIMULATED_GAMES = 100000;
+
+// Check simulation options.
+// Returns { valid: true, options } with rules filled in, or { valid: false, errors }.
+export function validateSimulation(input = {}) {
+  const given = Object.fromEntries(Object.entries(input).filter(([, value]) => value !== undefined));
+  const options = { ...DEFAULT_SIMULATION, ...given };
+  const errors = [];
+
+  if (!Number.isInteger(options.games) || options.games < 1 || options.games > MAX_SIMULATED_GAMES) {
+    errors.push(`games must be a whole number between 1 and ${MAX_SIMULATED_GAMES}`);
+  }
+  if (!Array.isArray(options.strategies) || options.strategies.length < 2) {
+    errors.push('strategies needs at least two seats');
+  } else {
+    const unknown = options.strategies.filter(strategy => !BOT_STRATEGIES.includes(strategy));
+    if (unknown.length > 0) errors.push(`Unknown strategies: ${unknown.join(', ')} (use ${BOT_STRATEGIES.join(', ')})`);
+  }
+
+  const rules = validateRules(options.rules);
+  if (!rules.valid) {
+    errors.push(...rules.errors);
+  } else if (rules.rules.marketMode === 'orderbook') {
+    errors.push('Bots cannot play order-book games');
+  }
+
+  if (errors.length > 0) return { valid: false, errors };
+  return { valid: true, options: { ...options, rules: rules.rules } };
+}
+
+function emptyActionCounts() {
+  return Object.fromEntries(ACTIONS.map(action => [action, 0]));
+}
+
+// Play one game between `strategies` (one seat each, in seat order).
+// Returns { rounds, seats: [{ seat, strategy, rank, won, finalScore, tokens, assetValue, actions, rejected }] }.
+export function simulateGame({ strategies, rules, seed }) {
+  const random = createRng(`${seed}:bots`);
+  const game = createInitialGameState(rules, `${seed}:market`);
+  const clock = { now: 0 };
+  const run = (command) => applyCommand(game, command, clock, random).result;
+  const stats = new Map();
+
+  strategies.forEach((strategy, seat) => {
+    const bot = { ...createPlayer(`bot_${seat}`, `${strategy} ${seat + 1}`, null, null, rules), isBot: true, botStrategy: strategy };
+    grantStartingAssets(game, bot);
+    game.players.push(bot);
+    stats.set(bot.id, { seat, strategy, actions: emptyActionCounts(), rejected: 0 });
+  });
+
+  run({ type: 'start' });
+  for (let second = 1; ; second++) {
+    clock.now = second * 1000;
+    if (run({ type: 'tick' }).gameOver) break;
+    if (second % MARKET_TICK_SECONDS === 0) run({ type: 'market-tick' });
+    if (second % BOT_TURN_SECONDS === 0) {
+      game.players.forEach(bot => {
+        const turn = run({ type: 'bot-turn', playerId: bot.id });
+        if (!turn.acted) return;
+        if (turn.success) stats.get(bot.id).actions[turn.action.action] += 1;
+        else stats.get(bot.id).rejected += 1;
+      });
+    }
+  }
+
+  run({ type: 'begin-end' });
+  const { finalScores } = run({ type: 'finish' });
+  const topScore = finalScores[0].finalScore;
+  const winners = finalScores.filter(player => player.finalScore === topScore).length;
+
+  return {
+    rounds: game.maxRounds,
+    seats: finalScores.map((player, index) => ({
+      ...stats.get(player.id),
+      rank: index + 1,
+      // Ties for first share the win
+      won: player.finalScore === topScore ? 1 / winners : 0,
+      finalScore: player.finalScore,
+      tokens: player.tokens,
+      assetValue: player.assetValue
+    })).sort((a, b) => a.seat - b.seat)
+  };
+}
+
+// Seat order for game `index`: the strategy list rotated by the index
+function seatingFor(strategies, index) {
+  const offset = index % strategies.length;
+  return [...strategies.slice(offset), ...strategies.slice(0, offset)];
+}
+
+function percentile(sorted, fraction) {
+  if (sorted.length === 0) return null;
+  const position = (sorted.length - 1) * fraction;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+function round2(value) {
+  return value === null ? null : Math.round(value * 100) / 100;
+}
+
+// Mean, spread and percentiles of a list of scores
+export function scoreDistribution(scores) {
+  const sorted = [...scores].sort((a, b) => a - b);
+  const mean = sorted.reduce((sum, score) => sum + score, 0) / sorted.length;
+  const variance = sorted.reduce((sum, score) => sum + (score - mean) ** 2, 0) / sorted.length;
+  return {
+    mean: round2(mean),
+    stdDev: round2(Math.sqrt(variance)),
+    min: round2(sorted[0]),
+    p10: round2(percentile(sorted, 0.1)),
+    p25: round2(percentile(sorted, 0.25)),
+    median: round2(percentile(sorted, 0.5)),
+    p75: round2(percentile(sorted, 0.75)),
+    p90: round2(percentile(sorted, 0.9)),
+    max: round2(sorted[sorted.length - 1])
+  };
+}
+
+// Per-strategy statistics over every seat a strategy played
+function summarize(results) {
+  const byStrategy = new Map();
+  results.forEach(({ seats }) => seats.forEach(seat => {
+    const entry = byStrategy.get(seat.strategy) || { seats: 0, wins: 0, scores: [], actions: emptyActionCounts(), rejected: 0 };
+    entry.seats += 1;
+    entry.wins += seat.won;
+    entry.scores.push(seat.finalScore);
+    ACTIONS.forEach(action => { entry.actions[action] += seat.actions[action]; });
+    entry.rejected += seat.rejected;
+    byStrategy.set(seat.strategy, entry);
+  }));
+
+  return [...byStrategy].map(([strategy, entry]) => ({
+    strategy,
+    seats: entry.seats,
+    wins: round2(entry.wins),
+    winRate: round2(entry.wins / entry.seats),
+    score: scoreDistribution(entry.scores),
+    // Average per game played
+    actions: Object.fromEntries(ACTIONS.map(action => [action, round2(entry.actions[action] / entry.seats)])),
+    rejectedActions: round2(entry.rejected / entry.seats)
+  }));
+}
+
+// Play `options.games` games and return { options, strategies, results }
+// where `results` holds every game's seats
+export function runSimulation(options) {
+  const { games, strategies, rules, seed } = options;
+  const results = [];
+  for (let index = 0; index < games; index++) {
+    results.push({ game: index + 1, ...simulateGame({ strategies: seatingFor(strategies, index), rules, seed: `${seed}:${index}` }) });
+  }
+
+  return {
+    options: { games, strategies, seed, rules },
+    strategies: summarize(results),
+    results
+  };
+}
+
+function csvValue(value) {
+  const text = String(value ?? '');
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(header, rows) {
+  return [header, ...rows].map(row => row.map(csvValue).join(',')).join('\n') + '\n';
+}
+
+// One row per strategy
+export function summaryCsv(report) {
+  const scoreColumns = ['mean', 'stdDev', 'min', 'p10', 'p25', 'median', 'p75', 'p90', 'max'];
+  return toCsv(
+    ['strategy', 'seats', 'wins', 'winRate', ...scoreColumns.map(column => `score_${column}`), ...ACTIONS.map(action => `avg_${action.toLowerCase()}`), 'avg_rejected'],
+    report.strategies.map(entry => [
+      entry.strategy,
+      entry.seats,
+      entry.wins,
+      entry.winRate,
+      ...scoreColumns.map(column => entry.score[column]),
+      ...ACTIONS.map(action => entry.actions[action]),
+      entry.rejectedActions
+    ])
+  );
+}
+
+// One row per seat per game, for analysis elsewhere
+export function gamesCsv(report) {
+  return toCsv(
+    ['game', 'seat', 'strategy', 'rank', 'won', 'finalScore', 'tokens', 'assetValue', ...ACTIONS.map(action => action.toLowerCase()), 'rejected'],
+    report.results.flatMap(({ game, seats }) => seats.map(seat => [
+      game,
+      seat.seat + 1,
+      seat.strategy,
+      seat.rank,
+      round2(seat.won),
+      round2(seat.finalScore),
+      round2(seat.tokens),
+      round2(seat.assetValue),
+      ...ACTIONS.map(action => seat.actions[action]),
+      seat.rejected
+    ]))
+  );
+}
@@ -0,0 +1,69 @@
+// Elo skill ratings for wallet players, updated when a game finishes.
+//
+// A free-for-all game is scored as every pair of players playing each other:
+// finishing above an opponent is a win, level on final score a draw. A
+// player's change is K times the sum of (actual - expected) over their
+// opponents, divided by the number of opponents so a 4-player game moves a
+// rating about as much as a 2-player one.
+//
+// Players with fewer than PROVISIONAL_GAMES rated games are provisional:
+// their rating moves faster, and established players only take half the
+// usual change from games against them, since a provisional rating is
+// mostly a guess.
+
+export const DEFAULT_RATING = 1500;
+export const PROVISIONAL_GAMES = 10;
+export const K_PROVISIONAL = 40;
+export const K_ESTABLISHED = 20;
+
+const PROVISIONAL_OPPONENT_WEIGHT = 0.5;
+
+export function isProvisional(ratedGames) {
+  return ratedGames < PROVISIONAL_GAMES;
+}
+
+// Chance that a player rated `rating` beats one rated `opponentRating`
+export function expectedScore(rating, opponentRating) {
+  return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+}
+
+// New ratings for one game. `placements` is [{ id, rating, ratedGames, score }]
+// for every rated player; order doesn't matter, final scores decide places.
+// Returns [{ id, before, after, change, ratedGames, provisional }].
+export function computeRatingChanges(placements) {
+  if (placements.length < 2) return [];
+
+  const opponents = placements.length - 1;
+  return placements.map(player => {
+    const provisional = isProvisional(player.ratedGames);
+    const k = provisional ? K_PROVISIONAL : K_ESTABLISHED;
+
+    let delta = 0;
+    for (const opponent of placements) {
+      if (opponent === player) continue;
+      const actual = player.score > opponent.score ? 1 : player.score === opponent.score ? 0.5 : 0;
+      const weight = !provisional && isProvisional(opponent.ratedGames) ? PROVISIONAL_OPPONENT_WEIGHT : 1;
+      delta += weight * (actual - expectedScore(player.rating, opponent.rating));
+    }
+
+    const change = Math.round((k * delta / opponents) * 10) / 10;
+    return {
+      id: player.id,
+      before: player.rating,
+      after: Math.round((player.rating + change) * 10) / 10,
+      change,
+      ratedGames: player.ratedGames + 1,
+      provisional: isProvisional(player.ratedGames + 1)
+    };
+  });
+}
+
+// Rating as shown to clients, from a player_profiles row (null: unrated)
+export function ratingView(row) {
+  const ratedGames = row?.rated_games ?? 0;
+  return {
+    rating: Math.round(Number(row?.rating ?? DEFAULT_RATING)),
+    ratedGames,
+    provisional: isProvisional(ratedGames)
+  };
+}
@@ -0,0 +1,41 @@
+import { getRules } from './gameRules.js';
+
+// Spectators watch a waiting or running game without a seat. Anyone can
+// watch a public game; a private one needs its ID, same as joining. They get
+// the public spectator view (see gameViews.js), held back by the game's
+// spectatorDelaySeconds rule so they can't feed live information to players,
+// and each game takes at most maxSpectators of them. The event log would get
+// round the delay, so it isn't served until the game is over.
+
+export const SpectateErrorCodes = {
+  GAME_NOT_FOUND: 'GAME_NOT_FOUND',
+  GAME_NOT_ACTIVE: 'GAME_NOT_ACTIVE',
+  SPECTATING_DISABLED: 'SPECTATING_DISABLED',
+  SPECTATORS_FULL: 'SPECTATORS_FULL',
+  ALREADY_PLAYING: 'ALREADY_PLAYING'
+};
+
+// Socket.IO room of a game's spectators, kept apart from the players' room
+export function spectatorRoom(gameId) {
+  return `spectate:${gameId}`;
+}
+
+// Check whether one more spectator may watch `game`.
+// Returns { allowed: true } or { allowed: false, code, message }.
+export function checkSpectator(game, spectatorCount) {
+  if (!game) {
+    return { allowed: false, code: SpectateErrorCodes.GAME_NOT_FOUND, message: 'Game not found' };
+  }
+  if (game.status !== 'waiting' && game.status !== 'playing') {
+    return { allowed: false, code: SpectateErrorCodes.GAME_NOT_ACTIVE, message: 'Game is over' };
+  }
+
+  const { maxSpectators } = getRules(game);
+  if (maxSpectators === 0) {
+    return { allowed: false, code: SpectateErrorCodes.SPECTATING_DISABLED, message: 'This game does not allow spectators' };
+  }
+  if (spectatorCount >= maxSpectators) {
+    return { allowed: false, code: SpectateErrorCodes.SPECTATORS_FULL, message: 'This game has as many spectators as it allows' };
+  }
+  return { allowed: true };
+}
@@ -0,0 +1,121 @@
+// Versioned state sync. Players get a full snapshot of their view when they
+// join, resume or ask for a resync, then JSON Patch (RFC 6902) operations
+// against the last view they were sent:
+//
+//   game-state        { ...view, stateVersion }
+//   game-state-patch  { version, baseVersion, patch: [{ op, path, value }] }
+//
+// A client applies a patch only when baseVersion is the version it holds;
+// on a gap it emits request-state-sync and gets a fresh snapshot. Only add,
+// remove and replace are produced. Values must be plain JSON.
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function escapeKey(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function unescapeKey(segment) {
+  return segment.replace(/~1/g, '/').replace(/~0/g, '~');
+}
+
+function diffArrays(before, after, path, ops) {
+  const elementOps = [];
+  const shared = Math.min(before.length, after.length);
+  for (let index = 0; index < shared; index++) {
+    diffInto(before[index], after[index], `${path}/${index}`, elementOps);
+  }
+  for (let index = shared; index < after.length; index++) {
+    elementOps.push({ op: 'add', path: `${path}/${index}`, value: after[index] });
+  }
+  // Remove from the end so earlier indexes stay valid
+  for (let index = before.length - 1; index >= after.length; index--) {
+    elementOps.push({ op: 'remove', path: `${path}/${index}` });
+  }
+
+  // Shifted arrays (the recent actions feed grows at the front) change every
+  // element, where replacing the whole array is smaller
+  const replace = { op: 'replace', path, value: after };
+  if (elementOps.length > 1 && JSON.stringify(elementOps).length > JSON.stringify(replace).length) {
+    ops.push(replace);
+  } else {
+    ops.push(...elementOps);
+  }
+}
+
+function diffInto(before, after, path, ops) {
+  if (before === after) return;
+
+  if (isPlainObject(before) && isPlainObject(after)) {
+    for (const key of Object.keys(before)) {
+      if (!(key in after)) ops.push({ op: 'remove', path: `${path}/${escapeKey(key)}` });
+    }
+    for (const key of Object.keys(after)) {
+      const childPath = `${path}/${escapeKey(key)}`;
+      if (key in before) {
+        diffInto(before[key], after[key], childPath, ops);
+      } else {
+        ops.push({ op: 'add', path: childPath, value: after[key] });
+      }
+    }
+    return;
+  }
+
+  if (Array.isArray(before) && Array.isArray(after)) {
+    diffArrays(before, after, path, ops);
+    return;
+  }
+
+  ops.push({ op: 'replace', path, value: after });
+}
+
+// Operations that turn `before` into `after` (an empty list when equal)
+export function diffState(before, after) {
+  const ops = [];
+  diffInto(before, after, '', ops);
+  return ops;
+}
+
+// Apply `patch` to a copy of `doc` and return it. Throws on a path that
+// doesn't exist, which means the client missed an update.
+export function applyStatePatch(doc, patch) {
+  let result = JSON.parse(JSON.stringify(doc));
+
+  for (const { op, path, value: patchValue } of patch) {
+    const value = patchValue === undefined ? undefined : JSON.parse(JSON.stringify(patchValue));
+    if (path === '') {
+      if (op === 'remove') throw new Error('Cannot remove the document root');
+      result = value;
+      continue;
+    }
+
+    const segments = path.slice(1).split('/').map(unescapeKey);
+    const key = segments.pop();
+    const parent = segments.reduce((node, segment) => {
+      if (node === null || typeof node !== 'object' || !(segment in node)) {
+        throw new Error(`Patch path not found: ${path}`);
+      }
+      return node[segment];
+    }, result);
+
+    if (Array.isArray(parent)) {
+      const index = key === '-' ? parent.length : Number(key);
+      if (!Number.isInteger(index) || index < 0 || index > parent.length || (op !== 'add' && index === parent.length)) {
+        throw new Error(`Patch index out of range: ${path}`);
+      }
+      if (op === 'add') parent.splice(index, 0, value);
+      else if (op === 'remove') parent.splice(index, 1);
+      else parent[index] = value;
+    } else if (parent !== null && typeof parent === 'object') {
+      if (op !== 'add' && !(key in parent)) throw new Error(`Patch path not found: ${path}`);
+      if (op === 'remove') delete parent[key];
+      else parent[key] = value;
+    } else {
+      throw new Error(`Patch path not found: ${path}`);
+    }
+  }
+
+  return result;
+}
@@ -0,0 +1,51 @@
+import { MemoryStorage } from './memoryStorage.js';
+import { SupabaseStorage } from './supabaseStorage.js';
+
+// Every storage backend implements the same async methods, using the row
+// shape of the `games` table in database/schema.sql:
+//
+//   createGame(gameData)            -> row | null
+//   getGame(gameId)                 -> row | null
+//   updateGame(gameId, updateData)  -> row | null
+//   getPublicGames()                -> public_games rows ([] on error)
+//   getGamesByStatus(statuses)      -> rows ([] on error)
+//   listPublicGames({ statuses, marketMode, offset, limit })
+//                                   -> { rows, total }
+//   addPlayerToGame(gameId, player) -> row | null
+//   updateGameStatus(gameId, status)-> row | null
+//   deleteGame(gameId)              -> boolean
+//   cleanupOldGames(hoursOld)       -> removed game ids | false
+//   cleanupStaleOpenGames(minutes)  -> removed game ids | false
+//   cleanupAbandonedGames(hoursOld) -> removed game ids | false
+//   appendGameEvents(gameId, events)-> boolean
+//   getGameEvents(gameId)           -> events ordered by seq ([] on error)
+//   saveGameSecrets(gameId, { market, session_tokens })
+//                                   -> boolean
+//   getGameSecrets(gameId)          -> { market, session_tokens } | null
+//   recordGameResults(gameId, rows) -> boolean
+//   getGameResults(gameId)          -> game_results rows by rank ([] on error)
+//   getPlayerProfile(wallet)        -> player_profiles row | null
+//   getPlayerResults(wallet, limit) -> game_results rows, newest first ([] on error)
+//   getPlayerRatings(wallets)       -> [{ wallet_address, rating, rated_games }] | null
+//   updatePlayerRatings(rows)       -> boolean
+//   getLeaderboard({ since, strategy, limit })
+//                                   -> leaderboard() rows ([] on error)
+const backends = {
+  memory: MemoryStorage,
+  supabase: SupabaseStorage
+};
+
+// Pick a backend from STORAGE_BACKEND; without it, use Supabase when it is
+// configured and fall back to memory otherwise
+export function createStorage(backend = process.env.STORAGE_BACKEND) {
+  const name = backend || (process.env.SUPABASE_URL ? 'supabase' : 'memory');
+  const Backend = backends[name];
+
+  if (!Backend) {
+    throw new Error(`Unknown storage backend "${name}" (expected one of: ${Object.keys(backends).join(', ')})`);
+  }
+
+  return new Backend();
+}
+
+export { MemoryStorage, SupabaseStorage };
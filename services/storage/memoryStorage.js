@@ -0,0 +1,344 @@
+import { randomUUID } from 'crypto';
+import { compareLeaderboardRows } from '../playerStats.js';
+import { DEFAULT_RATING } from '../skillRating.js';
+
+// In-memory storage with the same row shape as the Supabase `games` table.
+// Useful for local development and tests; nothing survives a restart.
+export class MemoryStorage {
+  constructor() {
+    this.name = 'memory';
+    this.games = new Map(); // game_id -> row
+    this.events = new Map(); // game_id -> event log
+    this.secrets = new Map(); // game_id -> game_secrets row
+    this.results = []; // game_results rows
+    this.profiles = new Map(); // wallet_address -> player_profiles row
+  }
+
+  // Rows are stored and returned as JSON copies, the same way JSONB columns
+  // behave, so callers never share references with the store
+  clone(row) {
+    return row ? JSON.parse(JSON.stringify(row)) : null;
+  }
+
+  touch(row) {
+    row.updated_at = new Date().toISOString();
+    return row;
+  }
+
+  // Create a new game in the database
+  async createGame(gameData) {
+    if (this.games.has(gameData.gameId)) {
+      console.error('Memory storage error creating game: duplicate game_id', gameData.gameId);
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    const row = this.clone({
+      id: randomUUID(),
+      game_name: gameData.gameName,
+      game_id: gameData.gameId,
+      status: 'waiting',
+      visibility: gameData.isPrivate ? 'private' : 'public',
+      players: gameData.players || [],
+      game_state: gameData.gameState || {},
+      host_player_id: gameData.hostPlayerId,
+      current_players: gameData.players ? gameData.players.length : 0,
+      max_players: gameData.rules?.maxPlayers ?? 4,
+      max_rounds: gameData.rules?.maxRounds ?? 20,
+      round_duration_seconds: gameData.rules?.roundDurationSeconds ?? 60,
+      rules: gameData.rules || {},
+      created_at: now,
+      updated_at: now
+    });
+
+    this.games.set(row.game_id, row);
+    return this.clone(row);
+  }
+
+  // Get a game by game_id
+  async getGame(gameId) {
+    return this.clone(this.games.get(gameId));
+  }
+
+  // Update game state
+  async updateGame(gameId, updateData) {
+    const row = this.games.get(gameId);
+    if (!row) return null;
+
+    Object.assign(row, this.clone(updateData));
+    return this.clone(this.touch(row));
+  }
+
+  // Mirrors the public_games view: open public games with a free seat, newest first
+  async getPublicGames() {
+    return [...this.games.values()]
+      .filter(game =>
+        game.visibility === 'public' &&
+        game.status === 'waiting' &&
+        game.current_players < game.max_players
+      )
+      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+      .map(game => ({
+        id: game.id,
+        game_name: game.game_name,
+        game_id: game.game_id,
+        status: game.status,
+        current_players: game.current_players,
+        max_players: game.max_players,
+        host_name: game.players[0]?.name ?? null,
+        created_at: game.created_at,
+        max_rounds: game.max_rounds,
+        round_duration_seconds: game.round_duration_seconds,
+        rules: game.rules,
+        host_rating: game.players[0]?.rating ?? null
+      }));
+  }
+
+  // Page through public games, newest first. Returns { rows, total }.
+  async listPublicGames({ statuses, marketMode = null, offset = 0, limit = 20 }) {
+    const matching = [...this.games.values()]
+      .filter(game =>
+        game.visibility === 'public' &&
+        statuses.includes(game.status) &&
+        (!marketMode || game.rules?.marketMode === marketMode)
+      )
+      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+
+    return { rows: this.clone(matching.slice(offset, offset + limit)), total: matching.length };
+  }
+
+  // Get every game whose status is one of `statuses`
+  async getGamesByStatus(statuses) {
+    return [...this.games.values()]
+      .filter(game => statuses.includes(game.status))
+      .map(game => this.clone(game));
+  }
+
+  // Add a player to a game
+  async addPlayerToGame(gameId, playerData) {
+    const row = this.games.get(gameId);
+    if (!row) return null;
+
+    row.players = [...row.players, this.clone(playerData)];
+    row.current_players = row.players.length;
+    return this.clone(this.touch(row));
+  }
+
+  // Update game status (waiting, playing, finished)
+  async updateGameStatus(gameId, status) {
+    return this.updateGame(gameId, { status });
+  }
+
+  // Delete a game (cleanup)
+  async deleteGame(gameId) {
+    this.games.delete(gameId);
+    this.events.delete(gameId);
+    this.secrets.delete(gameId);
+    return true;
+  }
+
+  // Delete every row matching the predicate and return what was removed.
+  // Event logs and secrets go with their game, like the ON DELETE CASCADE
+  // in the schema.
+  deleteWhere(predicate) {
+    const removed = [...this.games.values()].filter(predicate);
+    removed.forEach(game => {
+      this.games.delete(game.game_id);
+      this.events.delete(game.game_id);
+      this.secrets.delete(game.game_id);
+    });
+    return removed;
+  }
+
+  // Append events to a game's event log
+  async appendGameEvents(gameId, events) {
+    if (!this.games.has(gameId)) {
+      console.error('Memory storage error appending game events: unknown game_id', gameId);
+      return false;
+    }
+
+    this.events.set(gameId, [...(this.events.get(gameId) || []), ...this.clone(events)]);
+    return true;
+  }
+
+  // Get a game's event log in order
+  async getGameEvents(gameId) {
+    return this.clone(this.events.get(gameId) || [])
+      .sort((a, b) => a.seq - b.seq);
+  }
+
+  // Save the state of a game that only the server may read
+  async saveGameSecrets(gameId, secrets) {
+    if (!this.games.has(gameId)) {
+      console.error('Memory storage error saving game secrets: unknown game_id', gameId);
+      return false;
+    }
+
+    this.secrets.set(gameId, this.clone({
+      market: secrets.market ?? null,
+      session_tokens: secrets.session_tokens || {}
+    }));
+    return true;
+  }
+
+  // Get the server-only state of a game
+  async getGameSecrets(gameId) {
+    return this.clone(this.secrets.get(gameId));
+  }
+
+  // Store the results of a finished game and add them to each wallet
+  // player's lifetime stats. A second call for the same game changes nothing.
+  async recordGameResults(gameId, results) {
+    const now = new Date().toISOString();
+    const inserted = this.clone(results).filter(result =>
+      !this.results.some(row => row.game_id === result.game_id && row.player_id === result.player_id)
+    );
+
+    for (const result of inserted) {
+      this.results.push({ id: randomUUID(), ...result });
+      if (!result.wallet_address) continue;
+
+      const profile = this.profiles.get(result.wallet_address);
+      this.profiles.set(result.wallet_address, {
+        ...profile,
+        wallet_address: result.wallet_address,
+        display_name: result.player_name,
+        games_played: (profile?.games_played || 0) + 1,
+        wins: (profile?.wins || 0) + (result.is_winner ? 1 : 0),
+        total_score: (profile?.total_score || 0) + result.final_score,
+        best_score: Math.max(profile?.best_score ?? result.final_score, result.final_score),
+        created_at: profile?.created_at || now,
+        updated_at: now
+      });
+    }
+
+    return true;
+  }
+
+  // Get a player's profile by wallet address
+  async getPlayerProfile(walletAddress) {
+    return this.clone(this.profiles.get(walletAddress));
+  }
+
+  // Get the rating fields of each wallet that has a profile
+  async getPlayerRatings(walletAddresses) {
+    return walletAddresses
+      .filter(address => this.profiles.has(address))
+      .map(address => {
+        const { wallet_address, rating, rated_games } = this.profiles.get(address);
+        return { wallet_address, rating: rating ?? DEFAULT_RATING, rated_games: rated_games ?? 0 };
+      });
+  }
+
+  // Save new ratings, creating profiles for first-time players
+  async updatePlayerRatings(updates) {
+    const now = new Date().toISOString();
+    for (const update of updates) {
+      const profile = this.profiles.get(update.wallet_address);
+      this.profiles.set(update.wallet_address, {
+        display_name: null,
+        games_played: 0,
+        wins: 0,
+        total_score: 0,
+        best_score: 0,
+        created_at: now,
+        ...profile,
+        ...this.clone(update),
+        updated_at: now
+      });
+    }
+    return true;
+  }
+
+  // Get the results of one game, best first
+  async getGameResults(gameId) {
+    return this.clone(this.results
+      .filter(row => row.game_id === gameId)
+      .sort((a, b) => a.rank - b.rank));
+  }
+
+  // Get a player's most recent results, newest first
+  async getPlayerResults(walletAddress, limit = 20) {
+    return this.clone(this.results
+      .filter(row => row.wallet_address === walletAddress)
+      .sort((a, b) => new Date(b.finished_at) - new Date(a.finished_at))
+      .slice(0, limit));
+  }
+
+  // Mirrors the leaderboard() function: wallet players' results in the
+  // window, optionally for one strategy, aggregated per wallet
+  async getLeaderboard({ since = null, strategy = null, limit = 20 } = {}) {
+    const byWallet = new Map();
+    this.results
+      .filter(row =>
+        row.wallet_address &&
+        (!since || new Date(row.finished_at) >= new Date(since)) &&
+        (!strategy || row.strategy === strategy)
+      )
+      .forEach(row => {
+        const entry = byWallet.get(row.wallet_address) || {
+          wallet_address: row.wallet_address,
+          display_name: this.profiles.get(row.wallet_address)?.display_name ?? row.player_name,
+          games_played: 0,
+          wins: 0,
+          total_score: 0,
+          best_score: row.final_score
+        };
+        entry.games_played += 1;
+        entry.wins += row.is_winner ? 1 : 0;
+        entry.total_score += row.final_score;
+        entry.best_score = Math.max(entry.best_score, row.final_score);
+        byWallet.set(row.wallet_address, entry);
+      });
+
+    return [...byWallet.values()].sort(compareLeaderboardRows).slice(0, limit);
+  }
+
+  // Clean up old finished games (run periodically)
+  async cleanupOldGames(hoursOld = 24) {
+    const cutoffTime = Date.now() - hoursOld * 60 * 60 * 1000;
+
+    const oldGames = this.deleteWhere(game =>
+      game.status === 'finished' && new Date(game.updated_at).getTime() < cutoffTime
+    );
+
+    console.log(`Cleaned up finished games older than ${hoursOld} hours`);
+    return oldGames.map(game => game.game_id);
+  }
+
+  // Clean up stale open/waiting games (games that have been waiting too long)
+  async cleanupStaleOpenGames(minutesOld = 30) {
+    const cutoffTime = Date.now() - minutesOld * 60 * 1000;
+
+    const staleGames = this.deleteWhere(game =>
+      game.status === 'waiting' &&
+      game.visibility === 'public' &&
+      new Date(game.updated_at).getTime() < cutoffTime
+    );
+
+    if (staleGames.length > 0) {
+      console.log(`✅ Cleaned up ${staleGames.length} stale open games older than ${minutesOld} minutes`);
+    } else {
+      console.log(`No stale open games found (older than ${minutesOld} minutes)`);
+    }
+    return staleGames.map(game => game.game_id);
+  }
+
+  // Clean up abandoned games (games with no recent activity)
+  async cleanupAbandonedGames(hoursOld = 2) {
+    const cutoffTime = Date.now() - hoursOld * 60 * 60 * 1000;
+
+    const abandonedGames = this.deleteWhere(game =>
+      game.status === 'waiting' &&
+      game.current_players <= 1 && // only the host, or nobody (games made over the API)
+      new Date(game.created_at).getTime() < cutoffTime
+    );
+
+    if (abandonedGames.length > 0) {
+      console.log(`✅ Cleaned up ${abandonedGames.length} abandoned games older than ${hoursOld} hours`);
+    } else {
+      console.log(`No abandoned games found (older than ${hoursOld} hours)`);
+    }
+    return abandonedGames.map(game => game.game_id);
+  }
+}
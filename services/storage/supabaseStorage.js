@@ -0,0 +1,647 @@
+import { createClient } from '@supabase/supabase-js';
+
+// Supabase-backed storage. Expects the schema in database/schema.sql,
+// including the public_games view.
+export class SupabaseStorage {
+  constructor({ url = process.env.SUPABASE_URL, key = process.env.SUPABASE_SERVICE_ROLE_KEY } = {}) {
+    if (!url || !key) {
+      console.error('Missing Supabase configuration. Please check your environment variables.');
+      console.log('SUPABASE_URL:', url ? 'Set' : 'Not set');
+      console.log('SUPABASE_SERVICE_ROLE_KEY:', key ? 'Set' : 'Not set');
+      throw new Error('Supabase configuration required');
+    }
+
+    this.name = 'supabase';
+    this.client = createClient(url, key);
+  }
+
+  // Create a new game in the database
+  async createGame(gameData) {
+    try {
+      console.log('Attempting to create game with data:', {
+        gameName: gameData.gameName,
+        gameId: gameData.gameId,
+        isPrivate: gameData.isPrivate,
+        playersCount: gameData.players ? gameData.players.length : 0
+      });
+      
+      const { data, error } = await this.client
+        .from('games')
+        .insert([
+          {
+            game_name: gameData.gameName,
+            game_id: gameData.gameId,
+            status: 'waiting',
+            visibility: gameData.isPrivate ? 'private' : 'public',
+            players: gameData.players || [],
+            game_state: gameData.gameState || {},
+            host_player_id: gameData.hostPlayerId,
+            current_players: gameData.players ? gameData.players.length : 0,
+            max_players: gameData.rules?.maxPlayers ?? 4,
+            max_rounds: gameData.rules?.maxRounds ?? 20,
+            round_duration_seconds: gameData.rules?.roundDurationSeconds ?? 60,
+            rules: gameData.rules || {}
+          }
+        ])
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Supabase error creating game:', {
+          message: error.message,
+          details: error.details,
+          hint: error.hint,
+          code: error.code
+        });
+        return null;
+      }
+
+      console.log('Game created successfully:', data);
+      return data;
+    } catch (err) {
+      console.error('Database error creating game:', {
+        message: err.message,
+        stack: err.stack,
+        name: err.name,
+        cause: err.cause
+      });
+      return null;
+    }
+  }
+
+  // Get a game by game_id
+  async getGame(gameId) {
+    try {
+      const { data, error } = await this.client
+        .from('games')
+        .select('*')
+        .eq('game_id', gameId)
+        .single();
+
+      if (error) {
+        console.error('Error fetching game:', error);
+        return null;
+      }
+
+      return data;
+    } catch (err) {
+      console.error('Database error fetching game:', err);
+      return null;
+    }
+  }
+
+  // Update game state
+  async updateGame(gameId, updateData) {
+    try {
+      const { data, error } = await this.client
+        .from('games')
+        .update(updateData)
+        .eq('game_id', gameId)
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Error updating game:', error);
+        return null;
+      }
+
+      return data;
+    } catch (err) {
+      console.error('Database error updating game:', err);
+      return null;
+    }
+  }
+
+  // Get all public games that are waiting for players
+  async getPublicGames() {
+    try {
+      const { data, error } = await this.client
+        .from('public_games')
+        .select('*');
+
+      if (error) {
+        console.error('Error fetching public games:', error);
+        return [];
+      }
+
+      return data || [];
+    } catch (err) {
+      console.error('Database error fetching public games:', err);
+      return [];
+    }
+  }
+
+  // Page through public games, newest first. Returns { rows, total }.
+  async listPublicGames({ statuses, marketMode = null, offset = 0, limit = 20 }) {
+    try {
+      let query = this.client
+        .from('games')
+        .select('*', { count: 'exact' })
+        .eq('visibility', 'public')
+        .in('status', statuses);
+
+      if (marketMode) {
+        query = query.eq('rules->>marketMode', marketMode);
+      }
+
+      const { data, error, count } = await query
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (error) {
+        console.error('Error listing public games:', error);
+        return { rows: [], total: 0 };
+      }
+
+      return { rows: data || [], total: count ?? 0 };
+    } catch (err) {
+      console.error('Database error listing public games:', err);
+      return { rows: [], total: 0 };
+    }
+  }
+
+  // Get every game whose status is one of `statuses`
+  async getGamesByStatus(statuses) {
+    try {
+      const { data, error } = await this.client
+        .from('games')
+        .select('*')
+        .in('status', statuses);
+
+      if (error) {
+        console.error('Error fetching games by status:', error);
+        return [];
+      }
+
+      return data || [];
+    } catch (err) {
+      console.error('Database error fetching games by status:', err);
+      return [];
+    }
+  }
+
+  // Add a player to a game
+  async addPlayerToGame(gameId, playerData) {
+    try {
+      // First get the current game
+      const game = await this.getGame(gameId);
+      if (!game) return null;
+
+      // Add player to the players array
+      const updatedPlayers = [...game.players, playerData];
+      const currentPlayerCount = updatedPlayers.length;
+
+      const { data, error } = await this.client
+        .from('games')
+        .update({
+          players: updatedPlayers,
+          current_players: currentPlayerCount
+        })
+        .eq('game_id', gameId)
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Error adding player to game:', error);
+        return null;
+      }
+
+      return data;
+    } catch (err) {
+      console.error('Database error adding player:', err);
+      return null;
+    }
+  }
+
+  // Update game status (waiting, playing, finished)
+  async updateGameStatus(gameId, status) {
+    try {
+      const { data, error } = await this.client
+        .from('games')
+        .update({ status })
+        .eq('game_id', gameId)
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Error updating game status:', error);
+        return null;
+      }
+
+      return data;
+    } catch (err) {
+      console.error('Database error updating status:', err);
+      return null;
+    }
+  }
+
+  // Delete a game (cleanup)
+  async deleteGame(gameId) {
+    try {
+      const { error } = await this.client
+        .from('games')
+        .delete()
+        .eq('game_id', gameId);
+
+      if (error) {
+        console.error('Error deleting game:', error);
+        return false;
+      }
+
+      return true;
+    } catch (err) {
+      console.error('Database error deleting game:', err);
+      return false;
+    }
+  }
+
+  // Append events to a game's event log
+  async appendGameEvents(gameId, events) {
+    try {
+      const { error } = await this.client
+        .from('game_events')
+        .insert(events.map(event => ({
+          game_id: gameId,
+          seq: event.seq,
+          type: event.type,
+          round: event.round,
+          data: event.data,
+          created_at: event.at
+        })));
+
+      if (error) {
+        console.error('Error appending game events:', error);
+        return false;
+      }
+
+      return true;
+    } catch (err) {
+      console.error('Database error appending game events:', err);
+      return false;
+    }
+  }
+
+  // Get a game's event log in order
+  async getGameEvents(gameId) {
+    try {
+      const { data, error } = await this.client
+        .from('game_events')
+        .select('seq, type, round, data, created_at')
+        .eq('game_id', gameId)
+        .order('seq', { ascending: true });
+
+      if (error) {
+        console.error('Error fetching game events:', error);
+        return [];
+      }
+
+      return data.map(row => ({
+        seq: row.seq,
+        type: row.type,
+        at: row.created_at,
+        round: row.round,
+        data: row.data
+      }));
+    } catch (err) {
+      console.error('Database error fetching game events:', err);
+      return [];
+    }
+  }
+
+  // Save the state of a game that only the server may read
+  async saveGameSecrets(gameId, secrets) {
+    try {
+      const { error } = await this.client
+        .from('game_secrets')
+        .upsert({
+          game_id: gameId,
+          market: secrets.market ?? null,
+          session_tokens: secrets.session_tokens || {}
+        }, { onConflict: 'game_id' });
+
+      if (error) {
+        console.error('Error saving game secrets:', error);
+        return false;
+      }
+
+      return true;
+    } catch (err) {
+      console.error('Database error saving game secrets:', err);
+      return false;
+    }
+  }
+
+  // Get the server-only state of a game
+  async getGameSecrets(gameId) {
+    try {
+      const { data, error } = await this.client
+        .from('game_secrets')
+        .select('market, session_tokens')
+        .eq('game_id', gameId)
+        .maybeSingle();
+
+      if (error) {
+        console.error('Error fetching game secrets:', error);
+        return null;
+      }
+
+      return data;
+    } catch (err) {
+      console.error('Database error fetching game secrets:', err);
+      return null;
+    }
+  }
+
+  // Store the results of a finished game and add them to each wallet
+  // player's lifetime stats. Results are unique per game and player, so a
+  // second call for the same game changes nothing.
+  async recordGameResults(gameId, results) {
+    try {
+      const { data: inserted, error } = await this.client
+        .from('game_results')
+        .upsert(results, { onConflict: 'game_id,player_id', ignoreDuplicates: true })
+        .select();
+
+      if (error) {
+        console.error('Error recording game results:', error);
+        return false;
+      }
+
+      // record_profile_result adds to the stats in one statement (see schema.sql)
+      for (const result of (inserted || []).filter(row => row.wallet_address)) {
+        const { error: profileError } = await this.client.rpc('record_profile_result', {
+          wallet: result.wallet_address,
+          shown_name: result.player_name,
+          won: Boolean(result.is_winner),
+          score: result.final_score
+        });
+
+        if (profileError) {
+          console.error('Error updating player profile:', profileError);
+          return false;
+        }
+      }
+
+      return true;
+    } catch (err) {
+      console.error('Database error recording game results:', err);
+      return false;
+    }
+  }
+
+  // Get a player's profile by wallet address
+  async getPlayerProfile(walletAddress) {
+    try {
+      const { data, error } = await this.client
+        .from('player_profiles')
+        .select('*')
+        .eq('wallet_address', walletAddress)
+        .maybeSingle();
+
+      if (error) {
+        console.error('Error fetching player profile:', error);
+        return null;
+      }
+
+      return data;
+    } catch (err) {
+      console.error('Database error fetching player profile:', err);
+      return null;
+    }
+  }
+
+  // Get the rating fields of each wallet that has a profile
+  async getPlayerRatings(walletAddresses) {
+    try {
+      const { data, error } = await this.client
+        .from('player_profiles')
+        .select('wallet_address, rating, rated_games')
+        .in('wallet_address', walletAddresses);
+
+      if (error) {
+        console.error('Error fetching player ratings:', error);
+        return null;
+      }
+
+      return (data || []).map(row => ({ ...row, rating: Number(row.rating) }));
+    } catch (err) {
+      console.error('Database error fetching player ratings:', err);
+      return null;
+    }
+  }
+
+  // Save new ratings, creating profiles for first-time players
+  async updatePlayerRatings(updates) {
+    try {
+      const { error } = await this.client
+        .from('player_profiles')
+        .upsert(updates, { onConflict: 'wallet_address' });
+
+      if (error) {
+        console.error('Error updating player ratings:', error);
+        return false;
+      }
+
+      return true;
+    } catch (err) {
+      console.error('Database error updating player ratings:', err);
+      return false;
+    }
+  }
+
+  // Get the results of one game, best first
+  async getGameResults(gameId) {
+    try {
+      const { data, error } = await this.client
+        .from('game_results')
+        .select('*')
+        .eq('game_id', gameId)
+        .order('rank', { ascending: true });
+
+      if (error) {
+        console.error('Error fetching game results:', error);
+        return [];
+      }
+
+      return data || [];
+    } catch (err) {
+      console.error('Database error fetching game results:', err);
+      return [];
+    }
+  }
+
+  // Get a player's most recent results, newest first
+  async getPlayerResults(walletAddress, limit = 20) {
+    try {
+      const { data, error } = await this.client
+        .from('game_results')
+        .select('*')
+        .eq('wallet_address', walletAddress)
+        .order('finished_at', { ascending: false })
+        .limit(limit);
+
+      if (error) {
+        console.error('Error fetching player results:', error);
+        return [];
+      }
+
+      return data || [];
+    } catch (err) {
+      console.error('Database error fetching player results:', err);
+      return [];
+    }
+  }
+
+  // Leaderboard rows from the leaderboard() function in the schema
+  async getLeaderboard({ since = null, strategy = null, limit = 20 } = {}) {
+    try {
+      const { data, error } = await this.client.rpc('leaderboard', {
+        since,
+        strategy_filter: strategy,
+        max_rows: limit
+      });
+
+      if (error) {
+        console.error('Error fetching leaderboard:', error);
+        return [];
+      }
+
+      return (data || []).map(row => ({
+        ...row,
+        games_played: Number(row.games_played),
+        wins: Number(row.wins),
+        total_score: Number(row.total_score),
+        best_score: Number(row.best_score)
+      }));
+    } catch (err) {
+      console.error('Database error fetching leaderboard:', err);
+      return [];
+    }
+  }
+
+  // Clean up old finished games (run periodically)
+  async cleanupOldGames(hoursOld = 24) {
+    try {
+      const cutoffTime = new Date();
+      cutoffTime.setHours(cutoffTime.getHours() - hoursOld);
+
+      const { data: oldGames, error } = await this.client
+        .from('games')
+        .delete()
+        .eq('status', 'finished')
+        .lt('updated_at', cutoffTime.toISOString())
+        .select('game_id');
+
+      if (error) {
+        console.error('Error cleaning up old games:', error);
+        return false;
+      }
+
+      console.log(`Cleaned up finished games older than ${hoursOld} hours`);
+      return (oldGames || []).map(game => game.game_id);
+    } catch (err) {
+      console.error('Database error cleaning up games:', err);
+      return false;
+    }
+  }
+
+  // Clean up stale open/waiting games (games that have been waiting too long)
+  async cleanupStaleOpenGames(minutesOld = 30) {
+    try {
+      const cutoffTime = new Date();
+      cutoffTime.setMinutes(cutoffTime.getMinutes() - minutesOld);
+
+      // Delete games that are still 'waiting' (Open status) but haven't been updated recently
+      const { data: stalGames, error: selectError } = await this.client
+        .from('games')
+        .select('game_id, game_name, created_at, updated_at')
+        .eq('status', 'waiting')
+        .eq('visibility', 'public')
+        .lt('updated_at', cutoffTime.toISOString());
+
+      if (selectError) {
+        console.error('Error finding stale open games:', selectError);
+        return false;
+      }
+
+      if (stalGames && stalGames.length > 0) {
+        console.log(`Found ${stalGames.length} stale open games to cleanup:`, 
+          stalGames.map(g => ({ id: g.game_id, name: g.game_name, age: Math.round((Date.now() - new Date(g.updated_at)) / 60000) + ' mins' })));
+
+        // Only the games found, and only if they are still stale
+        const { data: deleted, error: deleteError } = await this.client
+          .from('games')
+          .delete()
+          .in('game_id', stalGames.map(g => g.game_id))
+          .eq('status', 'waiting')
+          .eq('visibility', 'public')
+          .lt('updated_at', cutoffTime.toISOString())
+          .select('game_id');
+
+        if (deleteError) {
+          console.error('Error deleting stale open games:', deleteError);
+          return false;
+        }
+
+        console.log(`✅ Cleaned up ${deleted.length} stale open games older than ${minutesOld} minutes`);
+        return deleted.map(g => g.game_id);
+      } else {
+        console.log(`No stale open games found (older than ${minutesOld} minutes)`);
+        return [];
+      }
+    } catch (err) {
+      console.error('Database error cleaning up stale open games:', err);
+      return false;
+    }
+  }
+
+  // Clean up abandoned games (games with no recent activity)
+  async cleanupAbandonedGames(hoursOld = 2) {
+    try {
+      const cutoffTime = new Date();
+      cutoffTime.setHours(cutoffTime.getHours() - hoursOld);
+
+      // Delete games that are waiting but haven't had any player activity
+      const { data: abandonedGames, error: selectError } = await this.client
+        .from('games')
+        .select('game_id, game_name, current_players, created_at')
+        .eq('status', 'waiting')
+        .lte('current_players', 1) // Only the host, or nobody (games made over the API)
+        .lt('created_at', cutoffTime.toISOString());
+
+      if (selectError) {
+        console.error('Error finding abandoned games:', selectError);
+        return false;
+      }
+
+      if (abandonedGames && abandonedGames.length > 0) {
+        console.log(`Found ${abandonedGames.length} abandoned games to cleanup:`, 
+          abandonedGames.map(g => ({ id: g.game_id, name: g.game_name, players: g.current_players })));
+
+        // Only the games found, and only if they are still abandoned
+        const { data: deleted, error: deleteError } = await this.client
+          .from('games')
+          .delete()
+          .in('game_id', abandonedGames.map(g => g.game_id))
+          .eq('status', 'waiting')
+          .lte('current_players', 1)
+          .lt('created_at', cutoffTime.toISOString())
+          .select('game_id');
+
+        if (deleteError) {
+          console.error('Error deleting abandoned games:', deleteError);
+          return false;
+        }
+
+        console.log(`✅ Cleaned up ${deleted.length} abandoned games older than ${hoursOld} hours`);
+        return deleted.map(g => g.game_id);
+      } else {
+        console.log(`No abandoned games found (older than ${hoursOld} hours)`);
+        return [];
+      }
+    } catch (err) {
+      console.error('Database error cleaning up abandoned games:', err);
+      return false;
+    }
+  }
+}
@@ -0,0 +1,277 @@
+import { ActionErrorCodes, MAX_ACTION_AMOUNT, totalAssetUnits } from './gameActions.js';
+import { getResourceIds, resourceName } from './resourceCatalog.js';
+
+// Player-to-player trade offers. A bundle is { tokens, assets: { gold, ... } }.
+// When an offer is proposed, the proposer's side is moved out of their
+// balances into the offer's escrow so it can't be spent twice; it is either
+// handed to the other player on accept or returned on reject, cancel,
+// counter or expiry. Pending offers expire when the round ends.
+
+export const MAX_PENDING_OFFERS_PER_PLAYER = 5;
+
+export const TradeErrorCodes = {
+  ...ActionErrorCodes,
+  INVALID_BUNDLE: 'INVALID_BUNDLE',
+  OFFER_NOT_FOUND: 'OFFER_NOT_FOUND',
+  NOT_OFFER_PARTY: 'NOT_OFFER_PARTY',
+  TOO_MANY_OFFERS: 'TOO_MANY_OFFERS',
+  ROUND_ENDED: 'ROUND_ENDED'
+};
+
+function reject(code, message) {
+  return { success: false, code, message };
+}
+
+// Offer ids are numbered per game so a replayed log produces the same ids
+function generateOfferId(game) {
+  game.offerSeq = (game.offerSeq || 0) + 1;
+  return `offer_${game.offerSeq}`;
+}
+
+// Validate and normalize a bundle against the game's resource ids.
+// Returns the bundle or null.
+export function normalizeBundle(bundle, resourceIds) {
+  if (!bundle || typeof bundle !== 'object') return null;
+
+  const isAmount = (value) => Number.isInteger(value) && value >= 0 && value <= MAX_ACTION_AMOUNT;
+  const tokens = bundle.tokens ?? 0;
+  if (!isAmount(tokens)) return null;
+
+  const assets = {};
+  for (const [resource, amount] of Object.entries(bundle.assets || {})) {
+    const key = resource.toLowerCase();
+    if (!resourceIds.includes(key) || !isAmount(amount)) return null;
+    if (amount > 0) assets[key] = amount;
+  }
+
+  if (tokens === 0 && Object.keys(assets).length === 0) return null;
+
+  return { tokens, assets };
+}
+
+function canAfford(player, bundle) {
+  if (player.tokens < bundle.tokens) return false;
+  return Object.entries(bundle.assets).every(([resource, amount]) => player.assets[resource] >= amount);
+}
+
+function moveBundle(player, bundle, sign) {
+  player.tokens += sign * bundle.tokens;
+  for (const [resource, amount] of Object.entries(bundle.assets)) {
+    player.assets[resource] += sign * amount;
+  }
+  player.totalAssets = totalAssetUnits(player.assets);
+}
+
+// Human-readable bundle, e.g. "5 Gold + 200 tokens"
+export function describeBundle(game, bundle) {
+  const parts = Object.entries(bundle.assets)
+    .map(([resource, amount]) => `${amount} ${resourceName(game, resource)}`);
+  if (bundle.tokens > 0) parts.push(`${bundle.tokens} tokens`);
+  return parts.join(' + ');
+}
+
+function findPendingOffer(game, offerId) {
+  return (game.tradeOffers || []).find(offer => offer.id === offerId) || null;
+}
+
+function removeOffer(game, offerId) {
+  game.tradeOffers = (game.tradeOffers || []).filter(offer => offer.id !== offerId);
+}
+
+// Return escrowed goods to the proposer (if still seated) and drop the offer
+function closeOffer(game, offer, status) {
+  const proposer = game.players.find(p => p.id === offer.fromPlayerId);
+  if (proposer) {
+    moveBundle(proposer, offer.give, +1);
+  }
+  removeOffer(game, offer.id);
+  return { ...offer, status };
+}
+
+// Propose an offer from `fromPlayer` to another player. `at` (an ISO time)
+// stamps the offer; it comes from the request's log event so a replay
+// rebuilds the same offer.
+export function proposeOffer(game, fromPlayer, { toPlayerId, give, receive }, at) {
+  if (game.roundDelay?.active) {
+    return reject(TradeErrorCodes.ROUND_ENDED, 'Offers can only be made while a round is running');
+  }
+
+  const target = game.players.find(p => p.id === toPlayerId);
+  if (!target || target.id === fromPlayer.id) {
+    return reject(TradeErrorCodes.INVALID_TARGET, 'Target player is not an opponent in this game');
+  }
+
+  const giveBundle = normalizeBundle(give, getResourceIds(game));
+  const receiveBundle = normalizeBundle(receive, getResourceIds(game));
+  if (!giveBundle || !receiveBundle) {
+    return reject(TradeErrorCodes.INVALID_BUNDLE, 'Both sides of an offer need whole, non-negative amounts of known resources');
+  }
+
+  const pendingCount = (game.tradeOffers || []).filter(offer => offer.fromPlayerId === fromPlayer.id).length;
+  if (pendingCount >= MAX_PENDING_OFFERS_PER_PLAYER) {
+    return reject(TradeErrorCodes.TOO_MANY_OFFERS, `At most ${MAX_PENDING_OFFERS_PER_PLAYER} open offers at a time`);
+  }
+
+  if (!canAfford(fromPlayer, giveBundle)) {
+    return reject(
+      giveBundle.tokens > fromPlayer.tokens ? TradeErrorCodes.INSUFFICIENT_TOKENS : TradeErrorCodes.INSUFFICIENT_ASSETS,
+      'You cannot cover what you are offering'
+    );
+  }
+
+  // Escrow the proposer's side
+  moveBundle(fromPlayer, giveBundle, -1);
+
+  const offer = {
+    id: generateOfferId(game),
+    fromPlayerId: fromPlayer.id,
+    toPlayerId: target.id,
+    give: giveBundle,
+    receive: receiveBundle,
+    round: game.currentRound,
+    createdAt: at,
+    counterOf: null,
+    status: 'pending'
+  };
+
+  game.tradeOffers = [...(game.tradeOffers || []), offer];
+  return { success: true, offer };
+}
+
+// Accept a pending offer addressed to `player`
+export function acceptOffer(game, player, offerId) {
+  const offer = findPendingOffer(game, offerId);
+  if (!offer) {
+    return reject(TradeErrorCodes.OFFER_NOT_FOUND, 'Offer not found or no longer open');
+  }
+  if (offer.toPlayerId !== player.id) {
+    return reject(TradeErrorCodes.NOT_OFFER_PARTY, 'This offer is not addressed to you');
+  }
+
+  const proposer = game.players.find(p => p.id === offer.fromPlayerId);
+  if (!proposer) {
+    return { ...reject(TradeErrorCodes.INVALID_TARGET, 'The player who made this offer has left'), offer: closeOffer(game, offer, 'cancelled') };
+  }
+
+  if (!canAfford(player, offer.receive)) {
+    return reject(
+      offer.receive.tokens > player.tokens ? TradeErrorCodes.INSUFFICIENT_TOKENS : TradeErrorCodes.INSUFFICIENT_ASSETS,
+      'You cannot cover what this offer asks for'
+    );
+  }
+
+  // Escrow goes to the accepting player, their side goes to the proposer
+  moveBundle(player, offer.give, +1);
+  moveBundle(player, offer.receive, -1);
+  moveBundle(proposer, offer.receive, +1);
+  removeOffer(game, offer.id);
+
+  return {
+    success: true,
+    offer: { ...offer, status: 'accepted' },
+    actionText: `${proposer.name} traded ${describeBundle(game, offer.give)} to ${player.name} for ${describeBundle(game, offer.receive)}`
+  };
+}
+
+// Reject a pending offer addressed to `player`
+export function rejectOffer(game, player, offerId) {
+  const offer = findPendingOffer(game, offerId);
+  if (!offer) {
+    return reject(TradeErrorCodes.OFFER_NOT_FOUND, 'Offer not found or no longer open');
+  }
+  if (offer.toPlayerId !== player.id) {
+    return reject(TradeErrorCodes.NOT_OFFER_PARTY, 'This offer is not addressed to you');
+  }
+
+  return { success: true, offer: closeOffer(game, offer, 'rejected') };
+}
+
+// Counter a pending offer: the original is closed and a new offer goes back
+// to the proposer, escrowed from the countering player
+export function counterOffer(game, player, offerId, { give, receive } = {}, at) {
+  const offer = findPendingOffer(game, offerId);
+  if (!offer) {
+    return reject(TradeErrorCodes.OFFER_NOT_FOUND, 'Offer not found or no longer open');
+  }
+  if (offer.toPlayerId !== player.id) {
+    return reject(TradeErrorCodes.NOT_OFFER_PARTY, 'This offer is not addressed to you');
+  }
+
+  // Check the counter before touching the original so a bad counter leaves it open
+  const giveBundle = normalizeBundle(give, getResourceIds(game));
+  const receiveBundle = normalizeBundle(receive, getResourceIds(game));
+  if (!giveBundle || !receiveBundle) {
+    return reject(TradeErrorCodes.INVALID_BUNDLE, 'Both sides of an offer need whole, non-negative amounts of known resources');
+  }
+  if (!canAfford(player, giveBundle)) {
+    return reject(
+      giveBundle.tokens > player.tokens ? TradeErrorCodes.INSUFFICIENT_TOKENS : TradeErrorCodes.INSUFFICIENT_ASSETS,
+      'You cannot cover what you are offering'
+    );
+  }
+  const pendingCount = game.tradeOffers.filter(pending => pending.fromPlayerId === player.id).length;
+  if (pendingCount >= MAX_PENDING_OFFERS_PER_PLAYER) {
+    return reject(TradeErrorCodes.TOO_MANY_OFFERS, `At most ${MAX_PENDING_OFFERS_PER_PLAYER} open offers at a time`);
+  }
+
+  const original = closeOffer(game, offer, 'countered');
+  const result = proposeOffer(game, player, { toPlayerId: offer.fromPlayerId, give: giveBundle, receive: receiveBundle }, at);
+  if (!result.success) {
+    return result;
+  }
+
+  result.offer.counterOf = original.id;
+  return { success: true, offer: result.offer, original };
+}
+
+// Withdraw one of `player`'s own pending offers
+export function cancelOffer(game, player, offerId) {
+  const offer = findPendingOffer(game, offerId);
+  if (!offer) {
+    return reject(TradeErrorCodes.OFFER_NOT_FOUND, 'Offer not found or no longer open');
+  }
+  if (offer.fromPlayerId !== player.id) {
+    return reject(TradeErrorCodes.NOT_OFFER_PARTY, 'You can only cancel your own offers');
+  }
+
+  return { success: true, offer: closeOffer(game, offer, 'cancelled') };
+}
+
+// Expire every pending offer (round end). Returns the expired offers.
+export function expireOffers(game) {
+  return [...(game.tradeOffers || [])].map(offer => closeOffer(game, offer, 'expired'));
+}
+
+// Close every offer a leaving player is part of, refunding proposers
+export function cancelOffersForPlayer(game, playerId) {
+  return [...(game.tradeOffers || [])]
+    .filter(offer => offer.fromPlayerId === playerId || offer.toPlayerId === playerId)
+    .map(offer => closeOffer(game, offer, 'cancelled'));
+}
+
+// Apply a trade request from a player by name, with the fields each one reads:
+//   propose  { toPlayerId, give, receive }
+//   respond  { offerId, response: accept | reject | counter, counter }
+//   cancel   { offerId }
+// `at` is the request's ISO time, stamped on any offer it creates.
+export function applyTradeRequest(game, player, request, { toPlayerId, give, receive, offerId, response, counter } = {}, at) {
+  switch (request) {
+    case 'propose':
+      return proposeOffer(game, player, { toPlayerId, give, receive }, at);
+    case 'respond':
+      switch (response) {
+        case 'accept':
+          return acceptOffer(game, player, offerId);
+        case 'reject':
+          return rejectOffer(game, player, offerId);
+        case 'counter':
+          return counterOffer(game, player, offerId, counter, at);
+        default:
+          return reject(TradeErrorCodes.INVALID_PAYLOAD, 'response must be accept, reject or counter');
+      }
+    case 'cancel':
+      return cancelOffer(game, player, offerId);
+    default:
+      return reject(TradeErrorCodes.INVALID_PAYLOAD, `Unknown trade request: ${request}`);
+  }
+}
@@ -0,0 +1,83 @@
+import { randomBytes } from 'crypto';
+import { getAddress, isAddress, verifyMessage } from 'ethers';
+
+// Challenge/response wallet authentication. The server hands each socket a
+// one-time nonce, the client signs the challenge message with personal_sign
+// (EIP-191) and the recovered address becomes the socket's verified identity.
+// Works entirely offline, e.g. with keys from ethers' Wallet.createRandom().
+
+export const CHALLENGE_TTL_MS = 5 * 60 * 1000; // 5 minutes
+
+export const AuthErrorCodes = {
+  NO_CHALLENGE: 'NO_CHALLENGE',
+  CHALLENGE_EXPIRED: 'CHALLENGE_EXPIRED',
+  INVALID_ADDRESS: 'INVALID_ADDRESS',
+  INVALID_SIGNATURE: 'INVALID_SIGNATURE',
+  ADDRESS_MISMATCH: 'ADDRESS_MISMATCH',
+  WALLET_NOT_VERIFIED: 'WALLET_NOT_VERIFIED',
+  AUTH_REQUIRED: 'AUTH_REQUIRED'
+};
+
+// Build the exact message the client must sign for a nonce
+export function buildChallengeMessage(nonce, issuedAt) {
+  return [
+    'Sign in to PlayerZero',
+    '',
+    'This request will not trigger a blockchain transaction or cost any gas.',
+    '',
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`
+  ].join('\n');
+}
+
+// Create a fresh one-time challenge
+export function createChallenge(now = Date.now()) {
+  const nonce = randomBytes(16).toString('hex');
+  const issuedAt = new Date(now).toISOString();
+
+  return {
+    nonce,
+    message: buildChallengeMessage(nonce, issuedAt),
+    issuedAt,
+    expiresAt: now + CHALLENGE_TTL_MS
+  };
+}
+
+// Check a signed challenge. Returns { valid: true, address } with the
+// checksummed signer address, or { valid: false, code, message }.
+export function verifyChallenge(challenge, claimedAddress, signature, now = Date.now()) {
+  if (!challenge) {
+    return { valid: false, code: AuthErrorCodes.NO_CHALLENGE, message: 'Request a challenge first' };
+  }
+
+  if (now > challenge.expiresAt) {
+    return { valid: false, code: AuthErrorCodes.CHALLENGE_EXPIRED, message: 'Challenge expired, request a new one' };
+  }
+
+  if (typeof claimedAddress !== 'string' || !isAddress(claimedAddress)) {
+    return { valid: false, code: AuthErrorCodes.INVALID_ADDRESS, message: 'Invalid wallet address' };
+  }
+
+  let recovered;
+  try {
+    recovered = verifyMessage(challenge.message, signature);
+  } catch (err) {
+    return { valid: false, code: AuthErrorCodes.INVALID_SIGNATURE, message: 'Malformed signature' };
+  }
+
+  if (getAddress(recovered) !== getAddress(claimedAddress)) {
+    return { valid: false, code: AuthErrorCodes.ADDRESS_MISMATCH, message: 'Signature does not match wallet address' };
+  }
+
+  return { valid: true, address: getAddress(recovered) };
+}
+
+// True when a client-supplied address refers to the verified one
+export function sameAddress(a, b) {
+  return typeof a === 'string' && typeof b === 'string' && a.toLowerCase() === b.toLowerCase();
+}
+
+// Checksummed form of an address, or null when it isn't one
+export function normalizeAddress(address) {
+  return typeof address === 'string' && isAddress(address) ? getAddress(address) : null;
+}
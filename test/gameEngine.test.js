@@ -0,0 +1,506 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyCommand, runCommand, countDown, EngineErrorCodes } from '../services/gameEngine.js';
+import { ActionErrorCodes } from '../services/gameActions.js';
+import { validateRules } from '../services/gameRules.js';
+import { createInitialGameState, createPlayer, calculateFinalScores } from '../services/gameFlow.js';
+import { GameEventTypes, createGameEvent, snapshotGameState, replayGameEvents } from '../services/gameEvents.js';
+import { createRng } from '../services/random.js';
+
+// Only bot turns draw from it
+const random = createRng('engine');
+
+// A two-player game with fixed starting prices (gold 100, water 50, oil 150)
+function setupGame(overrides = {}, { start = true } = {}) {
+  const { rules } = validateRules({ roundDurationSeconds: 10, roundDelaySeconds: 2, maxRounds: 2, ...overrides });
+  const game = createInitialGameState(rules, 'test');
+  game.players.push(createPlayer('alice', 'Alice', null, null, rules), createPlayer('bob', 'Bob', null, null, rules));
+  if (start) applyCommand(game, { type: 'start' }, { now: 0 }, random);
+  return game;
+}
+
+function act(game, playerId, input) {
+  return applyCommand(game, { type: 'action', playerId, input }, { now: 0 }, random);
+}
+
+function player(game, id) {
+  return game.players.find(p => p.id === id);
+}
+
+function tickSeconds(game, seconds) {
+  let last;
+  for (let i = 0; i < seconds; i++) last = applyCommand(game, { type: 'tick' }, { now: i * 1000 }, random);
+  return last;
+}
+
+describe('countDown', () => {
+  test('steps one second, borrowing across minutes and hours', () => {
+    assert.deepEqual(countDown({ hours: 0, minutes: 1, seconds: 0 }), { hours: 0, minutes: 0, seconds: 59 });
+    assert.deepEqual(countDown({ hours: 1, minutes: 0, seconds: 0 }), { hours: 0, minutes: 59, seconds: 59 });
+  });
+
+  test('returns null once the clock has run out', () => {
+    assert.equal(countDown({ hours: 0, minutes: 0, seconds: 0 }), null);
+  });
+});
+
+describe('start', () => {
+  test('starts play and logs the start', () => {
+    const game = setupGame({}, { start: false });
+    const { events, result } = applyCommand(game, { type: 'start' }, { now: 5000 }, random);
+
+    assert.deepEqual(result, { success: true });
+    assert.equal(game.status, 'playing');
+    assert.equal(game.timerActive, true);
+    assert.deepEqual(events, [{ type: GameEventTypes.GAME_STARTED, at: new Date(5000).toISOString(), data: {} }]);
+  });
+});
+
+describe('action', () => {
+  test('Buy spends tokens and adds units', () => {
+    const game = setupGame();
+    const { events, result } = act(game, 'alice', { action: 'Buy', resource: 'Gold', amount: 3 });
+
+    assert.equal(result.success, true);
+    assert.equal(result.message, 'Alice bought 3 Gold for 300 tokens');
+    assert.deepEqual(result.balances, { tokens: 700, assets: { gold: 3, water: 0, oil: 0 }, totalAssets: 3 });
+    assert.equal(result.action.resource, 'gold');
+    assert.deepEqual(game.recentActions, ['Alice bought 3 Gold for 300 tokens']);
+    assert.deepEqual(game.actedThisRound, ['alice']);
+    assert.equal(game.market.pendingVolume.gold.bought, 3);
+    assert.equal(events.length, 1);
+    assert.equal(events[0].type, GameEventTypes.ACTION_APPLIED);
+    assert.equal(events[0].data.playerId, 'alice');
+  });
+
+  test('Buy is rejected without enough tokens', () => {
+    const game = setupGame();
+    const { events, result } = act(game, 'alice', { action: 'Buy', resource: 'oil', amount: 7 });
+
+    assert.equal(result.success, false);
+    assert.equal(result.code, ActionErrorCodes.INSUFFICIENT_TOKENS);
+    assert.equal(result.balances.tokens, 1000);
+    assert.deepEqual(events, []);
+    assert.deepEqual(game.recentActions, []);
+  });
+
+  test('Sell pays the sell multiplier on the market price', () => {
+    const game = setupGame();
+    act(game, 'alice', { action: 'Buy', resource: 'water', amount: 4 });
+    const { result } = act(game, 'alice', { action: 'Sell', resource: 'water', amount: 3 });
+
+    assert.equal(result.success, true);
+    assert.equal(result.message, 'Alice sold 3 Water for 120 tokens');
+    assert.equal(result.balances.tokens, 1000 - 200 + 120);
+    assert.equal(result.balances.assets.water, 1);
+  });
+
+  test('Sell is rejected for units the player does not hold', () => {
+    const game = setupGame();
+    const { result } = act(game, 'alice', { action: 'Sell', resource: 'water', amount: 1 });
+
+    assert.equal(result.success, false);
+    assert.equal(result.code, ActionErrorCodes.INSUFFICIENT_ASSETS);
+  });
+
+  test('Burn destroys units and records burned volume', () => {
+    const game = setupGame();
+    act(game, 'alice', { action: 'Buy', resource: 'gold', amount: 2 });
+    const { result } = act(game, 'alice', { action: 'Burn', resource: 'gold', amount: 2 });
+
+    assert.equal(result.success, true);
+    assert.equal(result.balances.assets.gold, 0);
+    assert.equal(result.balances.totalAssets, 0);
+    assert.equal(game.market.pendingVolume.gold.burned, 2);
+  });
+
+  test('Burn is rejected for units the player does not hold', () => {
+    const game = setupGame();
+    const { result } = act(game, 'alice', { action: 'Burn', resource: 'gold', amount: 1 });
+
+    assert.equal(result.code, ActionErrorCodes.INSUFFICIENT_ASSETS);
+  });
+
+  test('Sabotage costs the saboteur and destroys the target\'s units', () => {
+    const game = setupGame();
+    act(game, 'bob', { action: 'Buy', resource: 'gold', amount: 5 });
+    const { result } = act(game, 'alice', { action: 'Sabotage', resource: 'gold', amount: 2, targetPlayer: 'bob' });
+
+    assert.equal(result.success, true);
+    assert.equal(result.message, 'Alice sabotaged Bob\'s Gold reserves');
+    assert.equal(result.balances.tokens, 900);
+    assert.equal(player(game, 'bob').assets.gold, 3);
+    assert.equal(player(game, 'bob').totalAssets, 3);
+  });
+
+  test('Sabotage uses the game\'s sabotage cost', () => {
+    const game = setupGame({ sabotageCost: 250 });
+    act(game, 'bob', { action: 'Buy', resource: 'gold', amount: 1 });
+    const { result } = act(game, 'alice', { action: 'Sabotage', resource: 'gold', amount: 1, targetPlayer: 'bob' });
+
+    assert.equal(result.balances.tokens, 750);
+  });
+
+  test('Sabotage is rejected without a valid opponent', () => {
+    const game = setupGame();
+
+    assert.equal(act(game, 'alice', { action: 'Sabotage', resource: 'gold', amount: 1 }).result.code, ActionErrorCodes.INVALID_TARGET);
+    assert.equal(act(game, 'alice', { action: 'Sabotage', resource: 'gold', amount: 1, targetPlayer: 'alice' }).result.code, ActionErrorCodes.INVALID_TARGET);
+    assert.equal(act(game, 'alice', { action: 'Sabotage', resource: 'gold', amount: 1, targetPlayer: 'carol' }).result.code, ActionErrorCodes.INVALID_TARGET);
+  });
+
+  test('Sabotage is rejected when the target holds too little or the saboteur cannot pay', () => {
+    const game = setupGame({ sabotageCost: 2000 });
+    act(game, 'bob', { action: 'Buy', resource: 'gold', amount: 1 });
+
+    assert.equal(act(game, 'alice', { action: 'Sabotage', resource: 'gold', amount: 1, targetPlayer: 'bob' }).result.code, ActionErrorCodes.INSUFFICIENT_TOKENS);
+
+    game.rules.sabotageCost = 100;
+    const { result } = act(game, 'alice', { action: 'Sabotage', resource: 'gold', amount: 2, targetPlayer: 'bob' });
+    assert.equal(result.code, ActionErrorCodes.TARGET_INSUFFICIENT_ASSETS);
+    assert.equal(player(game, 'bob').assets.gold, 1);
+    assert.equal(player(game, 'alice').tokens, 1000);
+  });
+
+  test('malformed payloads are rejected', () => {
+    const game = setupGame();
+
+    assert.equal(act(game, 'alice', null).result.code, ActionErrorCodes.INVALID_PAYLOAD);
+    assert.equal(act(game, 'alice', { action: 'Steal', resource: 'gold', amount: 1 }).result.code, ActionErrorCodes.INVALID_ACTION);
+    assert.equal(act(game, 'alice', { action: 'Buy', resource: 'silver', amount: 1 }).result.code, ActionErrorCodes.INVALID_RESOURCE);
+    assert.equal(act(game, 'alice', { action: 'Buy', resource: 'gold', amount: 1.5 }).result.code, ActionErrorCodes.INVALID_AMOUNT);
+    assert.equal(act(game, 'alice', { action: 'Buy', resource: 'gold', amount: 0 }).result.code, ActionErrorCodes.INVALID_AMOUNT);
+  });
+
+  test('order-book games reject bank trades', () => {
+    const game = setupGame({ marketMode: 'orderbook' });
+
+    assert.equal(act(game, 'alice', { action: 'Buy', resource: 'gold', amount: 1 }).result.code, ActionErrorCodes.USE_ORDER_BOOK);
+  });
+
+  test('players outside the game, and games not in play, are rejected', () => {
+    const waiting = setupGame({}, { start: false });
+    assert.equal(act(waiting, 'alice', { action: 'Buy', resource: 'gold', amount: 1 }).result.code, ActionErrorCodes.GAME_NOT_ACTIVE);
+
+    const game = setupGame();
+    assert.equal(act(game, 'carol', { action: 'Buy', resource: 'gold', amount: 1 }).result.code, ActionErrorCodes.NOT_IN_GAME);
+
+    game.paused = true;
+    assert.equal(act(game, 'alice', { action: 'Buy', resource: 'gold', amount: 1 }).result.code, ActionErrorCodes.GAME_PAUSED);
+  });
+
+  test('a confirmed transaction hash is added to the feed', () => {
+    const game = setupGame();
+    act(game, 'alice', { action: 'Buy', resource: 'gold', amount: 1, transactionHash: '0xabc' });
+    act(game, 'alice', { action: 'Buy', resource: 'gold', amount: 1, transactionHash: 'pending' });
+
+    assert.deepEqual(game.recentActions, ['Alice bought 1 Gold for 100 tokens', 'Alice bought 1 Gold for 100 tokens (TX: 0xabc)']);
+  });
+});
+
+describe('trade', () => {
+  const propose = { toPlayerId: 'bob', give: { tokens: 100 }, receive: { assets: { water: 1 } } };
+
+  test('offers are made and accepted through the engine and logged', () => {
+    const game = setupGame();
+    act(game, 'bob', { action: 'Buy', resource: 'water', amount: 2 });
+
+    const offered = applyCommand(game, { type: 'trade', playerId: 'alice', request: 'propose', input: propose }, { now: 1000 }, random);
+    assert.equal(offered.result.success, true);
+    assert.equal(offered.result.offer.createdAt, new Date(1000).toISOString());
+    assert.deepEqual(offered.events[0].data.outcome, { offerId: offered.result.offer.id, status: 'pending', actionText: null });
+
+    const accepted = applyCommand(game, { type: 'trade', playerId: 'bob', request: 'respond', input: { offerId: offered.result.offer.id, response: 'accept' } }, { now: 2000 }, random);
+    assert.equal(accepted.result.success, true);
+    assert.equal(accepted.result.code, null);
+    assert.deepEqual(accepted.result.balances, { tokens: 1000, assets: { gold: 0, water: 1, oil: 0 }, totalAssets: 1 });
+    assert.equal(accepted.events[0].type, GameEventTypes.TRADE_APPLIED);
+    assert.equal(game.recentActions[0], accepted.events[0].data.outcome.actionText);
+    assert.ok(game.actedThisRound.includes('bob'));
+  });
+
+  test('requests are rejected outside play and from unknown players', () => {
+    const waiting = setupGame({}, { start: false });
+    assert.equal(applyCommand(waiting, { type: 'trade', playerId: 'alice', request: 'propose', input: propose }, { now: 0 }, random).result.code, ActionErrorCodes.GAME_NOT_ACTIVE);
+
+    const paused = setupGame();
+    paused.paused = true;
+    const { events, result } = applyCommand(paused, { type: 'trade', playerId: 'alice', request: 'propose', input: propose }, { now: 0 }, random);
+    assert.equal(result.code, ActionErrorCodes.GAME_PAUSED);
+    assert.deepEqual(events, []);
+
+    assert.equal(applyCommand(setupGame(), { type: 'trade', playerId: 'mallory', request: 'propose', input: propose }, { now: 0 }, random).result.code, ActionErrorCodes.NOT_IN_GAME);
+  });
+});
+
+describe('order', () => {
+  test('crossing orders fill, feed recent actions and are logged', () => {
+    const game = setupGame({ marketMode: 'orderbook' });
+    player(game, 'bob').assets.gold = 3;
+
+    const ask = applyCommand(game, { type: 'order', playerId: 'bob', request: 'place', input: { resource: 'gold', side: 'ask', price: 90, quantity: 2 } }, { now: 1000 }, random);
+    assert.equal(ask.result.success, true);
+    assert.equal(ask.result.order.createdAt, new Date(1000).toISOString());
+
+    const { events, result } = applyCommand(game, { type: 'order', playerId: 'alice', request: 'place', input: { resource: 'gold', side: 'bid', price: 95, quantity: 2 } }, { now: 2000 }, random);
+    assert.equal(result.success, true);
+    assert.equal(result.fills.length, 1);
+    assert.equal(game.recentActions[0], result.fills[0].actionText);
+    assert.deepEqual(events[0].data.outcome, { orderId: result.order.id, fills: result.fills, actionText: null });
+    assert.equal(player(game, 'alice').assets.gold, 2);
+  });
+
+  test('failed requests come back with the player\'s balances', () => {
+    const game = setupGame({ marketMode: 'orderbook' });
+    const { events, result } = applyCommand(game, { type: 'order', playerId: 'alice', request: 'cancel', input: { orderId: 'nope' } }, { now: 0 }, random);
+    assert.equal(result.success, false);
+    assert.deepEqual(result.balances, { tokens: 1000, assets: { gold: 0, water: 0, oil: 0 }, totalAssets: 0 });
+    assert.deepEqual(events, []);
+  });
+});
+
+describe('rounds', () => {
+  test('the clock counts down and the round ends when it runs out', () => {
+    const game = setupGame();
+
+    assert.deepEqual(tickSeconds(game, 9).result, { ticked: true });
+    assert.deepEqual(game.timeRemaining, { hours: 0, minutes: 0, seconds: 1 });
+
+    game.actedThisRound = ['alice'];
+    const { events, result } = tickSeconds(game, 2);
+    assert.equal(result.roundEnded, true);
+    assert.equal(result.skipped, false);
+    assert.deepEqual(result.expiredOffers, []);
+    assert.deepEqual(events.map(event => event.type), [GameEventTypes.ROUND_ENDED]);
+    assert.deepEqual(game.roundDelay, { active: true, timeRemaining: 2 });
+    assert.deepEqual(game.actedThisRound, []);
+  });
+
+  test('the next round starts after the delay', () => {
+    const game = setupGame();
+    act(game, 'alice', { action: 'Buy', resource: 'gold', amount: 1 });
+    tickSeconds(game, 11);
+
+    assert.deepEqual(tickSeconds(game, 1).result, { ticked: true });
+    const { events, result } = tickSeconds(game, 1);
+    assert.deepEqual(result, { ticked: true, roundAdvanced: true, gameOver: false });
+    assert.deepEqual(events.map(event => event.type), [GameEventTypes.ROUND_ADVANCED]);
+    assert.equal(game.currentRound, 2);
+    assert.equal(game.roundDelay, undefined);
+    assert.deepEqual(game.timeRemaining, { hours: 0, minutes: 0, seconds: 10 });
+    assert.deepEqual(game.actionHistory[1], ['Alice bought 1 Gold for 100 tokens']);
+    assert.deepEqual(game.recentActions, []);
+  });
+
+  test('the game is over after the last round', () => {
+    const game = setupGame();
+    tickSeconds(game, 13);
+    const { result } = tickSeconds(game, 13);
+
+    assert.deepEqual(result, { ticked: true, roundAdvanced: true, gameOver: true });
+    assert.equal(game.currentRound, 3);
+  });
+
+  test('the clock does not run while paused or before the game starts', () => {
+    const waiting = setupGame({}, { start: false });
+    assert.deepEqual(tickSeconds(waiting, 1).result, { ticked: false });
+
+    const game = setupGame();
+    game.paused = true;
+    assert.deepEqual(tickSeconds(game, 20).result, { ticked: false });
+    assert.deepEqual(game.timeRemaining, { hours: 0, minutes: 0, seconds: 10 });
+  });
+
+  test('end-round ends the round early, zeroing the clock when skipped', () => {
+    const game = setupGame();
+    tickSeconds(game, 3);
+    const { events, result } = applyCommand(game, { type: 'end-round', skipped: true }, { now: 0 }, random);
+
+    assert.equal(result.roundEnded, true);
+    assert.equal(result.skipped, true);
+    assert.deepEqual(events[0].data, { skipped: true });
+    assert.deepEqual(game.timeRemaining, { hours: 0, minutes: 0, seconds: 0 });
+    assert.equal(game.roundDelay.active, true);
+  });
+});
+
+describe('market', () => {
+  test('market ticks are deterministic for a market seed', () => {
+    const first = setupGame();
+    const second = setupGame();
+    for (let i = 0; i < 5; i++) {
+      applyCommand(first, { type: 'market-tick' }, { now: 0 }, random);
+      applyCommand(second, { type: 'market-tick' }, { now: 0 }, random);
+    }
+
+    assert.deepEqual(first.marketPrices, second.marketPrices);
+    assert.equal(first.market.tick, 5);
+  });
+
+  test('a market tick logs the new prices and reports the deltas', () => {
+    const game = setupGame();
+    const before = { ...game.marketPrices };
+    const { events, result } = applyCommand(game, { type: 'market-tick' }, { now: 0 }, random);
+
+    assert.deepEqual(Object.keys(result.deltas), ['gold', 'water', 'oil']);
+    Object.entries(result.deltas).forEach(([resource, delta]) => assert.equal(game.marketPrices[resource], before[resource] + delta));
+    assert.deepEqual(events[0], { type: GameEventTypes.MARKET_TICKED, at: new Date(0).toISOString(), data: { prices: game.marketPrices } });
+  });
+
+  test('the market does not tick while paused or in host-priced games', () => {
+    const game = setupGame();
+    game.paused = true;
+    assert.deepEqual(applyCommand(game, { type: 'market-tick' }, { now: 0 }, random), { events: [], result: { deltas: null } });
+
+    const hosted = setupGame({ priceMode: 'host' });
+    assert.deepEqual(applyCommand(hosted, { type: 'market-tick' }, { now: 0 }, random).result, { deltas: null });
+  });
+
+  test('set-prices applies host prices', () => {
+    const game = setupGame({ priceMode: 'host' });
+    const { events } = applyCommand(game, { type: 'set-prices', prices: { gold: 120 } }, { now: 0 }, random);
+
+    assert.deepEqual(game.marketPrices, { gold: 120, water: 50, oil: 150 });
+    assert.deepEqual(events[0].data, { prices: { gold: 120 } });
+  });
+});
+
+describe('finish', () => {
+  test('engine-priced games are scored as soon as play stops', () => {
+    const game = setupGame();
+    act(game, 'bob', { action: 'Buy', resource: 'gold', amount: 2 });
+    act(game, 'alice', { action: 'Sabotage', resource: 'gold', amount: 2, targetPlayer: 'bob' });
+
+    assert.deepEqual(applyCommand(game, { type: 'begin-end' }, { now: 0 }, random).result, { awaitingFinalPrices: false, cancelledOrders: [] });
+    assert.equal(game.timerActive, false);
+
+    const { events, result } = applyCommand(game, { type: 'finish' }, { now: 0 }, random);
+    assert.equal(result.winner.id, 'alice');
+    assert.deepEqual(result.finalScores.map(scored => [scored.id, scored.finalScore]), [['alice', 900], ['bob', 800]]);
+    assert.equal(game.status, 'finished');
+    assert.deepEqual(events[0].data, { winnerId: 'alice', finalScores: [{ playerId: 'alice', finalScore: 900 }, { playerId: 'bob', finalScore: 800 }] });
+  });
+
+  test('host-priced games wait for the host\'s final prices', () => {
+    const game = setupGame({ priceMode: 'host' });
+    act(game, 'bob', { action: 'Buy', resource: 'oil', amount: 2 });
+
+    const { events, result } = applyCommand(game, { type: 'begin-end' }, { now: 0 }, random);
+    assert.equal(result.awaitingFinalPrices, true);
+    assert.deepEqual(events[0].data, { awaitingFinalPrices: true });
+    assert.equal(game.status, 'waiting-for-final-prices');
+
+    applyCommand(game, { type: 'set-prices', prices: { oil: 300 } }, { now: 0 }, random);
+    const { result: finished } = applyCommand(game, { type: 'finish' }, { now: 0 }, random);
+    assert.equal(finished.winner.id, 'bob');
+    assert.equal(finished.finalScores[0].finalScore, 700 + 600);
+  });
+
+  test('a game with nobody left to score is rejected, not finished', () => {
+    const game = setupGame();
+    game.players = [];
+    const { events, result } = applyCommand(game, { type: 'finish' }, { now: 0 }, random);
+
+    assert.deepEqual(result, { success: false, code: EngineErrorCodes.NO_PLAYERS, message: 'Nobody is left to score' });
+    assert.deepEqual(events, []);
+    assert.equal(game.status, 'playing');
+  });
+
+  test('calculateFinalScores values holdings at market prices, best first', () => {
+    const scores = calculateFinalScores([
+      { id: 'a', tokens: 100, assets: { gold: 1, water: 0 } },
+      { id: 'b', tokens: 50, assets: { gold: 0, water: 4 } }
+    ], { gold: 100, water: 50 });
+
+    assert.deepEqual(scores.map(({ id, assetValue, finalScore }) => ({ id, assetValue, finalScore })), [
+      { id: 'b', assetValue: 200, finalScore: 250 },
+      { id: 'a', assetValue: 100, finalScore: 200 }
+    ]);
+  });
+});
+
+describe('bot-turn', () => {
+  function addBot(game, strategy) {
+    const bot = { ...createPlayer('bot', 'Bot', null, null, game.rules), isBot: true, botStrategy: strategy };
+    game.players.push(bot);
+    return bot;
+  }
+
+  test('bots play the same action path with a seeded source', () => {
+    const play = () => {
+      const game = setupGame();
+      addBot(game, 'random');
+      const random = createRng('bots');
+      const turns = [];
+      for (let i = 0; i < 20; i++) turns.push(applyCommand(game, { type: 'bot-turn', playerId: 'bot' }, { now: 0 }, random).result);
+      return { turns, game };
+    };
+
+    const first = play();
+    const second = play();
+    assert.deepEqual(first.turns, second.turns);
+    assert.ok(first.turns.some(turn => turn.acted && turn.success));
+    assert.ok(first.turns.some(turn => !turn.acted));
+    assert.equal(first.game.recentActions.length, Math.min(10, first.turns.filter(turn => turn.success).length));
+  });
+
+  test('bots sit out the delay, pauses and non-bot seats', () => {
+    const game = setupGame();
+    addBot(game, 'random');
+    const always = () => 0.99;
+
+    assert.deepEqual(applyCommand(game, { type: 'bot-turn', playerId: 'alice' }, { now: 0 }, always).result, { acted: false });
+
+    game.paused = true;
+    assert.deepEqual(applyCommand(game, { type: 'bot-turn', playerId: 'bot' }, { now: 0 }, always).result, { acted: false });
+
+    game.paused = false;
+    applyCommand(game, { type: 'end-round' }, { now: 0 }, random);
+    assert.deepEqual(applyCommand(game, { type: 'bot-turn', playerId: 'bot' }, { now: 0 }, always).result, { acted: false });
+  });
+});
+
+describe('runCommand', () => {
+  test('leaves the given state untouched', () => {
+    const game = setupGame();
+    const before = structuredClone(game);
+    const { state, result } = runCommand(game, { type: 'action', playerId: 'alice', input: { action: 'Buy', resource: 'gold', amount: 1 } }, { now: 0 }, random);
+
+    assert.equal(result.success, true);
+    assert.deepEqual(game, before);
+    assert.equal(player(state, 'alice').tokens, 900);
+  });
+
+  test('throws on unknown commands', () => {
+    assert.throws(() => runCommand(setupGame(), { type: 'teleport' }, { now: 0 }, random), /Unknown command: teleport/);
+  });
+
+  test('needs a clock and a random source', () => {
+    assert.throws(() => runCommand(setupGame(), { type: 'tick' }), TypeError);
+    assert.throws(() => runCommand(setupGame(), { type: 'tick' }, { now: 0 }), TypeError);
+  });
+});
+
+test('replaying the engine\'s events rebuilds the game', () => {
+  const game = setupGame({ maxRounds: 1 }, { start: false });
+  const log = [createGameEvent(1, GameEventTypes.GAME_CREATED, game.currentRound, { state: snapshotGameState(game) })];
+  const run = (command) => {
+    const { events, result } = applyCommand(game, command, { now: log.length * 1000 }, random);
+    events.forEach(event => log.push(createGameEvent(log.length + 1, event.type, game.currentRound, event.data, new Date(event.at))));
+    return result;
+  };
+
+  run({ type: 'start' });
+  run({ type: 'action', playerId: 'alice', input: { action: 'Buy', resource: 'oil', amount: 2 } });
+  run({ type: 'market-tick' });
+  run({ type: 'action', playerId: 'bob', input: { action: 'Buy', resource: 'water', amount: 5 } });
+  run({ type: 'action', playerId: 'bob', input: { action: 'Sabotage', resource: 'oil', amount: 1, targetPlayer: 'alice' } });
+  for (let second = 0; !run({ type: 'tick' }).gameOver; second++) {
+    if (second % 5 === 0) run({ type: 'market-tick' });
+  }
+  run({ type: 'begin-end' });
+  run({ type: 'finish' });
+
+  assert.deepEqual(replayGameEvents(log), snapshotGameState(game));
+  assert.equal(log[1].at, new Date(1000).toISOString());
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateRules } from '../services/gameRules.js';
+import { createInitialGameState, createPlayer, startGame } from '../services/gameFlow.js';
+import { applyTradeRequest } from '../services/tradeOffers.js';
+import { applyOrderRequest, grantStartingAssets } from '../services/orderBook.js';
+import { GameEventTypes, createGameEvent, snapshotGameState, replayGameEvents } from '../services/gameEvents.js';
+import { formatPublicEvent } from '../services/gameViews.js';
+
+// Play `requests` ({ type, playerId, request, input }) the way the server
+// does, one second apart, logging each. Returns { game, log }.
+function playAndLog(rules, requests) {
+  const game = createInitialGameState(validateRules(rules).rules, 'replay');
+  ['alice', 'bob'].forEach(id => {
+    const player = createPlayer(id, id, null, null, game.rules);
+    grantStartingAssets(game, player);
+    game.players.push(player);
+  });
+  const log = [createGameEvent(1, GameEventTypes.GAME_CREATED, 1, { state: snapshotGameState(game) }, new Date(0))];
+  startGame(game);
+  log.push(createGameEvent(2, GameEventTypes.GAME_STARTED, 1, {}, new Date(0)));
+
+  requests.forEach(({ type, playerId, request, input }, index) => {
+    const at = new Date((index + 1) * 1000);
+    const apply = type === GameEventTypes.TRADE_APPLIED ? applyTradeRequest : applyOrderRequest;
+    const player = game.players.find(p => p.id === playerId);
+    const { actionText, ...result } = apply(game, player, request, input, at.toISOString());
+    assert.equal(result.success, true, result.message);
+    if (actionText) game.recentActions.unshift(actionText);
+    game.actedThisRound = [...new Set([...(game.actedThisRound || []), playerId])];
+    log.push(createGameEvent(log.length + 1, type, 1, { playerId, request, input, outcome: { actionText: actionText ?? null } }, at));
+  });
+
+  return { game, log };
+}
+
+test('replayed trade offers keep the time they were made', () => {
+  const { game, log } = playAndLog({}, [
+    { type: GameEventTypes.TRADE_APPLIED, playerId: 'alice', request: 'propose', input: { toPlayerId: 'bob', give: { tokens: 10 }, receive: { tokens: 1 } } },
+    { type: GameEventTypes.TRADE_APPLIED, playerId: 'bob', request: 'respond', input: { offerId: 'offer_1', response: 'counter', counter: { give: { tokens: 2 }, receive: { tokens: 5 } } } }
+  ]);
+
+  assert.deepEqual(game.tradeOffers.map(offer => offer.createdAt), [new Date(2000).toISOString()]);
+  assert.deepEqual(replayGameEvents(log), snapshotGameState(game));
+});
+
+test('replayed orders keep the time they were placed', () => {
+  const { game, log } = playAndLog({ marketMode: 'orderbook' }, [
+    { type: GameEventTypes.ORDER_APPLIED, playerId: 'alice', request: 'place', input: { resource: 'gold', side: 'bid', price: 90, quantity: 2 } },
+    { type: GameEventTypes.ORDER_APPLIED, playerId: 'bob', request: 'place', input: { resource: 'oil', side: 'ask', price: 200, quantity: 1 } }
+  ]);
+
+  assert.deepEqual(game.orderBooks.gold.bids.map(order => order.createdAt), [new Date(1000).toISOString()]);
+  assert.deepEqual(replayGameEvents(log), snapshotGameState(game));
+});
+
+test('the public log leaves out the market engine, wallets and transaction hashes', () => {
+  const game = createInitialGameState(validateRules({}).rules, 'public');
+  game.players.push(createPlayer('alice', 'Alice', 'socket-1', '0xabc', game.rules));
+  const created = formatPublicEvent(createGameEvent(1, GameEventTypes.GAME_CREATED, 1, { state: snapshotGameState(game) }));
+  const joined = formatPublicEvent(createGameEvent(2, GameEventTypes.PLAYER_JOINED, 1, { player: createPlayer('bob', 'Bob', null, '0xdef', game.rules) }));
+  const acted = formatPublicEvent(createGameEvent(3, GameEventTypes.ACTION_APPLIED, 1, {
+    playerId: 'alice',
+    input: { action: 'Buy', resource: 'gold', amount: 1, transactionHash: '0x123' },
+    outcome: { actionText: 'Alice bought 1 gold (TX: 0x123)', balances: {} }
+  }));
+
+  assert.equal(created.data.state.market, undefined);
+  assert.equal(created.data.state.players[0].walletAddress, undefined);
+  assert.equal(created.data.state.players[0].socketId, undefined);
+  assert.equal(joined.data.player.walletAddress, undefined);
+  assert.deepEqual(acted.data.input, { action: 'Buy', resource: 'gold', amount: 1 });
+  assert.equal(acted.data.outcome.actionText, 'Alice bought 1 gold');
+});
@@ -0,0 +1,108 @@
+import { io as connect } from 'socket.io-client';
+import { startServer, stopServer } from '../../server.js';
+import { createManualClock } from '../../services/clock.js';
+import { MemoryStorage } from '../../services/storage/index.js';
+import { applyStatePatch } from '../../services/statePatch.js';
+
+// In-process server for integration tests: memory storage, a manual clock
+// the test moves forward, and socket.io clients that record every event
+// they receive. One server per test file (the server keeps its games in
+// module state); each test works in its own games.
+
+// Start the server on a free local port. Returns { url, startedAt, clock,
+// storage, connectClient, settle, stop }; startedAt is the clock's time at start.
+export async function startTestServer() {
+  const startedAt = Date.UTC(2025, 0, 1);
+  const clock = createManualClock(startedAt);
+  const storage = new MemoryStorage();
+  const { port } = await startServer({ port: 0, host: '127.0.0.1', clock, storage });
+  const url = `http://127.0.0.1:${port}`;
+  const clients = new Set();
+
+  // A connected client. `events` holds [name, payload] in arrival order and
+  // `state` the player's view, kept up to date from snapshots and patches.
+  async function connectClient() {
+    const socket = connect(url, { transports: ['websocket'], forceNew: true, reconnection: false });
+    const client = {
+      socket,
+      events: [],
+      state: null,
+
+      emit: (event, data) => socket.emit(event, data),
+      request: (event, data = {}) => socket.timeout(2000).emitWithAck(event, data),
+
+      // Event names received since the last take(), then forget them
+      take() {
+        const names = client.events.map(([name]) => name);
+        client.events = [];
+        return names;
+      },
+
+      // Payloads of `event` received so far
+      payloads(event) {
+        return client.events.filter(([name]) => name === event).map(([, payload]) => payload);
+      },
+
+      // Resolves with the payload of the first `event` (already received or
+      // still to come) matching `predicate`
+      waitFor(event, predicate = () => true, timeoutMs = 2000) {
+        const seen = client.payloads(event).find(predicate);
+        if (seen) return Promise.resolve(seen);
+        return new Promise((resolve, reject) => {
+          const timer = setTimeout(() => {
+            socket.off(event, listener);
+            reject(new Error(`Timed out waiting for ${event}`));
+          }, timeoutMs);
+          const listener = (payload) => {
+            if (!predicate(payload)) return;
+            clearTimeout(timer);
+            socket.off(event, listener);
+            resolve(payload);
+          };
+          socket.on(event, listener);
+        });
+      },
+
+      close() {
+        clients.delete(client);
+        socket.close();
+      }
+    };
+
+    socket.onAny((event, payload) => {
+      client.events.push([event, payload]);
+      if (event === 'game-state') {
+        const { stateVersion, ...view } = payload;
+        client.state = view;
+      } else if (event === 'game-state-patch') {
+        client.state = applyStatePatch(client.state, payload.patch);
+      }
+    });
+
+    await new Promise((resolve, reject) => {
+      socket.once('connect', resolve);
+      socket.once('connect_error', reject);
+    });
+    clients.add(client);
+    return client;
+  }
+
+  // Wait until no client has received anything for `quietMs`, so every
+  // event the server has sent so far has arrived
+  async function settle(quietMs = 50) {
+    const received = () => [...clients].reduce((sum, client) => sum + client.events.length, 0);
+    let count = -1;
+    while (count !== received()) {
+      count = received();
+      await new Promise(resolve => setTimeout(resolve, quietMs));
+    }
+  }
+
+  async function stop() {
+    clients.forEach(client => client.socket.close());
+    clients.clear();
+    await stopServer();
+  }
+
+  return { url, startedAt, clock, storage, connectClient, settle, stop };
+}
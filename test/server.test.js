@@ -0,0 +1,627 @@
+import { describe, test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'crypto';
+import { Wallet } from 'ethers';
+import { startTestServer } from './helpers/testServer.js';
+import { MemoryStorage } from '../services/storage/index.js';
+import { GAME_CREATION_LIMIT, GAME_CREATION_WINDOW_MS } from '../routes/apiV1.js';
+
+// End-to-end games over socket.io against an in-process server. Time only
+// moves when a test advances the clock, so every timer-driven event (round
+// ends, the between-rounds delay, inactivity) happens exactly when asked.
+
+const INACTIVITY_MS = 20 * 60 * 1000;
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+let server;
+let gameCount = 0;
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  server = await startTestServer();
+});
+
+after(async () => {
+  await server.stop();
+});
+
+function repeat(event, times) {
+  return Array(times).fill(event);
+}
+
+// A game with `names[0]` as host and the others joined, every client's
+// events so far taken. Returns { gameId, clients, sessionTokens }.
+async function setUpGame(names, rules = {}) {
+  const gameId = `GAME${++gameCount}`;
+  const clients = [];
+  for (const name of names) {
+    clients.push(await server.connectClient());
+  }
+  const [host, ...guests] = clients;
+
+  host.emit('create-game', { gameId, gameName: `${names[0]}'s game`, playerName: names[0], rules });
+  const sessionTokens = [(await host.waitFor('game-created')).sessionToken];
+  await server.clock.advance(200);
+
+  for (const [index, guest] of guests.entries()) {
+    guest.emit('join-game', { gameId, playerName: names[index + 1] });
+    sessionTokens.push((await guest.waitFor('game-joined')).sessionToken);
+    await server.clock.advance(100);
+  }
+
+  await server.settle();
+  clients.forEach(client => client.take());
+  return { gameId, clients, sessionTokens };
+}
+
+// A client signed in with `wallet` (a fresh one by default). Returns { client, address }.
+async function walletClient(wallet = Wallet.createRandom()) {
+  const client = await server.connectClient();
+  const { message } = await client.waitFor('auth-challenge');
+  const signed = await client.request('authenticate', { walletAddress: wallet.address, signature: await wallet.signMessage(message) });
+  assert.equal(signed.success, true);
+  return { client, address: signed.walletAddress };
+}
+
+async function startGame(host) {
+  host.emit('start-game');
+  await host.waitFor('game-started');
+  await server.settle();
+}
+
+function playerId(client, name) {
+  return client.state.players.find(player => player.name === name).id;
+}
+
+describe('a full game', () => {
+  test('create and join', async () => {
+    const host = await server.connectClient();
+    const guest = await server.connectClient();
+    await server.settle();
+    assert.deepEqual(host.take(), ['chat-history', 'auth-challenge']);
+    guest.take();
+
+    host.emit('create-game', { gameId: 'LOBBY1', gameName: 'Lobby', playerName: 'Alice' });
+    const created = await host.waitFor('game-created');
+    assert.equal(created.gameId, 'LOBBY1');
+    assert.ok(created.sessionToken);
+
+    // The first snapshot follows game-created after a short delay
+    await server.settle();
+    assert.deepEqual(host.take(), ['game-created']);
+    await server.clock.advance(200);
+    await server.settle();
+    assert.deepEqual(host.take(), ['game-state']);
+    assert.equal(host.state.status, 'waiting');
+    assert.deepEqual(host.state.players.map(player => player.name), ['Alice']);
+
+    guest.emit('join-game', { gameId: 'LOBBY1', playerName: 'Bob' });
+    await guest.waitFor('game-joined');
+    await server.clock.advance(100);
+    await server.settle();
+    assert.deepEqual(host.take(), ['game-state-patch', 'player-joined']);
+    assert.deepEqual(guest.take(), ['game-joined', 'chat-history', 'game-state', 'player-joined']);
+    assert.deepEqual(host.state.players.map(player => player.name), ['Alice', 'Bob']);
+    assert.deepEqual(guest.state.players.map(player => player.name), ['Alice', 'Bob']);
+
+    host.close();
+    guest.close();
+  });
+
+  test('the server picks the market seed, not the client', async () => {
+    const host = await server.connectClient();
+    host.emit('create-game', { gameId: 'SEED1', gameName: 'Seed', playerName: 'Alice', marketSeed: 42 });
+    await host.waitFor('game-created');
+
+    const { market } = await server.storage.getGameSecrets('SEED1');
+    assert.notEqual(market.seed, 42);
+    assert.equal(typeof market.seed, 'number');
+
+    host.close();
+  });
+
+  test('the stored game row holds neither the market nor session tokens', async () => {
+    const { gameId, clients, sessionTokens } = await setUpGame(['Alice', 'Bob']);
+    await startGame(clients[0]);
+
+    const row = await server.storage.getGame(gameId);
+    assert.equal(row.game_state.market, undefined);
+    sessionTokens.forEach(token => assert.equal(JSON.stringify(row).includes(token), false));
+
+    // Only hashes of the tokens are kept, apart from the row
+    const secrets = await server.storage.getGameSecrets(gameId);
+    assert.equal(typeof secrets.market.rngState, 'number');
+    assert.deepEqual(
+      Object.keys(secrets.session_tokens).sort(),
+      sessionTokens.map(token => createHash('sha256').update(token).digest('hex')).sort()
+    );
+
+    clients.forEach(client => client.close());
+  });
+
+  test('play, round ends, final prices and finish', async () => {
+    const { gameId, clients: [alice, bob] } = await setUpGame(['Alice', 'Bob'], {
+      priceMode: 'host',
+      maxRounds: 2,
+      roundDurationSeconds: 10,
+      roundDelaySeconds: 2
+    });
+
+    await startGame(alice);
+    assert.deepEqual(alice.take(), ['game-started', 'game-state-patch']);
+    assert.deepEqual(bob.take(), ['game-started', 'game-state-patch']);
+    assert.equal(alice.state.status, 'playing');
+
+    // Actions are answered on the ack; everyone gets the new state
+    const bought = await alice.request('player-action', { action: 'Buy', resource: 'gold', amount: 2 });
+    assert.equal(bought.success, true);
+    assert.deepEqual(bought.balances, { tokens: 800, assets: { gold: 2, water: 0, oil: 0 }, totalAssets: 2 });
+    const rejected = await bob.request('player-action', { action: 'Sell', resource: 'oil', amount: 1 });
+    assert.equal(rejected.code, 'INSUFFICIENT_ASSETS');
+    await bob.request('player-action', { action: 'Buy', resource: 'water', amount: 3 });
+    await server.settle();
+    assert.deepEqual(alice.take(), repeat('game-state-patch', 2));
+    assert.deepEqual(bob.take(), repeat('game-state-patch', 2));
+
+    // A trade offer between the two, accepted
+    const offered = await alice.request('propose-trade', { toPlayerId: playerId(alice, 'Bob'), give: { tokens: 60 }, receive: { assets: { water: 1 } } });
+    assert.equal(offered.success, true);
+    const accepted = await bob.request('respond-trade', { offerId: offered.offer.id, response: 'accept' });
+    assert.equal(accepted.success, true);
+    await server.settle();
+    assert.deepEqual(alice.take(), ['trade-offer-updated', 'game-state-patch', 'trade-offer-updated', 'game-state-patch']);
+    assert.deepEqual(bob.take(), ['trade-offer-updated', 'game-state-patch', 'trade-offer-updated', 'game-state-patch']);
+    assert.equal(alice.state.players.find(player => player.name === 'Alice').tokens, 740);
+
+    // Ten seconds on the clock, then the round ends on the next tick
+    await server.clock.advance(10 * 1000);
+    await server.settle();
+    assert.deepEqual(alice.take(), repeat('timer-tick', 10));
+    bob.take();
+
+    await server.clock.advance(1000);
+    await server.settle();
+    assert.deepEqual(alice.take(), ['round-ended', 'game-state-patch']);
+    assert.equal(alice.state.roundDelay.timeRemaining, 2);
+
+    // The delay counts down and round 2 starts
+    await server.clock.advance(2000);
+    await server.settle();
+    assert.deepEqual(alice.take(), ['timer-tick', 'game-state-patch']);
+    assert.equal(alice.state.currentRound, 2);
+    bob.take();
+
+    // The last round runs out and the host is asked for final prices
+    await server.clock.advance(13 * 1000);
+    await server.settle();
+    assert.deepEqual(alice.take(), [...repeat('timer-tick', 10), 'round-ended', 'game-state-patch', 'timer-tick', 'game-ending']);
+    assert.deepEqual(bob.take(), [...repeat('timer-tick', 10), 'round-ended', 'game-state-patch', 'timer-tick', 'game-ending']);
+
+    // Only the host's update counts
+    bob.emit('update-market-prices', { marketPrices: { gold: 1 } });
+    alice.emit('update-market-prices', { marketPrices: { gold: 300, water: 40 } });
+    const finished = await bob.waitFor('game-finished');
+    await server.settle();
+    assert.deepEqual(alice.take(), ['game-finished', 'game-state-patch']);
+    assert.deepEqual(bob.take(), ['game-finished', 'game-state-patch']);
+
+    assert.equal(finished.winner.name, 'Alice');
+    assert.deepEqual(finished.finalScores.map(({ name, finalScore }) => [name, finalScore]), [['Alice', 740 + 600 + 40], ['Bob', 850 + 60 + 80]]);
+    assert.deepEqual(finished.marketPrices, { gold: 300, water: 40, oil: 150 });
+    assert.equal(alice.state.status, 'finished');
+    assert.equal((await server.storage.getGame(gameId)).status, 'finished');
+
+    alice.close();
+    bob.close();
+  });
+});
+
+describe('player views', () => {
+  test('wallet players get opaque seat ids and never see each other\'s address', async () => {
+    const { client: alice, address: aliceWallet } = await walletClient();
+    const { client: bob, address: bobWallet } = await walletClient();
+
+    alice.emit('create-game', { gameId: 'WALLETS1', gameName: 'Wallets', playerName: 'Alice' });
+    const created = await alice.waitFor('game-created');
+    await server.clock.advance(200);
+    bob.emit('join-game', { gameId: 'WALLETS1', playerName: 'Bob' });
+    const joined = await bob.waitFor('game-joined');
+    await server.clock.advance(100);
+    await server.settle();
+
+    assert.notEqual(created.playerId.toLowerCase(), aliceWallet.toLowerCase());
+    assert.notEqual(joined.playerId.toLowerCase(), bobWallet.toLowerCase());
+    assert.equal(bob.state.host, created.playerId);
+    assert.equal(playerId(bob, 'Alice'), created.playerId);
+    assert.equal(JSON.stringify(bob.state).toLowerCase().includes(aliceWallet.toLowerCase()), false);
+    assert.equal(JSON.stringify(alice.state).toLowerCase().includes(bobWallet.toLowerCase()), false);
+
+    alice.close();
+    bob.close();
+  });
+});
+
+describe('replays', () => {
+  test('the event log is served once the game is over', async () => {
+    const { gameId, clients: [alice, bob] } = await setUpGame(['Alice', 'Bob'], { maxRounds: 1, roundDurationSeconds: 10, roundDelaySeconds: 2 });
+    await startGame(alice);
+    await alice.request('player-action', { action: 'Buy', resource: 'gold', amount: 2 });
+
+    alice.emit('get-game-replay', { gameId });
+    const refused = await alice.waitFor('error');
+    assert.equal(refused.code, 'GAME_NOT_FINISHED');
+    assert.equal((await fetch(`${server.url}/api/v1/games/${gameId}/replay`)).status, 409);
+    assert.equal((await fetch(`${server.url}/api/v1/games/${gameId}/events`)).status, 409);
+
+    await server.clock.advance(15 * 1000);
+    await bob.waitFor('game-finished');
+    alice.emit('get-game-replay', { gameId });
+    const replay = await alice.waitFor('game-replay');
+    assert.equal(replay.state.status, 'finished');
+    assert.deepEqual(replay.state.players.find(player => player.name === 'Alice').assets.gold, 2);
+    assert.equal(replay.state.market, undefined);
+    assert.equal(replay.events[0].data.state.market, undefined);
+
+    const response = await fetch(`${server.url}/api/v1/games/${gameId}/events`);
+    assert.equal(response.status, 200);
+    assert.deepEqual((await response.json()).events, replay.events);
+
+    alice.close();
+    bob.close();
+  });
+});
+
+describe('spectators', () => {
+  test('a spectator cannot read the current round\'s holdings through the replay', async () => {
+    const { gameId, clients: [alice, bob] } = await setUpGame(['Alice', 'Bob'], { opponentVisibility: 'hidden', spectatorDelaySeconds: 30 });
+    await startGame(alice);
+    await alice.request('player-action', { action: 'Buy', resource: 'gold', amount: 2 });
+
+    const spectator = await server.connectClient();
+    assert.equal((await spectator.request('spectate-game', { gameId })).success, true);
+    spectator.emit('get-game-replay', { gameId });
+    const refused = await spectator.waitFor('error');
+    assert.equal(refused.code, 'GAME_NOT_FINISHED');
+    assert.equal(spectator.payloads('game-replay').length, 0);
+
+    const response = await fetch(`${server.url}/api/v1/games/${gameId}/events`);
+    assert.equal(response.status, 409);
+    assert.equal((await response.json()).error.code, 'GAME_NOT_FINISHED');
+
+    alice.close();
+    bob.close();
+    spectator.close();
+  });
+  test('a socket without a seat asking for the game state gets the delayed spectator view', async () => {
+    const { gameId, clients: [alice, bob] } = await setUpGame(['Alice', 'Bob'], { priceMode: 'host', maxRounds: 100, roundDurationSeconds: 3600, spectatorDelaySeconds: 30 });
+    await startGame(alice);
+    const outsider = await server.connectClient();
+    const aliceTokens = view => view.players.find(player => player.name === 'Alice').tokens;
+
+    // Nothing has gone out to spectators yet: only the public details
+    await alice.request('player-action', { action: 'Buy', resource: 'gold', amount: 2 });
+    outsider.emit('get-game-state', { gameId });
+    const early = await outsider.waitFor('game-state');
+    assert.equal(aliceTokens(early), undefined);
+    assert.equal(early.recentActions, undefined);
+
+    // Thirty seconds on, the first buy is public but the second isn't yet
+    await server.clock.advance(30 * 1000);
+    await alice.request('player-action', { action: 'Buy', resource: 'gold', amount: 1 });
+    outsider.take();
+    outsider.emit('get-game-state', { gameId });
+    const delayed = await outsider.waitFor('game-state');
+    assert.equal(aliceTokens(delayed), 800);
+    assert.equal(delayed.recentActions.length, 1);
+
+    [alice, bob, outsider].forEach(client => client.close());
+  });
+});
+
+describe('host controls', () => {
+  test('a player kicked with their holdings is scored with them at the end', async () => {
+    const { gameId, clients: [alice, bob, carol] } = await setUpGame(['Alice', 'Bob', 'Carol'], { priceMode: 'host', maxRounds: 1, roundDurationSeconds: 10, roundDelaySeconds: 2 });
+    await startGame(alice);
+    await bob.request('player-action', { action: 'Buy', resource: 'gold', amount: 2 });
+    await carol.request('player-action', { action: 'Buy', resource: 'oil', amount: 1 });
+    await server.settle();
+
+    const kept = await alice.request('kick-player', { playerId: playerId(alice, 'Bob') });
+    assert.equal(kept.success, true);
+    const { holdings } = await bob.waitFor('kicked');
+    assert.deepEqual(holdings, { tokens: 800, assets: { gold: 2, water: 0, oil: 0 } });
+    assert.equal((await alice.request('kick-player', { playerId: playerId(alice, 'Carol'), forfeit: true })).success, true);
+    assert.equal((await carol.waitFor('kicked')).holdings, null);
+
+    await server.clock.advance(13 * 1000);
+    await alice.waitFor('game-ending');
+    alice.emit('update-market-prices', { marketPrices: { gold: 300 } });
+    const finished = await alice.waitFor('game-finished');
+    assert.deepEqual(finished.finalScores.map(({ name, finalScore }) => [name, finalScore]), [['Bob', 800 + 600], ['Alice', 1000]]);
+
+    const results = await server.storage.getGameResults(gameId);
+    assert.deepEqual(results.map(row => [row.player_name, row.rank, row.final_score]), [['Bob', 1, 1400], ['Alice', 2, 1000]]);
+
+    [alice, bob, carol].forEach(client => client.close());
+  });
+
+  test('the host can only set prices to positive numbers', async () => {
+    const { clients: [alice, bob] } = await setUpGame(['Alice', 'Bob'], { priceMode: 'host', maxRounds: 100, roundDurationSeconds: 3600 });
+    await startGame(alice);
+    const prices = { ...alice.state.marketPrices };
+    alice.take();
+    bob.take();
+
+    for (const gold of [0, -5, '300', null, Infinity]) {
+      alice.emit('update-market-prices', { marketPrices: { gold, water: 40 } });
+      assert.deepEqual(await alice.waitFor('error'), { message: 'The price of gold must be a positive number' });
+      alice.take();
+    }
+    alice.emit('update-market-prices', { marketPrices: { oil_price: 'free' } });
+    assert.deepEqual(await alice.waitFor('error'), { message: 'The price of oil must be a positive number' });
+    await server.settle();
+    assert.deepEqual(bob.take(), []);
+    assert.deepEqual(alice.state.marketPrices, prices);
+
+    alice.emit('update-market-prices', { marketPrices: { gold: 12.5 } });
+    assert.deepEqual((await bob.waitFor('market-prices-updated')).marketPrices, { ...prices, gold: 12.5 });
+
+    [alice, bob].forEach(client => client.close());
+  });
+});
+
+describe('leaving a game', () => {
+  test('a disconnected player is marked and the host role moves on', async () => {
+    const { clients: [alice, bob, carol] } = await setUpGame(['Alice', 'Bob', 'Carol']);
+    const bobId = playerId(bob, 'Bob');
+
+    alice.close();
+    await bob.waitFor('player-disconnected');
+    await server.settle();
+    assert.deepEqual(bob.take(), ['game-state-patch', 'player-disconnected']);
+    assert.deepEqual(carol.take(), ['game-state-patch', 'player-disconnected']);
+    assert.equal(bob.state.host, bobId);
+    assert.equal(bob.state.players.find(player => player.name === 'Alice').connected, false);
+
+    bob.close();
+    carol.close();
+  });
+
+  test('players exit one by one and the last exit closes the game', async () => {
+    const { gameId, clients: [alice, bob] } = await setUpGame(['Alice', 'Bob'], { priceMode: 'host' });
+    await startGame(alice);
+    alice.take();
+    bob.take();
+
+    alice.emit('exit-game');
+    const left = await bob.waitFor('player-disconnected');
+    await server.settle();
+    assert.deepEqual(left, { playerName: 'Alice', reason: 'exited' });
+    // The room hears it before the leaving socket is taken out
+    assert.deepEqual(alice.take(), ['player-disconnected']);
+    assert.deepEqual(bob.take(), ['game-state-patch', 'player-disconnected']);
+    assert.deepEqual(bob.state.players.map(player => player.name), ['Bob']);
+    assert.equal(bob.state.host, playerId(bob, 'Bob'));
+
+    bob.emit('exit-game');
+    const closed = await bob.waitFor('game-closed');
+    await server.settle();
+    assert.deepEqual(closed, { reason: 'All players exited' });
+    assert.deepEqual(bob.take(), ['game-closed']);
+    assert.equal((await server.storage.getGame(gameId)).status, 'closed');
+
+    // The game's clock is gone with it
+    await server.clock.advance(5000);
+    await server.settle();
+    assert.deepEqual(bob.take(), []);
+
+    alice.close();
+    bob.close();
+  });
+
+  test('a closed game can no longer be joined', async () => {
+    const { gameId, clients: [alice] } = await setUpGame(['Alice']);
+    alice.emit('exit-game');
+    await alice.waitFor('game-closed');
+
+    const late = await server.connectClient();
+    late.emit('join-game', { gameId, playerName: 'Late' });
+    await late.waitFor('error');
+    assert.deepEqual(late.take().slice(-1), ['error']);
+
+    alice.close();
+    late.close();
+  });
+});
+
+describe('inactivity', () => {
+  test('a running game with no activity for 20 minutes is closed', async () => {
+    const { gameId, clients: [alice, bob] } = await setUpGame(['Alice', 'Bob'], { priceMode: 'host', maxRounds: 100, roundDurationSeconds: 3600 });
+    await startGame(alice);
+    alice.take();
+    bob.take();
+
+    await server.clock.advance(INACTIVITY_MS - 1000);
+    await server.settle();
+    assert.deepEqual(alice.take(), repeat('timer-tick', INACTIVITY_MS / 1000 - 1));
+
+    await server.clock.advance(1000);
+    await server.settle();
+    assert.deepEqual(alice.take(), ['game-closed']);
+    assert.deepEqual(bob.take().slice(-2), ['timer-tick', 'game-closed']);
+    assert.equal((await server.storage.getGame(gameId)).status, 'closed');
+
+    const action = await alice.request('player-action', { action: 'Buy', resource: 'gold', amount: 1 });
+    assert.equal(action.code, 'NOT_IN_GAME');
+
+    alice.close();
+    bob.close();
+  });
+
+  test('any action restarts the inactivity timeout', async () => {
+    const { clients: [alice, bob] } = await setUpGame(['Alice', 'Bob'], { priceMode: 'host', maxRounds: 100, roundDurationSeconds: 3600 });
+    await startGame(alice);
+
+    await server.clock.advance(INACTIVITY_MS - 60 * 1000);
+    await bob.request('player-action', { action: 'Buy', resource: 'oil', amount: 1 });
+    await server.clock.advance(INACTIVITY_MS - 60 * 1000);
+    await server.settle();
+    assert.deepEqual(alice.payloads('game-closed'), []);
+
+    await server.clock.advance(60 * 1000);
+    const closed = await alice.waitFor('game-closed');
+    assert.deepEqual(closed, { reason: 'Game closed due to 20 minutes of inactivity' });
+
+    alice.close();
+    bob.close();
+  });
+
+  test('a finished game is not closed when the timeout runs out', async () => {
+    const { gameId, clients: [alice, bob] } = await setUpGame(['Alice', 'Bob'], { maxRounds: 1, roundDurationSeconds: 10, roundDelaySeconds: 2 });
+    await startGame(alice);
+    await server.clock.advance(15 * 1000);
+    await alice.waitFor('game-finished');
+
+    await server.clock.advance(INACTIVITY_MS + 60 * 1000);
+    await server.settle();
+    assert.deepEqual(alice.payloads('game-closed'), []);
+    assert.equal((await server.storage.getGame(gameId)).status, 'finished');
+    assert.equal((await server.storage.getGameEvents(gameId)).at(-1).type, 'game.finished');
+
+    alice.close();
+    bob.close();
+  });
+});
+
+describe('resuming a session', () => {
+  test('a spectator who resumes their seat stops spectating and counts as activity', async () => {
+    const watched = await setUpGame(['Carol', 'Dave'], { priceMode: 'host', maxRounds: 100, roundDurationSeconds: 3600 });
+    const { clients: [alice, bob], sessionTokens } = await setUpGame(['Alice', 'Bob'], { priceMode: 'host', maxRounds: 100, roundDurationSeconds: 3600 });
+    await startGame(alice);
+    await startGame(watched.clients[0]);
+
+    // Bob drops, watches the other game from a new socket, then takes his seat back
+    bob.close();
+    await alice.waitFor('player-disconnected');
+    const returning = await server.connectClient();
+    assert.equal((await returning.request('spectate-game', { gameId: watched.gameId })).success, true);
+
+    await server.clock.advance(INACTIVITY_MS - 60 * 1000);
+    const resumed = await returning.request('resume-session', { sessionToken: sessionTokens[1] });
+    assert.equal(resumed.success, true);
+    await server.settle();
+    returning.take();
+
+    await watched.clients[0].request('player-action', { action: 'Buy', resource: 'gold', amount: 1 });
+    await server.settle();
+    assert.deepEqual(returning.take(), []);
+
+    // The resume restarted the inactivity timeout
+    await server.clock.advance(INACTIVITY_MS - 60 * 1000);
+    await server.settle();
+    assert.deepEqual(returning.payloads('game-closed'), []);
+    await server.clock.advance(60 * 1000);
+    assert.deepEqual(await returning.waitFor('game-closed'), { reason: 'Game closed due to 20 minutes of inactivity' });
+
+    [alice, returning, ...watched.clients].forEach(client => client.close());
+  });
+});
+
+describe('matchmaking', () => {
+  test('a wallet signed in on two sockets queues only once', async () => {
+    const wallet = Wallet.createRandom();
+    const { client: first } = await walletClient(wallet);
+    const { client: second } = await walletClient(wallet);
+
+    assert.equal((await first.request('queue-for-match', { playerName: 'Alice', playerCount: 2 })).success, true);
+    const again = await second.request('queue-for-match', { playerName: 'Alice', playerCount: 2 });
+    assert.equal(again.success, false);
+    assert.equal(again.code, 'ALREADY_QUEUED');
+    await server.settle();
+    assert.deepEqual(first.payloads('match-found'), []);
+
+    // Once the first socket leaves, the wallet can queue from the other
+    first.emit('leave-queue');
+    await first.waitFor('queue-left');
+    assert.equal((await second.request('queue-for-match', { playerName: 'Alice', playerCount: 2 })).success, true);
+    second.emit('leave-queue');
+    await second.waitFor('queue-left');
+
+    [first, second].forEach(client => client.close());
+  });
+});
+
+describe('games created over the API', () => {
+  function createOverApi(body) {
+    return fetch(`${server.url}/api/v1/games`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+  }
+
+  test('a game nobody joins is closed after the inactivity timeout', async () => {
+    const response = await createOverApi({ gameName: 'Empty', isPrivate: true });
+    assert.equal(response.status, 201);
+    const { game } = await response.json();
+
+    await server.clock.advance(INACTIVITY_MS);
+    await server.settle();
+    assert.equal((await server.storage.getGame(game.id)).status, 'closed');
+    assert.equal((await server.storage.getGameEvents(game.id)).at(-1).type, 'game.closed');
+  });
+
+  test('each address can only create so many games at a time', async () => {
+    await server.clock.advance(GAME_CREATION_WINDOW_MS);
+    for (let created = 0; created < GAME_CREATION_LIMIT; created++) {
+      assert.equal((await createOverApi({ gameName: `Game ${created}` })).status, 201);
+    }
+
+    const limited = await createOverApi({ gameName: 'One too many' });
+    assert.equal(limited.status, 429);
+    assert.equal((await limited.json()).error.code, 'RATE_LIMITED');
+
+    await server.clock.advance(GAME_CREATION_WINDOW_MS);
+    assert.equal((await createOverApi({ gameName: 'Later' })).status, 201);
+  });
+});
+
+describe('database cleanup', () => {
+  test('only the games the cleanup deleted leave memory, with their sessions', async () => {
+    // Get within a minute of the next hourly cleanup
+    const untilCleanup = CLEANUP_INTERVAL_MS - (server.clock.now() - server.startedAt) % CLEANUP_INTERVAL_MS;
+    await server.clock.advance((untilCleanup - 60 * 1000 + CLEANUP_INTERVAL_MS) % CLEANUP_INTERVAL_MS);
+
+    const stale = await setUpGame(['Alice']);
+    const running = await setUpGame(['Bob', 'Carol'], { priceMode: 'host', maxRounds: 100, roundDurationSeconds: 3600 });
+    await startGame(running.clients[0]);
+    server.storage.games.get(stale.gameId).updated_at = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+
+    await server.clock.advance(60 * 1000);
+    assert.deepEqual(await stale.clients[0].waitFor('game-closed'), { reason: 'Game removed' });
+    assert.equal(await server.storage.getGame(stale.gameId), null);
+
+    // Its seat can't be resumed; the running game plays on
+    const returning = await server.connectClient();
+    assert.equal((await returning.request('resume-session', { sessionToken: stale.sessionTokens[0] })).success, false);
+    const bought = await running.clients[0].request('player-action', { action: 'Buy', resource: 'gold', amount: 1 });
+    assert.equal(bought.success, true);
+    assert.deepEqual(running.clients[1].payloads('game-closed'), []);
+
+    [returning, ...stale.clients, ...running.clients].forEach(client => client.close());
+  });
+
+  test('waiting games nobody joined are removed whatever their visibility', async () => {
+    const storage = new MemoryStorage();
+    const hoursAgo = hours => new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+    await storage.createGame({ gameId: 'EMPTY1', gameName: 'Empty', isPrivate: true, players: [] });
+    await storage.createGame({ gameId: 'EMPTY2', gameName: 'Empty', isPrivate: false, players: [] });
+    await storage.createGame({ gameId: 'FRESH1', gameName: 'Fresh', isPrivate: true, players: [] });
+    await storage.createGame({ gameId: 'FULL1', gameName: 'Full', isPrivate: true, players: [{ id: 'a' }, { id: 'b' }] });
+    ['EMPTY1', 'EMPTY2', 'FULL1'].forEach(gameId => { storage.games.get(gameId).created_at = hoursAgo(3); });
+
+    assert.deepEqual((await storage.cleanupAbandonedGames(2)).sort(), ['EMPTY1', 'EMPTY2']);
+    assert.notEqual(await storage.getGame('FRESH1'), null);
+    assert.notEqual(await storage.getGame('FULL1'), null);
+  });
+});